@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import {
   View,
   Text,
@@ -9,256 +9,556 @@ import {
   Alert,
   FlatList
 } from 'react-native';
-import * as SQLite from 'expo-sqlite';
 import { StatusBar } from 'expo-status-bar';
+import { db } from './db/database';
+import { runMigrations } from './db/migrations';
+import { TRASH_RETENTION_DAYS, auditBatch, deleteAllData, restoreBatch } from './db/audit';
+import { saleAmount, validateProduction, validateSale } from './db/accounting';
+import { addCreditTransaction } from './db/ledger';
+import {
+  countDailyRecords,
+  getDailyRecords,
+  getDay,
+  getFlockEggs,
+  hasProduction,
+  projectProduction,
+  saveProduction,
+} from './db/records';
+import { addSale, deleteDay, deleteSale, ensureDay, getSalesForDate, updateSale } from './db/sales';
+import { checkDayChange, checkStockChanges, describeShortfall } from './db/stock';
+import { getFlocks } from './db/flocks';
+import { describeEggs, getPackUnits } from './db/packs';
+import { checkGradeStock, getGradeSummary, getGrades } from './db/grades';
+import { quoteSalePrice } from './db/pricing';
+import { getInvoice } from './db/statements';
+import { getFarmSummary } from './db/reports';
+import { COLOR_SCHEMES, getSettings } from './db/settings';
+import { getSyncState, syncNow } from './db/sync';
+import { can as canUser, getUsers, permissionDenied, roleLabel } from './db/users';
+import { invoiceHtml } from './utils/documents';
+import { DEFAULT_LOCALE, createFormatter } from './utils/format';
+import { printDocument, shareDocument } from './utils/print-document';
+import CustomersScreen from './screens/customers-screen';
+import FlocksScreen from './screens/flocks-screen';
+import ExpensesScreen from './screens/expenses-screen';
+import HistoryScreen from './screens/history-screen';
+import ReportsScreen from './screens/reports-screen';
+import SettingsScreen from './screens/settings-screen';
+import ExportCard from './components/export-card';
+import ImportCard from './components/import-card';
+import GradingCard from './components/grading-card';
+import RecordFilters from './components/record-filters';
+import UndoSnackbar from './components/undo-snackbar';
+import LockScreen from './components/lock-screen';
+import { takeAutomaticBackup } from './components/backup-card';
+import { setColorSchemePreference } from './hooks/color-scheme-preference';
+import { useColorScheme } from './hooks/use-color-scheme';
+import { useThemeColors, useThemedStyles } from './hooks/use-theme-color';
+
+const SCREENS = [
+  { key: 'daily', label: 'Daily Entry' },
+  { key: 'reports', label: 'Reports' },
+  { key: 'customers', label: 'Customers' },
+  { key: 'flocks', label: 'Flocks' },
+  { key: 'expenses', label: 'Expenses' },
+  { key: 'history', label: 'History' },
+  { key: 'settings', label: 'Settings' },
+];
+
+const SINGLE_EGG = { name: 'Egg', eggs_per_unit: 1 };
 
-// Open/create the database
-const db = SQLite.openDatabaseSync('egg_inventory.db');
+// Records are loaded a page at a time as the list scrolls
+const RECORDS_PAGE_SIZE = 30;
 
 const App = () => {
+  const styles = useThemedStyles(createStyles);
+  const colors = useThemeColors();
+  const colorScheme = useColorScheme();
   const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
   const [producedEggs, setProducedEggs] = useState('');
   const [breakages, setBreakages] = useState('');
-  const [soldEggs, setSoldEggs] = useState('');
-  const [pricePerEgg, setPricePerEgg] = useState('');
+  const [productionFlockId, setProductionFlockId] = useState(null);
+  const [flocks, setFlocks] = useState([]);
+  const [saleTime, setSaleTime] = useState('');
+  const [saleQuantity, setSaleQuantity] = useState('');
+  const [salePrice, setSalePrice] = useState('');
+  const [priceEdited, setPriceEdited] = useState(false);
+  const [priceQuote, setPriceQuote] = useState(null);
+  const [salePack, setSalePack] = useState(null);
+  const [packUnits, setPackUnits] = useState([]);
+  const [saleGradeId, setSaleGradeId] = useState(null);
+  const [grades, setGrades] = useState([]);
+  const [gradeSummary, setGradeSummary] = useState([]);
+  const [locale, setLocale] = useState(DEFAULT_LOCALE);
+  // null until loaded, so the app never shows before the lock screen
+  const [users, setUsers] = useState(null);
+  // Why the profiles could not be loaded; the app stays locked meanwhile
+  const [usersError, setUsersError] = useState(null);
+  const [currentUser, setCurrentUser] = useState(null);
+  const [paymentType, setPaymentType] = useState('cash');
+  const [saleCustomer, setSaleCustomer] = useState('');
   const [creditAmount, setCreditAmount] = useState('');
   const [creditName, setCreditName] = useState('');
+  const [expandedDate, setExpandedDate] = useState(null);
+  const [expandedSales, setExpandedSales] = useState([]);
+  const [editingDate, setEditingDate] = useState(null);
+  const [editingSale, setEditingSale] = useState(null);
+  const scrollViewRef = useRef(null);
+  // The last delete, offered for undo: { message, batchId }
+  const [undoable, setUndoable] = useState(null);
+  const [screen, setScreen] = useState('daily');
+  const [showExport, setShowExport] = useState(false);
+  const [showImport, setShowImport] = useState(false);
   const [dailyRecords, setDailyRecords] = useState([]);
+  // How many records match the filters, loaded or not
+  const [recordCount, setRecordCount] = useState(0);
+  const [recordFilters, setRecordFilters] = useState({});
+  // Read by the loaders so changing filters does not re-create them
+  const recordFiltersRef = useRef({});
+  const loadedCountRef = useRef(0);
+  const loadingMoreRef = useRef(false);
+  // The day whose sales are shown, for loadDailyRecords to refresh. A ref so
+  // expanding a day does not re-create the loaders and re-run start-up.
+  const expandedDateRef = useRef(null);
   const [summary, setSummary] = useState({
     totalProduced: 0,
     totalBreakages: 0,
     totalSold: 0,
     totalCashSales: 0,
-    totalCredits: 0
+    totalCreditSales: 0,
+    stockOnHand: 0,
+    outstandingCredit: 0
   });
 
-  // Initialize database with migration
-  const initializeDatabase = useCallback(() => {
-    console.log('Starting database initialization...');
-    
-    // First, check if table exists
-    db.getAllAsync("SELECT name FROM sqlite_master WHERE type='table' AND name='daily_records'")
-      .then(tables => {
-        if (tables.length === 0) {
-          // Table doesn't exist, create new schema
-          console.log('Creating new table with full schema...');
-          return createNewTable();
-        } else {
-          // Table exists, check columns and migrate if needed
-          console.log('Table exists, checking schema...');
-          return checkAndMigrateSchema();
-        }
-      })
-      .then(() => {
-        console.log('Database ready, loading records...');
-        loadDailyRecords();
+  // Calculate summary function
+  const calculateSummary = useCallback(() => {
+    getFarmSummary(db)
+      .then(result => {
+        setSummary(result);
+        return getGradeSummary(db);
       })
+      .then(setGradeSummary)
       .catch(error => {
-        console.log('Database init error: ', error);
-        // Fallback: try to create table
-        createNewTable().then(() => loadDailyRecords());
+        console.log('Error calculating summary: ', error);
       });
   }, []);
 
-  // Create new table with all columns
-  const createNewTable = () => {
-    return db.runAsync(
-      `CREATE TABLE IF NOT EXISTS daily_records (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        date TEXT UNIQUE,
-        produced_eggs INTEGER DEFAULT 0,
-        breakages INTEGER DEFAULT 0,
-        sold_eggs INTEGER DEFAULT 0,
-        price_per_egg REAL DEFAULT 0,
-        credit_amount REAL DEFAULT 0,
-        credit_name TEXT DEFAULT '',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`,
-      []
-    ).then(() => {
-      console.log('New table created with full schema');
-    });
-  };
+  const loadSales = useCallback((saleDate) => {
+    getSalesForDate(db, saleDate)
+      .then(setExpandedSales)
+      .catch(error => {
+        console.log('Error loading sales: ', error);
+      });
+  }, []);
 
-  // Check existing schema and migrate if needed
-  const checkAndMigrateSchema = () => {
-    return db.getAllAsync("PRAGMA table_info(daily_records)")
-      .then(columns => {
-        const columnNames = columns.map(col => col.name);
-        console.log('Existing columns:', columnNames);
-        
-        const migrations = [];
-        
-        // Add missing columns
-        if (!columnNames.includes('sold_eggs')) {
-          console.log('Adding sold_eggs column...');
-          migrations.push(
-            db.runAsync("ALTER TABLE daily_records ADD COLUMN sold_eggs INTEGER DEFAULT 0", [])
-          );
-        }
-        
-        if (!columnNames.includes('credit_amount')) {
-          console.log('Adding credit_amount column...');
-          migrations.push(
-            db.runAsync("ALTER TABLE daily_records ADD COLUMN credit_amount REAL DEFAULT 0", [])
-          );
-        }
-        
-        if (!columnNames.includes('credit_name')) {
-          console.log('Adding credit_name column...');
-          migrations.push(
-            db.runAsync("ALTER TABLE daily_records ADD COLUMN credit_name TEXT DEFAULT ''", [])
-          );
-        }
-        
-        // Also check for old columns that need updating
-        if (columnNames.includes('credits')) {
-          console.log('Migrating old credits column to credit_amount...');
-          // First add new columns if they don't exist
-          if (!columnNames.includes('credit_amount')) {
-            migrations.push(
-              db.runAsync("ALTER TABLE daily_records ADD COLUMN credit_amount REAL DEFAULT 0", [])
-            );
-          }
-          // Copy data from old credits to new credit_amount
-          migrations.push(
-            db.runAsync("UPDATE daily_records SET credit_amount = credits WHERE credit_amount = 0 AND credits IS NOT NULL", [])
-          );
+  // Reload the records list, newest first, keeping as many pages as are
+  // already loaded so the list does not jump after an edit
+  const loadDailyRecords = useCallback(() => {
+    const filters = recordFiltersRef.current;
+    Promise.all([
+      getDailyRecords(db, {
+        ...filters,
+        limit: Math.max(RECORDS_PAGE_SIZE, loadedCountRef.current),
+        descending: true,
+      }),
+      countDailyRecords(db, filters),
+    ])
+      .then(([records, count]) => {
+        loadedCountRef.current = records.length;
+        setDailyRecords(records);
+        setRecordCount(count);
+        calculateSummary();
+        if (expandedDateRef.current) {
+          loadSales(expandedDateRef.current);
         }
-        
-        return Promise.all(migrations);
       })
-      .then(() => {
-        console.log('Schema migration completed');
+      .catch(error => {
+        console.log('Error loading records: ', error);
+      });
+  }, [calculateSummary, loadSales]);
+
+  // Append the next page of records, if there is one
+  const loadMoreRecords = () => {
+    if (loadingMoreRef.current || dailyRecords.length === 0 || dailyRecords.length >= recordCount) {
+      return;
+    }
+    loadingMoreRef.current = true;
+    getDailyRecords(db, {
+      ...recordFiltersRef.current,
+      before: dailyRecords[dailyRecords.length - 1].date,
+      limit: RECORDS_PAGE_SIZE,
+      descending: true,
+    })
+      .then(records => {
+        loadedCountRef.current += records.length;
+        setDailyRecords(current => [...current, ...records]);
+        loadingMoreRef.current = false;
+      })
+      .catch(error => {
+        loadingMoreRef.current = false;
+        console.log('Error loading more records: ', error);
       });
   };
 
-  // Calculate summary function
-  const calculateSummary = useCallback(() => {
-    db.getFirstAsync(
-      `SELECT 
-        COALESCE(SUM(produced_eggs), 0) as totalProduced,
-        COALESCE(SUM(breakages), 0) as totalBreakages,
-        COALESCE(SUM(sold_eggs), 0) as totalSold,
-        COALESCESUM(sold_eggs * price_per_egg), 0) as totalCashSales,
-        COALESCE(SUM(credit_amount), 0) as totalCredits
-      FROM daily_records`
-    ).then(result => {
-      if (result) {
-        setSummary(result);
-      }
-    }).catch(error => {
-      console.log('Error calculating summary: ', error);
-    });
+  const applyRecordFilters = (filters) => {
+    recordFiltersRef.current = filters;
+    loadedCountRef.current = 0;
+    setRecordFilters(filters);
+    loadDailyRecords();
+  };
+
+  // Load the next page when the list's end scrolls into view
+  const handleScroll = ({ nativeEvent }) => {
+    const { layoutMeasurement, contentOffset, contentSize } = nativeEvent;
+    if (screen === 'daily' && layoutMeasurement.height + contentOffset.y >= contentSize.height - 400) {
+      loadMoreRecords();
+    }
+  };
+
+  const loadFlocks = useCallback(() => {
+    getFlocks(db, new Date().toISOString().split('T')[0])
+      .then(setFlocks)
+      .catch(error => {
+        console.log('Error loading flocks: ', error);
+      });
   }, []);
 
-  // Load daily records function
-  const loadDailyRecords = useCallback(() => {
-    db.getAllAsync('SELECT * FROM daily_records ORDER BY date DESC LIMIT 30')
-      .then(records => {
-        setDailyRecords(records);
-        calculateSummary();
+  const loadPackUnits = useCallback(() => {
+    getPackUnits(db)
+      .then(setPackUnits)
+      .catch(error => {
+        console.log('Error loading pack units: ', error);
+      });
+  }, []);
+
+  const loadGrades = useCallback(() => {
+    getGrades(db)
+      .then(setGrades)
+      .catch(error => {
+        console.log('Error loading grades: ', error);
+      });
+  }, []);
+
+  // Resolves once the settings are applied, even if they failed to load
+  const loadSettings = useCallback(() =>
+    getSettings(db)
+      .then(settings => {
+        setLocale(settings);
+        // A value this build does not know falls back to the system setting
+        const known = COLOR_SCHEMES.some(item => item.key === settings.colorScheme);
+        setColorSchemePreference(known ? settings.colorScheme : 'system');
       })
       .catch(error => {
-        console.log('Error loading records: ', error);
+        console.log('Error loading settings: ', error);
+      }), []);
+
+  // Reload the profiles. Whoever is signed in stays so while their profile
+  // exists, with its new role if that changed.
+  const loadUsers = useCallback(() =>
+    getUsers(db)
+      .then(rows => {
+        setUsersError(null);
+        setUsers(rows);
+        setCurrentUser(user => {
+          const profile = user && rows.find(row => row.id === user.id);
+          return profile ? { id: profile.id, name: profile.name, role: profile.role } : null;
+        });
+      })
+      .catch(error => {
+        console.log('Error loading users: ', error);
+        setUsersError(error.message);
+      }), []);
+
+  // What the signed-in user may do; everything while there are no profiles
+  const can = (permission) => canUser(currentUser, permission);
+
+  // Sales clerks only enter today's figures
+  const mayChangeDay = (recordDate) => {
+    if (can('editPastDays') || recordDate === new Date().toISOString().split('T')[0]) {
+      return true;
+    }
+    Alert.alert('Not Allowed', permissionDenied('editPastDays'));
+    return false;
+  };
+
+  // Amounts and dates as the currency and date settings ask
+  const format = useMemo(() => createFormatter(locale), [locale]);
+
+  // Everything another device can change through sync
+  const loadSyncedData = useCallback(() => {
+    loadDailyRecords();
+    loadFlocks();
+    loadPackUnits();
+    loadGrades();
+  }, [loadDailyRecords, loadFlocks, loadPackUnits, loadGrades]);
+
+  // Sync once on start when a server is set. Offline is normal, so a failed
+  // sync is only logged; changes wait for the next one.
+  const syncOnStart = useCallback(() => {
+    getSyncState(db)
+      .then(state => (state.server_url ? syncNow(db) : null))
+      .then(result => {
+        if (result && result.pulled > 0) {
+          loadSyncedData();
+        }
+      })
+      .catch(error => {
+        console.log('Error syncing on start: ', error);
       });
-  }, [calculateSummary]);
+  }, [loadSyncedData]);
+
+  // Bring the schema up to date, then load data. Nothing is shown until the
+  // users are loaded, and they wait for the settings, so the first screen
+  // already has the saved color scheme.
+  const initializeDatabase = useCallback(() => {
+    runMigrations(db)
+      .then(version => {
+        console.log(`Database ready at schema version ${version}, loading records...`);
+        loadSettings().then(loadUsers);
+        loadSyncedData();
+        syncOnStart();
+      })
+      .catch(error => {
+        console.log('Database init error: ', error);
+        Alert.alert('Database Error', error.message);
+        setUsersError(error.message);
+      });
+  }, [loadUsers, loadSyncedData, loadSettings, syncOnStart]);
 
   // Initialize on component mount
   useEffect(() => {
     initializeDatabase();
   }, [initializeDatabase]);
 
-  const saveDailyRecord = () => {
-    if (!producedEggs || !pricePerEgg) {
-      Alert.alert('Error', 'Please fill in produced eggs and price per egg');
+  // mode is 'replace' or 'add' (see projectProduction in db/records)
+  const writeProduction = (values, mode) => {
+    (values.flockId ? getFlockEggs(db, values.date, values.flockId) : Promise.resolve(0))
+      .then(flockEggs =>
+        checkDayChange(db, values.date, day => projectProduction(day, values, mode, flockEggs))
+      )
+      .then(shortfalls => {
+        if (shortfalls.length > 0) {
+          Alert.alert('Error', describeShortfall(shortfalls[0], values.date));
+          return;
+        }
+
+        // Less production can leave graded or ungraded sales short
+        return db.withTransactionAsync(() =>
+          saveProduction(db, values, mode).then(() => checkGradeStock(db, values.date))
+        ).then(() => {
+          Alert.alert('Success', 'Production saved successfully!');
+
+          // Clear form and refresh data
+          setProducedEggs('');
+          setBreakages('');
+          setEditingDate(null);
+          loadDailyRecords();
+        });
+      })
+      .catch(error => {
+        console.log('Save error: ', error);
+        Alert.alert('Error', 'Failed to save production: ' + error.message);
+      });
+  };
+
+  const saveProductionEntry = () => {
+    const { errors, values } = validateProduction({ date, producedEggs, breakages, flockId: productionFlockId });
+    if (errors.length > 0) {
+      Alert.alert('Error', errors.join('\n'));
+      return;
+    }
+    if (!mayChangeDay(values.date)) {
       return;
     }
 
-    const breakagesValue = parseInt(breakages) || 0;
-    const soldEggsValue = parseInt(soldEggs) || 0;
-    const creditAmountValue = parseFloat(creditAmount) || 0;
-    const priceValue = parseFloat(pricePerEgg);
-    
-    // Validate sold eggs don't exceed available eggs
-    const availableEggs = parseInt(producedEggs) - breakagesValue;
-    if (soldEggsValue > availableEggs) {
-      Alert.alert('Error', `Sold eggs (${soldEggsValue}) cannot exceed available eggs (${availableEggs})`);
+    // Editing a record replaces it; otherwise never overwrite without asking
+    if (editingDate) {
+      writeProduction(values, 'replace');
       return;
     }
 
-    db.runAsync(
-      `INSERT OR REPLACE INTO daily_records 
-       (date, produced_eggs, breakages, sold_eggs, price_per_egg, credit_amount, credit_name)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [date, parseInt(producedEggs), breakagesValue, soldEggsValue, priceValue, creditAmountValue, creditName]
-    ).then((result) => {
-      if (result.changes > 0) {
-        Alert.alert('Success', 'Daily record saved successfully!');
-        
-        // Clear form and refresh data
-        setProducedEggs('');
-        setBreakages('');
-        setSoldEggs('');
-        setPricePerEgg('');
-        setCreditAmount('');
-        setCreditName('');
-        loadDailyRecords();
-      }
-    }).catch(error => {
-      console.log('Save error: ', error);
-      Alert.alert('Error', 'Failed to save record: ' + error.message);
+    const flock = flocks.find(item => item.id === values.flockId);
+    Promise.all([getDay(db, values.date), flock ? getFlockEggs(db, values.date, flock.id) : 0])
+      .then(([existing, flockEggs]) => {
+        // A flock's first entry for the day adds to the day's other flocks
+        if (flock && flockEggs === 0) {
+          writeProduction(values, 'add');
+          return;
+        }
+        if (!flock && !hasProduction(existing)) {
+          writeProduction(values, 'replace');
+          return;
+        }
+
+        const description = flock
+          ? `${flock.name} already has ${flockEggs} eggs recorded for ${values.date} ` +
+            `(${existing.breakages} broken that day)`
+          : `A record already exists for ${values.date} (${existing.produced_eggs} produced, ` +
+            `${existing.breakages} broken)`;
+        Alert.alert(
+          'Record Exists',
+          `${description} — replace it, add to it, or cancel?`,
+          [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Add to It', onPress: () => writeProduction(values, 'add') },
+            { text: 'Replace', style: 'destructive', onPress: () => writeProduction(values, 'replace') },
+          ]
+        );
+      })
+      .catch(error => {
+        console.log('Save error: ', error);
+        Alert.alert('Error', 'Failed to save production: ' + error.message);
+      });
+  };
+
+  // Sales default to the smallest pack unit, single eggs
+  const selectedPack = salePack || packUnits[0] || SINGLE_EGG;
+  const isSelectedPack = (unit) =>
+    unit.name === selectedPack.name && unit.eggs_per_unit === selectedPack.eggs_per_unit;
+  const packLabel = (pack) => (pack.eggs_per_unit === 1 ? 'egg' : pack.name.toLowerCase());
+
+  // Quote the price from the customer's price list as the sale is typed.
+  // A price typed by hand is kept until the customer, pack or grade changes.
+  useEffect(() => {
+    let current = true;
+    const eggs = (parseInt(saleQuantity, 10) || 0) * selectedPack.eggs_per_unit;
+    quoteSalePrice(db, { customerName: saleCustomer, gradeId: saleGradeId, pack: selectedPack, eggs })
+      .then(quote => {
+        if (!current) {
+          return;
+        }
+        setPriceQuote(quote);
+        if (!priceEdited && quote.price > 0) {
+          setSalePrice(String(quote.price));
+        }
+      })
+      .catch(error => {
+        console.log('Error quoting price: ', error);
+      });
+    return () => {
+      current = false;
+    };
+  }, [saleCustomer, saleGradeId, selectedPack, saleQuantity, priceEdited]);
+
+  const choosePack = (unit) => {
+    setSalePack(unit);
+    setPriceEdited(false);
+  };
+
+  const chooseGrade = (gradeId) => {
+    setSaleGradeId(gradeId);
+    setPriceEdited(false);
+  };
+
+  const changeSaleCustomer = (name) => {
+    setSaleCustomer(name);
+    setPriceEdited(false);
+  };
+
+  const changeSalePrice = (price) => {
+    setSalePrice(price);
+    setPriceEdited(true);
+  };
+
+  // What the price list would have charged, kept on the sale for history.
+  // An edited sale keeps its original quote unless its price is re-quoted.
+  const listPricing = () => {
+    if (editingSale && priceEdited) {
+      return { listPrice: editingSale.list_price, discountPercent: editingSale.discount_percent };
+    }
+    if (!priceQuote || priceQuote.listPrice <= 0) {
+      return {};
+    }
+    return { listPrice: priceQuote.listPrice, discountPercent: priceEdited ? 0 : priceQuote.discountPercent };
+  };
+
+  const clearSaleForm = () => {
+    // Keep the pack, grade and payment type for the next sale
+    setSaleTime('');
+    setSaleQuantity('');
+    setSaleCustomer('');
+    setPriceEdited(false);
+    setEditingSale(null);
+  };
+
+  const addSaleEntry = () => {
+    const { errors, values } = validateSale({
+      date,
+      time: saleTime,
+      quantity: saleQuantity,
+      unitPrice: salePrice,
+      pack: selectedPack,
+      gradeId: saleGradeId,
+      ...listPricing(),
+      paymentType,
+      customerName: saleCustomer,
     });
+    if (errors.length > 0) {
+      Alert.alert('Error', errors.join('\n'));
+      return;
+    }
+    if (!mayChangeDay(values.date)) {
+      return;
+    }
+
+    const previousQuantity = editingSale ? editingSale.quantity : 0;
+    checkDayChange(db, values.date, day => ({
+      ...day,
+      sold_eggs: day.sold_eggs - previousQuantity + values.quantity,
+    }))
+      .then(shortfalls => {
+        if (shortfalls.length > 0) {
+          Alert.alert('Error', describeShortfall(shortfalls[0], values.date));
+          return;
+        }
+
+        // The sale and its ledger entry go in together or not at all
+        return db.withTransactionAsync(() =>
+          (editingSale ? updateSale(db, editingSale.id, values) : addSale(db, values))
+            .then(() => checkGradeStock(db, values.date))
+        ).then(() => {
+          Alert.alert('Success', editingSale ? 'Sale updated successfully!' : 'Sale added successfully!');
+          clearSaleForm();
+          loadDailyRecords();
+        });
+      })
+      .catch(error => {
+        console.log('Save error: ', error);
+        Alert.alert('Error', 'Failed to add sale: ' + error.message);
+      });
   };
 
   const addCreditOnly = () => {
-    if (!creditAmount || parseFloat(creditAmount) <= 0 || !creditName) {
+    if (!creditAmount || parseFloat(creditAmount) <= 0 || !creditName.trim()) {
       Alert.alert('Error', 'Please enter credit amount and customer name');
       return;
     }
+    if (!mayChangeDay(date)) {
+      return;
+    }
 
     Alert.alert(
       'Add Credit Only',
-      `Add credit of $${creditAmount} for ${creditName}?`,
+      `Add credit of ${format.money(parseFloat(creditAmount))} for ${creditName}?`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
           text: 'OK',
           onPress: () => {
-            // First check if record exists for this date
-            db.getFirstAsync('SELECT * FROM daily_records WHERE date = ?', [date])
-              .then(existingRecord => {
-                if (existingRecord) {
-                  // Update existing record
-                  const newCreditAmount = (existingRecord.credit_amount || 0) + parseFloat(creditAmount);
-                  const newCreditName = existingRecord.credit_name 
-                    ? `${existingRecord.credit_name}, ${creditName}`
-                    : creditName;
-                  
-                  return db.runAsync(
-                    `UPDATE daily_records SET 
-                      credit_amount = ?,
-                      credit_name = ?
-                     WHERE date = ?`,
-                    [newCreditAmount, newCreditName, date]
-                  );
-                } else {
-                  // Create new record with just credit info
-                  return db.runAsync(
-                    `INSERT INTO daily_records 
-                     (date, produced_eggs, breakages, sold_eggs, price_per_egg, credit_amount, credit_name)
-                     VALUES (?, 0, 0, 0, 0, ?, ?)`,
-                    [date, parseFloat(creditAmount), creditName]
-                  );
-                }
-              })
-              .then((result) => {
-                if (result.changes > 0) {
-                  Alert.alert('Success', 'Credit added successfully!');
-                  loadDailyRecords();
-                  setCreditAmount('');
-                  setCreditName('');
-                }
+            // Keep an (empty) daily record so the day shows up in the list
+            db.withTransactionAsync(() =>
+              ensureDay(db, date)
+                .then(() => addCreditTransaction(db, {
+                  customerName: creditName,
+                  date,
+                  amount: parseFloat(creditAmount),
+                }))
+            )
+              .then(() => {
+                Alert.alert('Success', 'Credit added successfully!');
+                loadDailyRecords();
+                setCreditAmount('');
+                setCreditName('');
               })
               .catch(error => {
                 console.log('Error adding credit: ', error);
@@ -270,23 +570,49 @@ const App = () => {
     );
   };
 
-  const deleteRecord = (id) => {
+  // Deletes go through the audit log so they can be undone or restored from the trash
+  const deleteWithUndo = (message, task) => {
+    let batchId;
+    return db.withTransactionAsync(() =>
+      auditBatch(db, message, task).then(id => {
+        batchId = id;
+      })
+    ).then(() => {
+      setUndoable({ message, batchId });
+      loadDailyRecords();
+    });
+  };
+
+  const undoDelete = () => {
+    const { batchId } = undoable;
+    setUndoable(null);
+    db.withTransactionAsync(() => restoreBatch(db, batchId))
+      .then(() => loadDailyRecords())
+      .catch(error => {
+        console.log('Error undoing delete: ', error);
+        Alert.alert('Error', 'Failed to undo: ' + error.message);
+      });
+  };
+
+  const dismissUndo = useCallback(() => setUndoable(null), []);
+
+  const confirmDeleteRecord = (record) => {
     Alert.alert(
       'Delete Record',
-      'Are you sure you want to delete this record?',
+      `Delete ${record.date} and its ${record.sale_count} sale(s)? Credit entered on its own stays on the customer ledger.`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
           text: 'Delete',
           style: 'destructive',
           onPress: () => {
-            db.runAsync('DELETE FROM daily_records WHERE id = ?', [id])
-              .then(() => {
-                Alert.alert('Success', 'Record deleted successfully!');
-                loadDailyRecords();
-              })
+            deleteWithUndo(
+              `Deleted ${record.date}`,
+              () => deleteDay(db, record.date).then(() => checkGradeStock(db, record.date))
+            )
               .catch(error => {
                 console.log('Error deleting record: ', error);
+                Alert.alert('Cannot Delete', error.message);
               });
           }
         }
@@ -294,57 +620,111 @@ const App = () => {
     );
   };
 
-  const exportData = () => {
-    db.getAllAsync('SELECT * FROM daily_records ORDER BY date')
-      .then(records => {
-        if (records.length === 0) {
-          Alert.alert('Info', 'No data to export');
+  // Eggs carried over from this day may already have been sold later on
+  const deleteRecord = (record) => {
+    checkStockChanges(db, new Map([[record.date, null]]))
+      .then(shortfalls => {
+        if (shortfalls.length > 0) {
+          Alert.alert('Cannot Delete', describeShortfall(shortfalls[0], record.date));
           return;
         }
-        
-        let csv = 'Date,Produced Eggs,Breakages,Sold Eggs,Remaining Eggs,Price Per Egg,Cash Sales,Credit Amount,Credit Name\n';
-        
-        records.forEach(record => {
-          const remainingEggs = (record.produced_eggs || 0) - (record.breakages || 0) - (record.sold_eggs || 0);
-          const cashSales = (record.sold_eggs || 0) * (record.price_per_egg || 0);
-          
-          csv += `${record.date},${record.produced_eggs || 0},${record.breakages || 0},${record.sold_eggs || 0},${remainingEggs},${record.price_per_egg || 0},${cashSales},${record.credit_amount || 0},"${record.credit_name || ''}"\n`;
-        });
-        
-        Alert.alert(
-          'Export Data',
-          `${records.length} records ready for export.\n\nData has been logged to console.`,
-          [{ text: 'OK' }]
-        );
-        
-        console.log('CSV Data:\n', csv);
+        confirmDeleteRecord(record);
       })
       .catch(error => {
-        console.log('Error exporting data: ', error);
+        console.log('Error checking stock: ', error);
       });
   };
 
+  const removeSale = (sale) => {
+    Alert.alert(
+      'Delete Sale',
+      `Delete the sale of ${sale.quantity} eggs${sale.customer_name ? ` to ${sale.customer_name}` : ''}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => {
+            deleteWithUndo(`Deleted sale of ${sale.quantity} eggs`, () => deleteSale(db, sale.id))
+              .catch(error => {
+                console.log('Error deleting sale: ', error);
+                Alert.alert('Error', error.message);
+              });
+          }
+        }
+      ]
+    );
+  };
+
+  // Load a day's production into the form for editing
+  const editRecord = (record) => {
+    if (!mayChangeDay(record.date)) {
+      return;
+    }
+    setEditingSale(null);
+    setEditingDate(record.date);
+    setProductionFlockId(null);
+    setDate(record.date);
+    setProducedEggs(String(record.produced_eggs || 0));
+    setBreakages(String(record.breakages || 0));
+    scrollViewRef.current?.scrollTo({ y: 0, animated: true });
+  };
+
+  const editSale = (sale) => {
+    if (!mayChangeDay(sale.date)) {
+      return;
+    }
+    setEditingDate(null);
+    setEditingSale(sale);
+    setDate(sale.date);
+    setSaleTime(sale.time || '');
+    setSalePack({ name: sale.pack_name, eggs_per_unit: sale.pack_size });
+    setSaleGradeId(sale.grade_id);
+    setSaleQuantity(String(sale.pack_count));
+    setSalePrice(String(sale.pack_price));
+    setPriceEdited(true);
+    setPaymentType(sale.payment_type);
+    setSaleCustomer(sale.customer_name || '');
+    scrollViewRef.current?.scrollTo({ y: 0, animated: true });
+  };
+
+  const cancelEditing = () => {
+    setEditingDate(null);
+    setProducedEggs('');
+    setBreakages('');
+    clearSaleForm();
+  };
+
+  const toggleSales = (recordDate) => {
+    if (expandedDate === recordDate) {
+      expandedDateRef.current = null;
+      setExpandedDate(null);
+      setExpandedSales([]);
+      return;
+    }
+    expandedDateRef.current = recordDate;
+    setExpandedDate(recordDate);
+    loadSales(recordDate);
+  };
+
   const resetDatabase = () => {
     Alert.alert(
       'Reset Database',
-      'This will delete ALL data and recreate tables with new schema. Continue?',
+      'This will delete all production, sales, customers and their credit, flocks and expenses. ' +
+      'Settings, grades, pack units, price lists and users are kept. ' +
+      `A backup is taken first, and the data can be restored from the History tab for ${TRASH_RETENTION_DAYS} days. Continue?`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
           text: 'Reset',
           style: 'destructive',
           onPress: () => {
-            db.runAsync('DROP TABLE IF EXISTS daily_records', [])
-              .then(() => {
-                console.log('Table dropped, recreating...');
-                return createNewTable();
-              })
-              .then(() => {
-                Alert.alert('Success', 'Database reset with new schema. Loading fresh...');
-                loadDailyRecords();
-              })
+            // Keep a full backup too, in case the trash is not enough
+            takeAutomaticBackup()
+              .then(() => deleteWithUndo('Database reset', () => deleteAllData(db)))
               .catch(error => {
                 console.log('Error resetting database: ', error);
+                Alert.alert('Error', error.message);
               });
           }
         }
@@ -352,214 +732,593 @@ const App = () => {
     );
   };
 
+  const sendInvoice = (saleId, send) => {
+    getInvoice(db, saleId)
+      .then(invoice => {
+        if (!invoice) {
+          throw new Error('This sale no longer exists');
+        }
+        return send(invoiceHtml(invoice, format), `${invoice.number}.pdf`);
+      })
+      .catch(error => {
+        console.log('Error creating invoice: ', error);
+        Alert.alert('Error', 'Failed to create invoice: ' + error.message);
+      });
+  };
+
+  const showInvoice = (sale) => {
+    Alert.alert(
+      'Invoice',
+      `Invoice for ${sale.quantity} eggs${sale.customer_name ? ` to ${sale.customer_name}` : ''}`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Share PDF', onPress: () => sendInvoice(sale.id, shareDocument) },
+        { text: 'Print', onPress: () => sendInvoice(sale.id, printDocument) },
+      ]
+    );
+  };
+
+  const renderSale = (sale) => (
+    <View key={sale.id} style={styles.saleRow}>
+      <TouchableOpacity style={styles.saleInfo} onPress={() => editSale(sale)}>
+        <Text style={styles.bodyText}>
+          {sale.time ? `${sale.time} · ` : ''}
+          {sale.pack_size === 1
+            ? `${sale.quantity} eggs @ ${format.money(sale.unit_price)}`
+            : `${sale.pack_count} × ${sale.pack_name} (${sale.quantity} eggs) @ ${format.money(sale.pack_price)}`}
+        </Text>
+        <Text style={styles.saleMeta}>
+          {sale.payment_type === 'credit' ? 'Credit' : 'Cash'}
+          {sale.grade_name ? ` · ${sale.grade_name}` : ''}
+          {sale.discount_percent > 0 ? ` · ${sale.discount_percent}% off` : ''}
+          {sale.list_price > 0 && sale.discount_percent === 0 && sale.list_price !== sale.pack_price
+            ? ` · list ${format.money(sale.list_price)}`
+            : ''}
+          {sale.customer_name ? ` · ${sale.customer_name}` : ''}
+          {sale.note ? ` · ${sale.note}` : ''}
+          {sale.created_by ? ` · by ${sale.created_by}` : ''}
+        </Text>
+      </TouchableOpacity>
+      <Text style={styles.saleAmount}>{format.money(saleAmount(sale))}</Text>
+      <TouchableOpacity onPress={() => showInvoice(sale)}>
+        <Text style={styles.invoiceButton}>🧾</Text>
+      </TouchableOpacity>
+      {can('deleteRecords') && (
+        <TouchableOpacity onPress={() => removeSale(sale)}>
+          <Text style={styles.deleteSaleButton}>✕</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
   const renderRecordItem = ({ item }) => {
     const produced = item.produced_eggs || 0;
     const breakages = item.breakages || 0;
-    const sold = item.sold_eggs || 0;
-    const price = item.price_per_egg || 0;
     const credit = item.credit_amount || 0;
-    const remainingEggs = produced - breakages - sold;
-    const cashSales = sold * price;
     
     return (
       <View style={styles.recordItem}>
         <View style={styles.recordHeader}>
-          <Text style={styles.recordDate}>{item.date}</Text>
-          <TouchableOpacity onPress={() => deleteRecord(item.id)}>
-            <Text style={styles.deleteButton}>✕</Text>
-          </TouchableOpacity>
+          <Text style={styles.recordDate}>{format.date(item.date)}</Text>
+          {can('deleteRecords') && (
+            <TouchableOpacity onPress={() => deleteRecord(item)}>
+              <Text style={styles.deleteButton}>✕</Text>
+            </TouchableOpacity>
+          )}
         </View>
-        <View style={styles.recordDetails}>
-          <Text>Produced: {produced} eggs</Text>
-          <Text>Breakages: {breakages} eggs</Text>
-          <Text>Sold: {sold} eggs</Text>
-          <Text>Remaining: {remainingEggs} eggs</Text>
-          <Text>Price: ${price.toFixed(2)}/egg</Text>
+        <TouchableOpacity style={styles.recordDetails} onPress={() => editRecord(item)}>
+          {item.created_by && <Text style={styles.enteredByText}>Entered by {item.created_by}</Text>}
+          <Text style={styles.bodyText}>Opening Stock: {item.opening_stock} eggs</Text>
+          <Text style={styles.bodyText}>Produced: {produced} eggs</Text>
+          <Text style={styles.bodyText}>Breakages: {breakages} eggs</Text>
+          <Text style={styles.bodyText}>
+            Sold: {item.sold_eggs} eggs in {item.sale_count} sale(s)
+            {item.sold_eggs > 0 && ` (${describeEggs(item.sold_eggs, packUnits)})`}
+          </Text>
+          <Text style={styles.bodyText}>
+            Closing Stock: {item.closing_stock} eggs
+            {item.closing_stock > 0 && ` (${describeEggs(item.closing_stock, packUnits)})`}
+          </Text>
           <Text style={styles.cashSalesText}>
-            Cash Sales: ${cashSales.toFixed(2)}
+            Cash Sales: {format.money(item.cash_sales)}
           </Text>
+          {item.credit_sales > 0 && (
+            <Text style={styles.bodyText}>Credit Sales: {format.money(item.credit_sales)}</Text>
+          )}
           {credit > 0 && (
             <>
-              <Text>Credit: ${credit.toFixed(2)}</Text>
-              {item.credit_name && (
-                <Text>Customer: {item.credit_name}</Text>
+              <Text style={styles.bodyText}>Credit Given: {format.money(credit)}</Text>
+              {item.credit_customers && (
+                <Text style={styles.bodyText}>Customer: {item.credit_customers}</Text>
               )}
             </>
           )}
-        </View>
+        </TouchableOpacity>
+        {item.sale_count > 0 && (
+          <TouchableOpacity onPress={() => toggleSales(item.date)}>
+            <Text style={styles.toggleSalesText}>
+              {expandedDate === item.date ? 'Hide sales ▴' : 'Show sales ▾'}
+            </Text>
+          </TouchableOpacity>
+        )}
+        {expandedDate === item.date && (
+          <View style={styles.salesList}>{expandedSales.map(renderSale)}</View>
+        )}
       </View>
     );
   };
 
+  // Without the profiles there is no knowing whether a PIN is needed, so
+  // nothing opens until they load
+  if (users === null) {
+    return (
+      <>
+        <StatusBar style={colorScheme === 'dark' ? 'light' : 'dark'} />
+        {usersError && (
+          <View style={styles.startError}>
+            <Text style={styles.noRecords}>The app could not start: {usersError}</Text>
+            <TouchableOpacity
+              style={[styles.saveButton, styles.fullWidthButton]}
+              onPress={() => {
+                setUsersError(null);
+                initializeDatabase();
+              }}
+            >
+              <Text style={styles.buttonText}>Try Again</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </>
+    );
+  }
+
+  if (users.length > 0 && !currentUser) {
+    return (
+      <>
+        <StatusBar style={colorScheme === 'dark' ? 'light' : 'dark'} />
+        <LockScreen users={users} onSignedIn={setCurrentUser} />
+      </>
+    );
+  }
+
   return (
     <>
-      <StatusBar style="auto" />
-      <ScrollView style={styles.container}>
+      <StatusBar style={colorScheme === 'dark' ? 'light' : 'dark'} />
+      <ScrollView ref={scrollViewRef} style={styles.container} onScroll={handleScroll} scrollEventThrottle={200}>
         <View style={styles.header}>
           <Text style={styles.headerTitle}>🥚 Egg Inventory System</Text>
           <View style={styles.headerButtons}>
-            <TouchableOpacity onPress={resetDatabase} style={styles.resetButton}>
-              <Text style={styles.resetButtonText}>🔄 Reset DB</Text>
-            </TouchableOpacity>
+            {currentUser && (
+              <TouchableOpacity onPress={() => setCurrentUser(null)} style={styles.userButton}>
+                <Text style={styles.resetButtonText}>
+                  👤 {currentUser.name} ({roleLabel(currentUser.role)}) · Lock
+                </Text>
+              </TouchableOpacity>
+            )}
+            {can('resetData') && (
+              <TouchableOpacity onPress={resetDatabase} style={styles.resetButton}>
+                <Text style={styles.resetButtonText}>🔄 Reset DB</Text>
+              </TouchableOpacity>
+            )}
           </View>
         </View>
 
-        <View style={styles.infoCard}>
-          <Text style={styles.infoText}>⚠️ Tap "Reset DB" to update database schema for new fields</Text>
+        <View style={styles.tabBar}>
+          {SCREENS.map(item => (
+            <TouchableOpacity
+              key={item.key}
+              style={[styles.tab, screen === item.key && styles.activeTab]}
+              onPress={() => setScreen(item.key)}
+            >
+              <Text style={[styles.tabText, screen === item.key && styles.activeTabText]}>{item.label}</Text>
+            </TouchableOpacity>
+          ))}
         </View>
 
-        {/* Summary Section */}
-        <View style={styles.summaryCard}>
-          <Text style={styles.summaryTitle}>Total Summary</Text>
-          <View style={styles.summaryGrid}>
-            <View style={styles.summaryItem}>
-              <Text style={styles.summaryLabel}>Total Produced</Text>
-              <Text style={styles.summaryValue}>{summary.totalProduced} eggs</Text>
-            </View>
-            <View style={styles.summaryItem}>
-              <Text style={styles.summaryLabel}>Total Breakages</Text>
-              <Text style={styles.summaryValue}>{summary.totalBreakages} eggs</Text>
-            </View>
-            <View style={styles.summaryItem}>
-              <Text style={styles.summaryLabel}>Total Sold</Text>
-              <Text style={styles.summaryValue}>{summary.totalSold} eggs</Text>
-            </View>
-            <View style={styles.summaryItem}>
-              <Text style={styles.summaryLabel}>Cash Sales</Text>
-              <Text style={styles.summaryValue}>${summary.totalCashSales.toFixed(2)}</Text>
-            </View>
-            <View style={styles.summaryItem}>
-              <Text style={styles.summaryLabel}>Total Credits</Text>
-              <Text style={styles.summaryValue}>${summary.totalCredits.toFixed(2)}</Text>
+        {screen === 'reports' && <ReportsScreen format={format} />}
+
+        {screen === 'customers' && <CustomersScreen format={format} can={can} />}
+
+        {screen === 'flocks' && <FlocksScreen format={format} can={can} onFlocksChanged={loadFlocks} />}
+
+        {screen === 'expenses' && <ExpensesScreen format={format} can={can} />}
+
+        {screen === 'history' && (
+          <HistoryScreen
+            format={format}
+            can={can}
+            currentUser={currentUser}
+            onRestored={() => {
+              // A restored backup brings its own settings and users along,
+              // so whoever restored it signs in again
+              setCurrentUser(null);
+              loadUsers();
+              loadDailyRecords();
+              loadSettings();
+            }}
+          />
+        )}
+
+        {screen === 'settings' && (
+          <SettingsScreen
+            format={format}
+            can={can}
+            users={users}
+            currentUser={currentUser}
+            onUsersChanged={loadUsers}
+            onLocaleChanged={setLocale}
+            onPackUnitsChanged={loadPackUnits}
+            onGradesChanged={() => {
+              loadGrades();
+              calculateSummary();
+            }}
+            onSynced={loadSyncedData}
+          />
+        )}
+
+        {screen === 'daily' && (
+          <>
+            {/* Summary Section */}
+            <View style={styles.summaryCard}>
+              <Text style={styles.summaryTitle}>Total Summary</Text>
+              <View style={styles.summaryGrid}>
+                <View style={styles.summaryItem}>
+                  <Text style={styles.summaryLabel}>Total Produced</Text>
+                  <Text style={styles.summaryValue}>{summary.totalProduced} eggs</Text>
+                </View>
+                <View style={styles.summaryItem}>
+                  <Text style={styles.summaryLabel}>Total Breakages</Text>
+                  <Text style={styles.summaryValue}>{summary.totalBreakages} eggs</Text>
+                </View>
+                <View style={styles.summaryItem}>
+                  <Text style={styles.summaryLabel}>Total Sold</Text>
+                  <Text style={styles.summaryValue}>{summary.totalSold} eggs</Text>
+                </View>
+                <View style={styles.summaryItem}>
+                  <Text style={styles.summaryLabel}>Stock on Hand</Text>
+                  <Text style={styles.summaryValue}>{summary.stockOnHand} eggs</Text>
+                </View>
+                <View style={styles.summaryItem}>
+                  <Text style={styles.summaryLabel}>Cash Sales</Text>
+                  <Text style={styles.summaryValue}>{format.money(summary.totalCashSales)}</Text>
+                </View>
+                <View style={styles.summaryItem}>
+                  <Text style={styles.summaryLabel}>Credit Sales</Text>
+                  <Text style={styles.summaryValue}>{format.money(summary.totalCreditSales)}</Text>
+                </View>
+                <View style={styles.summaryItem}>
+                  <Text style={styles.summaryLabel}>Outstanding Credit</Text>
+                  <Text style={styles.summaryValue}>{format.money(summary.outstandingCredit)}</Text>
+                </View>
+              </View>
             </View>
-          </View>
-        </View>
 
-        {/* Input Form */}
-        <View style={styles.formCard}>
-          <Text style={styles.formTitle}>Daily Entry</Text>
+            {/* Stock and sales per grade, once any eggs have been graded */}
+            {gradeSummary.some(row => row.id !== null && (row.stock !== 0 || row.sold_eggs > 0)) && (
+              <View style={styles.summaryCard}>
+                <Text style={styles.summaryTitle}>By Grade</Text>
+                <View style={styles.gradeRow}>
+                  <Text style={[styles.gradeCell, styles.gradeNameCell, styles.gradeHeader]}>Grade</Text>
+                  <Text style={[styles.gradeCell, styles.gradeHeader]}>In Stock</Text>
+                  <Text style={[styles.gradeCell, styles.gradeHeader]}>Sold</Text>
+                  <Text style={[styles.gradeCell, styles.gradeHeader]}>Sales</Text>
+                </View>
+                {gradeSummary.map(row => (
+                  <View key={row.id === null ? 'ungraded' : row.id} style={styles.gradeRow}>
+                    <Text style={[styles.gradeCell, styles.gradeNameCell]}>{row.name}</Text>
+                    <Text style={styles.gradeCell}>{row.stock}</Text>
+                    <Text style={styles.gradeCell}>{row.sold_eggs}</Text>
+                    <Text style={styles.gradeCell}>{format.money(row.revenue)}</Text>
+                  </View>
+                ))}
+              </View>
+            )}
+
+            {/* Input Form */}
+            <View style={styles.formCard}>
+              <Text style={styles.formTitle}>Daily Entry</Text>
+
+              {(editingDate || editingSale) && (
+                <View style={styles.editingBanner}>
+                  <Text style={styles.editingText}>
+                    {editingDate
+                      ? `Editing production for ${format.date(editingDate)}`
+                      : `Editing a sale of ${editingSale.quantity} eggs on ${format.date(editingSale.date)}`}
+                  </Text>
+                  <TouchableOpacity onPress={cancelEditing}>
+                    <Text style={styles.cancelEditText}>Cancel</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
           
-          <View style={styles.inputGroup}>
-            <Text style={styles.label}>Date</Text>
-            <TextInput
-              style={styles.input}
-              value={date}
-              onChangeText={setDate}
-              placeholder="YYYY-MM-DD"
-            />
-          </View>
+              <View style={styles.inputGroup}>
+                <Text style={styles.label}>Date</Text>
+                <TextInput
+                  style={[styles.input, (editingDate || editingSale) && styles.lockedInput]}
+                  value={date}
+                  onChangeText={setDate}
+                  editable={!editingDate && !editingSale}
+                  placeholderTextColor={colors.muted}
+                  placeholder="YYYY-MM-DD"
+                />
+              </View>
 
-          <View style={styles.inputGroup}>
-            <Text style={styles.label}>Produced Eggs</Text>
-            <TextInput
-              style={styles.input}
-              value={producedEggs}
-              onChangeText={setProducedEggs}
-              keyboardType="number-pad"
-              placeholder="Enter number of eggs"
-            />
-          </View>
+              {flocks.length > 0 && (
+                <View style={styles.inputGroup}>
+                  <Text style={styles.label}>Flock</Text>
+                  <View style={styles.chipPicker}>
+                    {[{ id: null, name: 'Whole day' }, ...flocks].map(flock => (
+                      <TouchableOpacity
+                        key={flock.id || 'all'}
+                        style={[styles.chipOption, productionFlockId === flock.id && styles.selectedPaymentOption]}
+                        onPress={() => setProductionFlockId(flock.id)}
+                      >
+                        <Text
+                          style={[
+                            styles.paymentOptionText,
+                            productionFlockId === flock.id && styles.selectedPaymentOptionText,
+                          ]}
+                        >
+                          {flock.name}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                </View>
+              )}
 
-          <View style={styles.inputGroup}>
-            <Text style={styles.label}>Breakages</Text>
-            <TextInput
-              style={styles.input}
-              value={breakages}
-              onChangeText={setBreakages}
-              keyboardType="number-pad"
-              placeholder="Enter breakages (optional)"
-            />
-          </View>
+              <View style={styles.inputGroup}>
+                <Text style={styles.label}>{productionFlockId ? 'Produced Eggs (this flock)' : 'Produced Eggs'}</Text>
+                <TextInput
+                  style={styles.input}
+                  value={producedEggs}
+                  onChangeText={setProducedEggs}
+                  keyboardType="number-pad"
+                  placeholderTextColor={colors.muted}
+                  placeholder="Enter number of eggs"
+                />
+              </View>
 
-          <View style={styles.inputGroup}>
-            <Text style={styles.label}>Sold Eggs (Cash)</Text>
-            <TextInput
-              style={styles.input}
-              value={soldEggs}
-              onChangeText={setSoldEggs}
-              keyboardType="number-pad"
-              placeholder="Eggs sold for cash"
-            />
-          </View>
+              <View style={styles.inputGroup}>
+                <Text style={styles.label}>Breakages</Text>
+                <TextInput
+                  style={styles.input}
+                  value={breakages}
+                  onChangeText={setBreakages}
+                  keyboardType="number-pad"
+                  placeholderTextColor={colors.muted}
+                  placeholder="Enter breakages (optional)"
+                />
+              </View>
 
-          <View style={styles.inputGroup}>
-            <Text style={styles.label}>Price per Egg ($)</Text>
-            <TextInput
-              style={styles.input}
-              value={pricePerEgg}
-              onChangeText={setPricePerEgg}
-              keyboardType="decimal-pad"
-              placeholder="0.00"
-            />
-          </View>
+              <TouchableOpacity style={[styles.saveButton, styles.fullWidthButton]} onPress={saveProductionEntry}>
+                <Text style={styles.buttonText}>{editingDate ? 'Update Production' : 'Save Production'}</Text>
+              </TouchableOpacity>
+            </View>
 
-          <View style={styles.inputGroup}>
-            <Text style={styles.label}>Credit Amount ($)</Text>
-            <TextInput
-              style={styles.input}
-              value={creditAmount}
-              onChangeText={setCreditAmount}
-              keyboardType="decimal-pad"
-              placeholder="0.00"
-            />
-          </View>
+            <GradingCard date={date} grades={grades} mayChangeDay={mayChangeDay} onSaved={loadDailyRecords} />
 
-          <View style={styles.inputGroup}>
-            <Text style={styles.label}>Customer Name (Credit)</Text>
-            <TextInput
-              style={styles.input}
-              value={creditName}
-              onChangeText={setCreditName}
-              placeholder="Name of person with credit"
-            />
-          </View>
+            {/* Sale Form */}
+            <View style={styles.formCard}>
+              <Text style={styles.formTitle}>{editingSale ? 'Edit Sale' : 'Add Sale'} for {date}</Text>
 
-          <View style={styles.buttonRow}>
-            <TouchableOpacity style={styles.saveButton} onPress={saveDailyRecord}>
-              <Text style={styles.buttonText}>Save Daily Record</Text>
-            </TouchableOpacity>
-            
-            <TouchableOpacity style={styles.creditButton} onPress={addCreditOnly}>
-              <Text style={styles.buttonText}>Add Credit Only</Text>
-            </TouchableOpacity>
-          </View>
-        </View>
+              <View style={styles.inputGroup}>
+                <Text style={styles.label}>Time</Text>
+                <TextInput
+                  style={styles.input}
+                  value={saleTime}
+                  onChangeText={setSaleTime}
+                  placeholderTextColor={colors.muted}
+                  placeholder="HH:MM (optional)"
+                />
+              </View>
 
-        {/* Export Button */}
-        <TouchableOpacity style={styles.exportButton} onPress={exportData}>
-          <Text style={styles.exportButtonText}>📊 Export Data to CSV</Text>
-        </TouchableOpacity>
+              {grades.length > 0 && (
+                <View style={styles.inputGroup}>
+                  <Text style={styles.label}>Grade</Text>
+                  <View style={styles.chipPicker}>
+                    {[{ id: null, name: 'Ungraded' }, ...grades].map(grade => (
+                      <TouchableOpacity
+                        key={grade.id === null ? 'ungraded' : grade.id}
+                        style={[styles.chipOption, saleGradeId === grade.id && styles.selectedPaymentOption]}
+                        onPress={() => chooseGrade(grade.id)}
+                      >
+                        <Text style={[styles.paymentOptionText, saleGradeId === grade.id && styles.selectedPaymentOptionText]}>
+                          {grade.name}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                </View>
+              )}
 
-        {/* Recent Records */}
-        <View style={styles.recordsCard}>
-          <View style={styles.recordsHeader}>
-            <Text style={styles.recordsTitle}>Recent Records (Last 30 Days)</Text>
-            <Text style={styles.recordsCount}>{dailyRecords.length} records</Text>
-          </View>
-          {dailyRecords.length === 0 ? (
-            <Text style={styles.noRecords}>No records yet. Start by adding your first daily entry!</Text>
-          ) : (
-            <FlatList
-              data={dailyRecords}
-              renderItem={renderRecordItem}
-              keyExtractor={item => item.id.toString()}
-              scrollEnabled={false}
-            />
-          )}
-        </View>
+              <View style={styles.inputGroup}>
+                <Text style={styles.label}>Sold By</Text>
+                <View style={styles.chipPicker}>
+                  {packUnits.map(unit => (
+                    <TouchableOpacity
+                      key={unit.id}
+                      style={[styles.chipOption, isSelectedPack(unit) && styles.selectedPaymentOption]}
+                      onPress={() => choosePack(unit)}
+                    >
+                      <Text style={[styles.paymentOptionText, isSelectedPack(unit) && styles.selectedPaymentOptionText]}>
+                        {unit.eggs_per_unit === 1 ? unit.name : `${unit.name} (${unit.eggs_per_unit})`}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+
+              <View style={styles.inputGroup}>
+                <Text style={styles.label}>Number of {packLabel(selectedPack)}s</Text>
+                <TextInput
+                  style={styles.input}
+                  value={saleQuantity}
+                  onChangeText={setSaleQuantity}
+                  keyboardType="number-pad"
+                  placeholderTextColor={colors.muted}
+                  placeholder={selectedPack.eggs_per_unit === 1
+                    ? 'Number of eggs'
+                    : `Number of ${packLabel(selectedPack)}s of ${selectedPack.eggs_per_unit}`}
+                />
+              </View>
+
+              <View style={styles.inputGroup}>
+                <Text style={styles.label}>Price per {packLabel(selectedPack)} ({locale.currencySymbol})</Text>
+                <TextInput
+                  style={styles.input}
+                  value={salePrice}
+                  onChangeText={changeSalePrice}
+                  keyboardType="decimal-pad"
+                  placeholderTextColor={colors.muted}
+                  placeholder={(0).toFixed(locale.decimalPlaces)}
+                />
+                {priceQuote && priceQuote.listPrice > 0 && (
+                  <Text style={styles.priceHint}>
+                    {priceQuote.source}: {format.money(priceQuote.listPrice)}
+                    {priceQuote.discountPercent > 0
+                      ? `, ${priceQuote.discountPercent}% off = ${format.money(priceQuote.price)}`
+                      : ''}
+                    {priceEdited && parseFloat(salePrice) !== priceQuote.price ? ' · a different price is entered' : ''}
+                  </Text>
+                )}
+              </View>
+
+              <View style={styles.inputGroup}>
+                <Text style={styles.label}>Payment</Text>
+                <View style={styles.paymentToggle}>
+                  {['cash', 'credit'].map(type => (
+                    <TouchableOpacity
+                      key={type}
+                      style={[styles.paymentOption, paymentType === type && styles.selectedPaymentOption]}
+                      onPress={() => setPaymentType(type)}
+                    >
+                      <Text style={[styles.paymentOptionText, paymentType === type && styles.selectedPaymentOptionText]}>
+                        {type === 'cash' ? 'Cash' : 'Credit'}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+
+              <View style={styles.inputGroup}>
+                <Text style={styles.label}>Customer Name{paymentType === 'credit' ? '' : ' (optional)'}</Text>
+                <TextInput
+                  style={styles.input}
+                  value={saleCustomer}
+                  onChangeText={changeSaleCustomer}
+                  placeholderTextColor={colors.muted}
+                  placeholder="Who bought the eggs"
+                />
+              </View>
+
+              <TouchableOpacity style={[styles.saveButton, styles.fullWidthButton]} onPress={addSaleEntry}>
+                <Text style={styles.buttonText}>{editingSale ? 'Update Sale' : 'Add Sale'}</Text>
+              </TouchableOpacity>
+            </View>
+
+            {/* Credit without a sale */}
+            <View style={styles.formCard}>
+              <Text style={styles.formTitle}>Credit Without a Sale</Text>
+
+              <View style={styles.inputGroup}>
+                <Text style={styles.label}>Credit Amount ({locale.currencySymbol})</Text>
+                <TextInput
+                  style={styles.input}
+                  value={creditAmount}
+                  onChangeText={setCreditAmount}
+                  keyboardType="decimal-pad"
+                  placeholderTextColor={colors.muted}
+                  placeholder={(0).toFixed(locale.decimalPlaces)}
+                />
+              </View>
+
+              <View style={styles.inputGroup}>
+                <Text style={styles.label}>Customer Name (Credit)</Text>
+                <TextInput
+                  style={styles.input}
+                  value={creditName}
+                  onChangeText={setCreditName}
+                  placeholderTextColor={colors.muted}
+                  placeholder="Name of person with credit"
+                />
+              </View>
+
+              <TouchableOpacity style={[styles.creditButton, styles.fullWidthButton]} onPress={addCreditOnly}>
+                <Text style={styles.buttonText}>Add Credit Only</Text>
+              </TouchableOpacity>
+            </View>
+
+            {/* Export / Import */}
+            {showExport && <ExportCard locale={locale} onClose={() => setShowExport(false)} />}
+            {showImport && (
+              <ImportCard locale={locale} onClose={() => setShowImport(false)} onImported={loadDailyRecords} />
+            )}
+            {/* Imports can write any day, so they need the same right as editing past days */}
+            {!showExport && !showImport && (can('exportData') || can('editPastDays')) && (
+              <View style={styles.dataButtons}>
+                {can('exportData') && (
+                  <TouchableOpacity style={[styles.exportButton, styles.halfButton]} onPress={() => setShowExport(true)}>
+                    <Text style={styles.exportButtonText}>📊 Export CSV</Text>
+                  </TouchableOpacity>
+                )}
+                {can('editPastDays') && (
+                  <TouchableOpacity style={[styles.importButton, styles.halfButton]} onPress={() => setShowImport(true)}>
+                    <Text style={styles.exportButtonText}>📥 Import CSV</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            )}
+
+            {/* Recent Records */}
+            <View style={styles.recordsCard}>
+              <View style={styles.recordsHeader}>
+                <Text style={styles.recordsTitle}>Records</Text>
+                <Text style={styles.recordsCount}>
+                  {dailyRecords.length < recordCount
+                    ? `${dailyRecords.length} of ${recordCount} records`
+                    : `${recordCount} records`}
+                </Text>
+              </View>
+              <RecordFilters onApply={applyRecordFilters} />
+              {dailyRecords.length === 0 ? (
+                <Text style={styles.noRecords}>
+                  {Object.keys(recordFilters).length > 0
+                    ? 'No records match these filters.'
+                    : 'No records yet. Start by adding your first daily entry!'}
+                </Text>
+              ) : (
+                <FlatList
+                  data={dailyRecords}
+                  renderItem={renderRecordItem}
+                  keyExtractor={item => item.id.toString()}
+                  scrollEnabled={false}
+                />
+              )}
+              {dailyRecords.length < recordCount && (
+                <TouchableOpacity onPress={loadMoreRecords}>
+                  <Text style={styles.loadMoreText}>Load more records</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          </>
+        )}
       </ScrollView>
+      {undoable && (
+        <UndoSnackbar message={undoable.message} onUndo={undoDelete} onDismiss={dismissUndo} />
+      )}
     </>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#f5f5f5',
+    backgroundColor: colors.screen,
     padding: 16,
   },
   header: {
-    backgroundColor: '#4CAF50',
+    backgroundColor: colors.success,
     padding: 20,
     borderRadius: 10,
     marginBottom: 16,
@@ -568,13 +1327,20 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
   },
   headerTitle: {
-    color: 'white',
+    color: colors.onAccent,
     fontSize: 24,
     fontWeight: 'bold',
   },
   headerButtons: {
     flexDirection: 'row',
     alignItems: 'center',
+    gap: 8,
+  },
+  userButton: {
+    backgroundColor: 'rgba(0, 0, 0, 0.15)',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 20,
   },
   resetButton: {
     backgroundColor: 'rgba(255, 255, 255, 0.3)',
@@ -583,30 +1349,43 @@ const styles = StyleSheet.create({
     borderRadius: 20,
   },
   resetButtonText: {
-    color: 'white',
+    color: colors.onAccent,
     fontSize: 12,
     fontWeight: 'bold',
   },
-  infoCard: {
-    backgroundColor: '#FFF3CD',
-    borderColor: '#FFEEBA',
-    borderWidth: 1,
-    borderRadius: 8,
-    padding: 12,
+  tabBar: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
     marginBottom: 16,
   },
-  infoText: {
-    color: '#856404',
-    fontSize: 14,
-    textAlign: 'center',
+  tab: {
+    backgroundColor: colors.background,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    marginRight: 8,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  activeTab: {
+    backgroundColor: colors.success,
+    borderColor: colors.success,
+  },
+  tabText: {
+    color: colors.textSecondary,
+    fontWeight: '600',
+  },
+  activeTabText: {
+    color: colors.onAccent,
   },
   summaryCard: {
-    backgroundColor: 'white',
+    backgroundColor: colors.background,
     borderRadius: 10,
     padding: 16,
     marginBottom: 16,
     elevation: 2,
-    shadowColor: '#000',
+    shadowColor: colors.shadow,
     shadowOffset: { width: 0, height: 2 },
     shadowOpacity: 0.1,
     shadowRadius: 4,
@@ -615,7 +1394,7 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: 'bold',
     marginBottom: 12,
-    color: '#333',
+    color: colors.text,
   },
   summaryGrid: {
     flexDirection: 'row',
@@ -624,23 +1403,42 @@ const styles = StyleSheet.create({
   },
   summaryItem: {
     width: '48%',
-    backgroundColor: '#f8f9fa',
+    backgroundColor: colors.surface,
     padding: 12,
     borderRadius: 8,
     marginBottom: 8,
   },
+  gradeRow: {
+    flexDirection: 'row',
+    paddingVertical: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  gradeCell: {
+    flex: 1,
+    textAlign: 'right',
+    color: colors.text,
+  },
+  gradeNameCell: {
+    textAlign: 'left',
+  },
+  gradeHeader: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.muted,
+  },
   summaryLabel: {
     fontSize: 12,
-    color: '#666',
+    color: colors.muted,
     marginBottom: 4,
   },
   summaryValue: {
     fontSize: 16,
     fontWeight: 'bold',
-    color: '#333',
+    color: colors.text,
   },
   formCard: {
-    backgroundColor: 'white',
+    backgroundColor: colors.background,
     borderRadius: 10,
     padding: 16,
     marginBottom: 16,
@@ -650,7 +1448,28 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: 'bold',
     marginBottom: 16,
-    color: '#333',
+    color: colors.text,
+  },
+  editingBanner: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: colors.highlight,
+    borderRadius: 6,
+    padding: 10,
+    marginBottom: 12,
+  },
+  editingText: {
+    flex: 1,
+    color: colors.highlightText,
+  },
+  cancelEditText: {
+    color: colors.highlightText,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  lockedInput: {
+    color: colors.faint,
   },
   inputGroup: {
     marginBottom: 12,
@@ -659,55 +1478,105 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600',
     marginBottom: 4,
-    color: '#555',
+    color: colors.textSecondary,
   },
   input: {
     borderWidth: 1,
-    borderColor: '#ddd',
+    borderColor: colors.border,
     borderRadius: 6,
     padding: 12,
     fontSize: 16,
-    backgroundColor: '#fafafa',
-  },
-  buttonRow: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    marginTop: 16,
+    backgroundColor: colors.input,
+    color: colors.text,
   },
   saveButton: {
     flex: 1,
-    backgroundColor: '#4CAF50',
+    backgroundColor: colors.success,
     padding: 14,
     borderRadius: 6,
     marginRight: 8,
   },
   creditButton: {
     flex: 1,
-    backgroundColor: '#2196F3',
+    backgroundColor: colors.primary,
     padding: 14,
     borderRadius: 6,
     marginLeft: 8,
   },
+  fullWidthButton: {
+    flex: 0,
+    marginLeft: 0,
+    marginRight: 0,
+    marginTop: 8,
+  },
+  paymentToggle: {
+    flexDirection: 'row',
+  },
+  paymentOption: {
+    flex: 1,
+    padding: 10,
+    borderWidth: 1,
+    borderColor: colors.border,
+    alignItems: 'center',
+  },
+  chipPicker: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  chipOption: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  selectedPaymentOption: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  paymentOptionText: {
+    color: colors.textSecondary,
+    fontWeight: '600',
+  },
+  selectedPaymentOptionText: {
+    color: colors.onAccent,
+  },
   buttonText: {
-    color: 'white',
+    color: colors.onAccent,
     textAlign: 'center',
     fontWeight: 'bold',
     fontSize: 16,
   },
   exportButton: {
-    backgroundColor: '#FF9800',
+    backgroundColor: colors.warning,
     padding: 14,
     borderRadius: 6,
     marginBottom: 16,
     alignItems: 'center',
   },
+  dataButtons: {
+    flexDirection: 'row',
+    marginHorizontal: -4,
+  },
+  importButton: {
+    backgroundColor: colors.primary,
+    padding: 14,
+    borderRadius: 6,
+    marginBottom: 16,
+    alignItems: 'center',
+  },
+  halfButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
   exportButtonText: {
-    color: 'white',
+    color: colors.onAccent,
     fontWeight: 'bold',
     fontSize: 16,
   },
   recordsCard: {
-    backgroundColor: 'white',
+    backgroundColor: colors.background,
     borderRadius: 10,
     padding: 16,
     marginBottom: 16,
@@ -719,26 +1588,32 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: 12,
   },
+  loadMoreText: {
+    color: colors.primary,
+    textAlign: 'center',
+    fontWeight: '600',
+    paddingVertical: 12,
+  },
   recordsTitle: {
     fontSize: 18,
     fontWeight: 'bold',
-    color: '#333',
+    color: colors.text,
   },
   recordsCount: {
     fontSize: 14,
-    color: '#666',
-    backgroundColor: '#f0f0f0',
+    color: colors.muted,
+    backgroundColor: colors.surface,
     paddingHorizontal: 8,
     paddingVertical: 4,
     borderRadius: 12,
   },
   recordItem: {
-    backgroundColor: '#f8f9fa',
+    backgroundColor: colors.surface,
     borderRadius: 8,
     padding: 12,
     marginBottom: 8,
     borderLeftWidth: 4,
-    borderLeftColor: '#4CAF50',
+    borderLeftColor: colors.success,
   },
   recordHeader: {
     flexDirection: 'row',
@@ -749,27 +1624,81 @@ const styles = StyleSheet.create({
   recordDate: {
     fontSize: 16,
     fontWeight: 'bold',
-    color: '#333',
+    color: colors.text,
   },
   deleteButton: {
-    color: '#ff4444',
+    color: colors.danger,
     fontSize: 18,
     fontWeight: 'bold',
   },
   recordDetails: {
     gap: 4,
   },
+  bodyText: {
+    color: colors.text,
+  },
+  enteredByText: {
+    fontSize: 12,
+    color: colors.muted,
+  },
   cashSalesText: {
     fontWeight: 'bold',
-    color: '#4CAF50',
+    color: colors.success,
     marginTop: 4,
   },
+  toggleSalesText: {
+    color: colors.primary,
+    fontWeight: '600',
+    marginTop: 8,
+  },
+  salesList: {
+    marginTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: colors.divider,
+    paddingTop: 4,
+  },
+  saleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  saleInfo: {
+    flex: 1,
+  },
+  saleMeta: {
+    fontSize: 12,
+    color: colors.muted,
+  },
+  priceHint: {
+    fontSize: 12,
+    color: colors.muted,
+    marginTop: 4,
+  },
+  saleAmount: {
+    fontWeight: 'bold',
+    color: colors.text,
+    marginHorizontal: 8,
+  },
+  invoiceButton: {
+    fontSize: 14,
+    marginRight: 12,
+  },
+  deleteSaleButton: {
+    color: colors.danger,
+    fontSize: 14,
+  },
   noRecords: {
     textAlign: 'center',
-    color: '#666',
+    color: colors.muted,
     fontStyle: 'italic',
     padding: 20,
   },
+  startError: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: 24,
+    backgroundColor: colors.screen,
+  },
 });
 
 // ⚠️ CRITICAL: ADD THESE TWO LINES AT THE END! ⚠️
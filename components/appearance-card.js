@@ -0,0 +1,89 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { db } from '../db/database';
+import { COLOR_SCHEMES, saveSettings } from '../db/settings';
+import { setColorSchemePreference, useColorSchemePreference } from '../hooks/color-scheme-preference';
+import { useThemedStyles } from '../hooks/use-theme-color';
+
+// Light, dark, or whatever the phone is set to. Applies at once and is
+// saved for the next start.
+const AppearanceCard = () => {
+  const styles = useThemedStyles(createStyles);
+  const colorScheme = useColorSchemePreference();
+
+  const choose = (key) => {
+    const previous = colorScheme;
+    setColorSchemePreference(key);
+    saveSettings(db, { colorScheme: key })
+      .catch(error => {
+        console.log('Error saving settings: ', error);
+        setColorSchemePreference(previous);
+        Alert.alert('Error', 'Failed to save settings: ' + error.message);
+      });
+  };
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>Appearance</Text>
+      <View style={styles.chipRow}>
+        {COLOR_SCHEMES.map(option => (
+          <TouchableOpacity
+            key={option.key}
+            style={[styles.chip, colorScheme === option.key && styles.selectedChip]}
+            onPress={() => choose(option.key)}
+          >
+            <Text style={[styles.chipText, colorScheme === option.key && styles.selectedChipText]}>{option.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.background,
+    borderRadius: 10,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: colors.text,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  selectedChip: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  selectedChipText: {
+    color: colors.onAccent,
+    fontWeight: 'bold',
+  },
+});
+
+export default AppearanceCard;
@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { db } from '../db/database';
+import { backupFileName, countBackupRows, createBackup, parseBackup, restoreBackup } from '../db/backup';
+import { listStoredBackups, readStoredBackup, storeBackup } from '../utils/backup-store';
+import { pickTextFile } from '../utils/pick-text-file';
+import { shareTextFile } from '../utils/share-file';
+import { useThemedStyles } from '../hooks/use-theme-color';
+
+// Keep a copy of the current data on the device. Taken before anything
+// that replaces or clears it.
+export const takeAutomaticBackup = () =>
+  createBackup(db).then(backup => storeBackup(backupFileName(backup), JSON.stringify(backup)));
+
+// `can` checks the signed-in user's permissions (see db/users)
+const BackupCard = ({ can, onRestored }) => {
+  const styles = useThemedStyles(createStyles);
+  const [storedBackups, setStoredBackups] = useState([]);
+
+  const loadStoredBackups = useCallback(() => {
+    listStoredBackups()
+      .then(setStoredBackups)
+      .catch(error => {
+        console.log('Error listing backups: ', error);
+      });
+  }, []);
+
+  useEffect(() => {
+    loadStoredBackups();
+  }, [loadStoredBackups]);
+
+  const backUpNow = () => {
+    createBackup(db)
+      .then(backup => {
+        const fileName = backupFileName(backup);
+        const contents = JSON.stringify(backup);
+        return storeBackup(fileName, contents)
+          .then(() => shareTextFile(fileName, contents, 'application/json'));
+      })
+      .then(loadStoredBackups)
+      .catch(error => {
+        console.log('Error backing up: ', error);
+        Alert.alert('Error', 'Backup failed: ' + error.message);
+      });
+  };
+
+  const restore = (backup) => {
+    takeAutomaticBackup()
+      .then(() => restoreBackup(db, backup))
+      .then(() => {
+        Alert.alert('Success', 'Backup restored. The data it replaced was saved as an automatic backup.');
+        loadStoredBackups();
+        onRestored();
+      })
+      .catch(error => {
+        console.log('Error restoring backup: ', error);
+        Alert.alert('Error', 'Restore failed and nothing was changed: ' + error.message);
+      });
+  };
+
+  // Check the file before anything is touched, then ask
+  const confirmRestore = (text) => {
+    let backup;
+    try {
+      backup = parseBackup(text);
+    } catch (error) {
+      Alert.alert('Invalid Backup', error.message);
+      return;
+    }
+
+    Alert.alert(
+      'Restore Backup',
+      `Replace ALL data on this device with the backup from ${backup.createdAt} ` +
+      `(${countBackupRows(backup)} rows, schema ${backup.schemaVersion})?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Restore', style: 'destructive', onPress: () => restore(backup) },
+      ]
+    );
+  };
+
+  const restoreFromFile = () => {
+    pickTextFile(['application/json', 'text/plain'])
+      .then(picked => {
+        if (picked) {
+          confirmRestore(picked.text);
+        }
+      })
+      .catch(error => {
+        console.log('Error reading backup file: ', error);
+        Alert.alert('Error', 'Could not read the file: ' + error.message);
+      });
+  };
+
+  const restoreStored = (fileName) => {
+    readStoredBackup(fileName)
+      .then(confirmRestore)
+      .catch(error => {
+        console.log('Error reading backup: ', error);
+        Alert.alert('Error', 'Could not read the backup: ' + error.message);
+      });
+  };
+
+  if (!can('exportData') && !can('resetData')) {
+    return null;
+  }
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.title}>Backup & Restore</Text>
+      <Text style={styles.hint}>
+        A backup holds all the data but not the sync settings. Keep a copy off the phone; a backup is
+        also taken automatically before a reset or a restore.
+      </Text>
+
+      <View style={styles.buttonRow}>
+        {can('exportData') && (
+          <TouchableOpacity style={styles.backupButton} onPress={backUpNow}>
+            <Text style={styles.buttonText}>Back Up Now</Text>
+          </TouchableOpacity>
+        )}
+        {can('resetData') && (
+          <TouchableOpacity style={styles.restoreButton} onPress={restoreFromFile}>
+            <Text style={styles.buttonText}>Restore from File</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {can('resetData') && storedBackups.length > 0 && (
+        <>
+          <Text style={styles.label}>Saved on this device</Text>
+          {storedBackups.map(fileName => (
+            <View key={fileName} style={styles.backupRow}>
+              <Text style={styles.backupName}>{fileName}</Text>
+              <TouchableOpacity onPress={() => restoreStored(fileName)}>
+                <Text style={styles.restoreText}>Restore</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        </>
+      )}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.background,
+    borderRadius: 10,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: colors.text,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.muted,
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 12,
+    marginBottom: 6,
+    color: colors.textSecondary,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  backupButton: {
+    flex: 1,
+    backgroundColor: colors.success,
+    padding: 14,
+    borderRadius: 6,
+  },
+  restoreButton: {
+    flex: 1,
+    backgroundColor: colors.primary,
+    padding: 14,
+    borderRadius: 6,
+  },
+  buttonText: {
+    color: colors.onAccent,
+    textAlign: 'center',
+    fontWeight: 'bold',
+  },
+  backupRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  backupName: {
+    flex: 1,
+    fontSize: 12,
+    color: colors.text,
+  },
+  restoreText: {
+    color: colors.primary,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+});
+
+export default BackupCard;
@@ -0,0 +1,210 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { db } from '../db/database';
+import { EXPORT_COLUMNS, exportFileName, exportRecordsCsv } from '../db/export';
+import { shareTextFile } from '../utils/share-file';
+import { useThemeColors, useThemedStyles } from '../hooks/use-theme-color';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const ExportCard = ({ locale, onClose }) => {
+  const styles = useThemedStyles(createStyles);
+  const colors = useThemeColors();
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [columnKeys, setColumnKeys] = useState(EXPORT_COLUMNS.map(column => column.key));
+
+  const toggleColumn = (key) => {
+    setColumnKeys(current =>
+      current.includes(key) ? current.filter(existing => existing !== key) : [...current, key]
+    );
+  };
+
+  const exportData = () => {
+    const from = fromDate.trim();
+    const to = toDate.trim();
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      Alert.alert('Error', 'Dates must be in YYYY-MM-DD format');
+      return;
+    }
+    if (from && to && from > to) {
+      Alert.alert('Error', 'The start date must be before the end date');
+      return;
+    }
+    if (columnKeys.length === 0) {
+      Alert.alert('Error', 'Please choose at least one column');
+      return;
+    }
+
+    exportRecordsCsv(db, { from, to, columnKeys, locale })
+      .then(({ csv, count }) => {
+        if (count === 0) {
+          Alert.alert('Info', 'No data to export');
+          return;
+        }
+        return shareTextFile(exportFileName({ from, to }), csv, 'text/csv').then(() => {
+          onClose();
+        });
+      })
+      .catch(error => {
+        console.log('Error exporting data: ', error);
+        Alert.alert('Error', 'Failed to export data: ' + error.message);
+      });
+  };
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.title}>Export to CSV</Text>
+
+      <View style={styles.dateRow}>
+        <View style={styles.dateInput}>
+          <Text style={styles.label}>From</Text>
+          <TextInput
+            style={styles.input}
+            value={fromDate}
+            onChangeText={setFromDate}
+            placeholderTextColor={colors.muted}
+            placeholder="YYYY-MM-DD (optional)"
+          />
+        </View>
+        <View style={styles.dateInput}>
+          <Text style={styles.label}>To</Text>
+          <TextInput
+            style={styles.input}
+            value={toDate}
+            onChangeText={setToDate}
+            placeholderTextColor={colors.muted}
+            placeholder="YYYY-MM-DD (optional)"
+          />
+        </View>
+      </View>
+
+      <Text style={styles.label}>Columns</Text>
+      <View style={styles.columnList}>
+        {EXPORT_COLUMNS.map(column => {
+          const selected = columnKeys.includes(column.key);
+          return (
+            <TouchableOpacity
+              key={column.key}
+              style={[styles.columnChip, selected && styles.selectedChip]}
+              onPress={() => toggleColumn(column.key)}
+            >
+              <Text style={[styles.chipText, selected && styles.selectedChipText]}>{column.header}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+          <Text style={styles.cancelButtonText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.exportButton} onPress={exportData}>
+          <Text style={styles.buttonText}>Export</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.background,
+    borderRadius: 10,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 12,
+    color: colors.text,
+  },
+  dateRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 12,
+  },
+  dateInput: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 4,
+    color: colors.textSecondary,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 14,
+    backgroundColor: colors.input,
+    color: colors.text,
+  },
+  columnList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  columnChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  selectedChip: {
+    backgroundColor: colors.warning,
+    borderColor: colors.warning,
+  },
+  chipText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  selectedChipText: {
+    color: colors.onAccent,
+    fontWeight: 'bold',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  cancelButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  cancelButtonText: {
+    textAlign: 'center',
+    fontWeight: 'bold',
+    color: colors.textSecondary,
+  },
+  exportButton: {
+    flex: 1,
+    backgroundColor: colors.warning,
+    padding: 14,
+    borderRadius: 6,
+  },
+  buttonText: {
+    color: colors.onAccent,
+    textAlign: 'center',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+});
+
+export default ExportCard;
@@ -0,0 +1,254 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { db } from '../db/database';
+import { auditBatch } from '../db/audit';
+import { deleteGrade, getGrades, saveGrade } from '../db/grades';
+import { validateGrade } from '../db/accounting';
+import { permissionDenied } from '../db/users';
+import { useThemeColors, useThemedStyles } from '../hooks/use-theme-color';
+
+const GradesCard = ({ format, can, onChanged }) => {
+  const styles = useThemedStyles(createStyles);
+  const colors = useThemeColors();
+  const [grades, setGrades] = useState([]);
+  const [editingGradeId, setEditingGradeId] = useState(null);
+  const [gradeName, setGradeName] = useState('');
+  const [gradePrice, setGradePrice] = useState('');
+
+  const loadGrades = useCallback(() => {
+    getGrades(db)
+      .then(setGrades)
+      .catch(error => {
+        console.log('Error loading grades: ', error);
+      });
+  }, []);
+
+  useEffect(() => {
+    loadGrades();
+  }, [loadGrades]);
+
+  // Only owners and managers change or delete what is already set up
+  const mayChange = () => {
+    if (can('deleteRecords')) {
+      return true;
+    }
+    Alert.alert('Not Allowed', permissionDenied('deleteRecords'));
+    return false;
+  };
+
+  const clearGradeForm = () => {
+    setEditingGradeId(null);
+    setGradeName('');
+    setGradePrice('');
+  };
+
+  const editGrade = (grade) => {
+    if (!mayChange()) {
+      return;
+    }
+    setEditingGradeId(grade.id);
+    setGradeName(grade.name);
+    setGradePrice(grade.price ? String(grade.price) : '');
+  };
+
+  const gradesChanged = () => {
+    clearGradeForm();
+    loadGrades();
+    onChanged();
+  };
+
+  const submitGrade = () => {
+    const { errors, values } = validateGrade({ name: gradeName, price: gradePrice });
+    if (errors.length > 0) {
+      Alert.alert('Error', errors.join('\n'));
+      return;
+    }
+
+    saveGrade(db, { ...values, id: editingGradeId })
+      .then(gradesChanged)
+      .catch(error => {
+        console.log('Error saving grade: ', error);
+        Alert.alert('Error', 'Failed to save grade: ' + error.message);
+      });
+  };
+
+  const removeGrade = (grade) => {
+    if (!mayChange()) {
+      return;
+    }
+    Alert.alert(
+      'Delete Grade',
+      `Delete the ${grade.name} grade?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => {
+            db.withTransactionAsync(() =>
+              auditBatch(db, `Deleted grade ${grade.name}`, () => deleteGrade(db, grade.id))
+            )
+              .then(gradesChanged)
+              .catch(error => {
+                console.log('Error deleting grade: ', error);
+                Alert.alert('Error', error.message);
+              });
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>Egg Grades</Text>
+      <Text style={styles.hint}>
+        Each day&apos;s eggs can be graded on the Daily Entry tab, and sales can be made from a grade.
+        The price is per egg and is filled in on the sale form.
+      </Text>
+
+      {grades.map(grade => (
+        <View key={grade.id} style={styles.gradeRow}>
+          <TouchableOpacity style={styles.gradeInfo} onPress={() => editGrade(grade)}>
+            <Text style={styles.gradeName}>{grade.name}</Text>
+            <Text style={styles.meta}>
+              {grade.price > 0 ? `${format.money(grade.price)} per egg` : 'No default price'}
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => removeGrade(grade)}>
+            <Text style={styles.deleteText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      <Text style={styles.formTitle}>{editingGradeId ? 'Edit Grade' : 'Add Grade'}</Text>
+      <View style={styles.inputRow}>
+        <TextInput
+          style={[styles.input, styles.rowInput]}
+          value={gradeName}
+          onChangeText={setGradeName}
+          placeholderTextColor={colors.muted}
+          placeholder="Name, e.g. Large"
+        />
+        <TextInput
+          style={[styles.input, styles.rowInput]}
+          value={gradePrice}
+          onChangeText={setGradePrice}
+          keyboardType="decimal-pad"
+          placeholderTextColor={colors.muted}
+          placeholder="Price per egg"
+        />
+      </View>
+      <View style={styles.inputRow}>
+        {editingGradeId && (
+          <TouchableOpacity style={styles.cancelButton} onPress={clearGradeForm}>
+            <Text style={styles.cancelButtonText}>Cancel</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity style={styles.saveButton} onPress={submitGrade}>
+          <Text style={styles.buttonText}>{editingGradeId ? 'Update Grade' : 'Add Grade'}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.background,
+    borderRadius: 10,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: colors.text,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.muted,
+    marginBottom: 12,
+  },
+  gradeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  gradeInfo: {
+    flex: 1,
+  },
+  gradeName: {
+    fontWeight: '600',
+    color: colors.text,
+  },
+  meta: {
+    fontSize: 12,
+    color: colors.muted,
+  },
+  deleteText: {
+    color: colors.danger,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  formTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 16,
+    backgroundColor: colors.input,
+    marginBottom: 8,
+    color: colors.text,
+  },
+  rowInput: {
+    flex: 1,
+  },
+  saveButton: {
+    flex: 1,
+    backgroundColor: colors.success,
+    padding: 12,
+    borderRadius: 6,
+  },
+  cancelButton: {
+    flex: 1,
+    padding: 12,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  cancelButtonText: {
+    textAlign: 'center',
+    fontWeight: 'bold',
+    color: colors.textSecondary,
+  },
+  buttonText: {
+    color: colors.onAccent,
+    textAlign: 'center',
+    fontWeight: 'bold',
+  },
+});
+
+export default GradesCard;
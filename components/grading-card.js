@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { db } from '../db/database';
+import { checkGradeStock, getGradeSummary, getGrading, saveGrading } from '../db/grades';
+import { isValidDate, validateGrading } from '../db/accounting';
+import { useThemeColors, useThemedStyles } from '../hooks/use-theme-color';
+
+// Split the eggs in stock on `date` into grades. Eggs left ungraded stay in
+// ungraded stock and can still be sold or graded later. `mayChangeDay`
+// checks the user may change `date`.
+const GradingCard = ({ date, grades, mayChangeDay, onSaved }) => {
+  const styles = useThemedStyles(createStyles);
+  const colors = useThemeColors();
+  const [counts, setCounts] = useState({});
+  const [ungradedStock, setUngradedStock] = useState(null);
+
+  const loadGrading = useCallback(() => {
+    if (!isValidDate(date)) {
+      setCounts({});
+      setUngradedStock(null);
+      return;
+    }
+
+    Promise.all([getGrading(db, date), getGradeSummary(db, date)])
+      .then(([rows, summary]) => {
+        setCounts(Object.fromEntries(rows.map(row => [row.grade_id, String(row.produced_eggs)])));
+        setUngradedStock(summary.find(row => row.id === null).stock);
+      })
+      .catch(error => {
+        console.log('Error loading grading: ', error);
+      });
+  }, [date]);
+
+  useEffect(() => {
+    loadGrading();
+  }, [loadGrading]);
+
+  const setCount = (gradeId, value) => setCounts(current => ({ ...current, [gradeId]: value }));
+
+  const submitGrading = () => {
+    const { errors, values } = validateGrading({ date, counts }, grades);
+    if (errors.length > 0) {
+      Alert.alert('Error', errors.join('\n'));
+      return;
+    }
+    if (!mayChangeDay(values.date)) {
+      return;
+    }
+
+    db.withTransactionAsync(() =>
+      saveGrading(db, values.date, values.counts).then(() => checkGradeStock(db, values.date))
+    )
+      .then(() => {
+        Alert.alert('Success', 'Grading saved successfully!');
+        loadGrading();
+        onSaved();
+      })
+      .catch(error => {
+        console.log('Save error: ', error);
+        Alert.alert('Error', 'Failed to save grading: ' + error.message);
+      });
+  };
+
+  if (grades.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.formCard}>
+      <Text style={styles.formTitle}>Grade Eggs for {date}</Text>
+      {ungradedStock !== null && (
+        <Text style={styles.hint}>Ungraded eggs in stock at the end of the day: {ungradedStock}</Text>
+      )}
+
+      <View style={styles.gradeGrid}>
+        {grades.map(grade => (
+          <View key={grade.id} style={styles.gradeInput}>
+            <Text style={styles.label}>{grade.name}</Text>
+            <TextInput
+              style={styles.input}
+              value={counts[grade.id] || ''}
+              onChangeText={value => setCount(grade.id, value)}
+              keyboardType="number-pad"
+              placeholderTextColor={colors.muted}
+              placeholder="0"
+            />
+          </View>
+        ))}
+      </View>
+
+      <TouchableOpacity style={styles.saveButton} onPress={submitGrading}>
+        <Text style={styles.buttonText}>Save Grading</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  formCard: {
+    backgroundColor: colors.background,
+    borderRadius: 10,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+  },
+  formTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: colors.text,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.muted,
+    marginBottom: 12,
+  },
+  gradeGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  gradeInput: {
+    width: '30%',
+    flexGrow: 1,
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 4,
+    color: colors.textSecondary,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 6,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: colors.input,
+    color: colors.text,
+  },
+  saveButton: {
+    backgroundColor: colors.success,
+    padding: 14,
+    borderRadius: 6,
+    marginTop: 8,
+  },
+  buttonText: {
+    color: colors.onAccent,
+    textAlign: 'center',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+});
+
+export default GradingCard;
@@ -0,0 +1,271 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { db } from '../db/database';
+import { CONFLICT_MODES, applyImport, previewImport } from '../db/import';
+import { pickTextFile } from '../utils/pick-text-file';
+import { useThemedStyles } from '../hooks/use-theme-color';
+
+// Rows listed individually in the preview; the rest are only counted
+const MAX_LISTED_ROWS = 100;
+
+const STATUS_LABELS = {
+  new: 'New',
+  skip: 'Skip (date exists)',
+  overwrite: 'Overwrite',
+  merge: 'Merge',
+  error: 'Error',
+};
+
+const ImportCard = ({ locale, onClose, onImported }) => {
+  const styles = useThemedStyles(createStyles);
+  const [file, setFile] = useState(null);
+  const [mode, setMode] = useState('skip');
+  const [rows, setRows] = useState([]);
+  const [previewError, setPreviewError] = useState('');
+
+  // Re-run the dry run whenever the file or the conflict mode changes
+  useEffect(() => {
+    if (!file) {
+      return;
+    }
+    previewImport(db, file.text, mode, locale)
+      .then(previewRows => {
+        setRows(previewRows);
+        setPreviewError('');
+      })
+      .catch(error => {
+        setRows([]);
+        setPreviewError(error.message);
+      });
+  }, [file, mode, locale]);
+
+  const chooseFile = () => {
+    pickTextFile(['text/csv', 'text/comma-separated-values', 'text/plain'])
+      .then(picked => {
+        if (picked) {
+          setFile(picked);
+        }
+      })
+      .catch(error => {
+        console.log('Error reading import file: ', error);
+        Alert.alert('Error', 'Could not read the file: ' + error.message);
+      });
+  };
+
+  const counts = rows.reduce((totals, row) => ({ ...totals, [row.status]: (totals[row.status] || 0) + 1 }), {});
+  const writableCount = rows.filter(row => ['new', 'overwrite', 'merge'].includes(row.status)).length;
+  const listedRows = rows.filter(row => row.status !== 'new').slice(0, MAX_LISTED_ROWS);
+
+  const runImport = () => {
+    applyImport(db, rows)
+      .then(result => {
+        Alert.alert(
+          'Import Complete',
+          `${result.new} new, ${result.overwrite} overwritten, ${result.merge} merged, ` +
+          `${result.skip} skipped, ${result.error} rows with errors left out.`
+        );
+        onImported();
+        onClose();
+      })
+      .catch(error => {
+        console.log('Error importing data: ', error);
+        Alert.alert('Error', 'Import failed and nothing was saved: ' + error.message);
+      });
+  };
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.title}>Import from CSV</Text>
+      <Text style={styles.hint}>
+        Use the same columns as the export. Date, Produced Eggs and Price Per Egg are required.
+        Credit Amount becomes credit sales to the named customers at the day&apos;s price, and the rest of the
+        Sold Eggs one cash sale at Cash Sales.
+      </Text>
+
+      <TouchableOpacity style={styles.pickButton} onPress={chooseFile}>
+        <Text style={styles.buttonText}>{file ? `📄 ${file.name}` : 'Choose CSV File'}</Text>
+      </TouchableOpacity>
+
+      <Text style={styles.label}>When a date already has a record</Text>
+      <View style={styles.modeRow}>
+        {CONFLICT_MODES.map(option => (
+          <TouchableOpacity
+            key={option.key}
+            style={[styles.modeChip, mode === option.key && styles.selectedChip]}
+            onPress={() => setMode(option.key)}
+          >
+            <Text style={[styles.chipText, mode === option.key && styles.selectedChipText]}>{option.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <Text style={styles.hint}>{CONFLICT_MODES.find(option => option.key === mode).description}</Text>
+
+      {!!previewError && <Text style={styles.errorText}>{previewError}</Text>}
+
+      {rows.length > 0 && (
+        <View style={styles.preview}>
+          <Text style={styles.label}>Preview ({rows.length} rows)</Text>
+          <View style={styles.countRow}>
+            {Object.keys(STATUS_LABELS).filter(status => counts[status]).map(status => (
+              <Text key={status} style={[styles.countText, status === 'error' && styles.errorText]}>
+                {STATUS_LABELS[status]}: {counts[status]}
+              </Text>
+            ))}
+          </View>
+          {listedRows.map(row => (
+            <View key={row.line} style={[styles.previewRow, row.status === 'error' && styles.errorRow]}>
+              <Text style={styles.previewRowTitle}>
+                Line {row.line} · {row.date || 'no date'} · {STATUS_LABELS[row.status]}
+              </Text>
+              {row.errors.map(message => (
+                <Text key={message} style={styles.errorText}>{message}</Text>
+              ))}
+            </View>
+          ))}
+          {rows.filter(row => row.status !== 'new').length > listedRows.length && (
+            <Text style={styles.hint}>…and more rows not listed</Text>
+          )}
+        </View>
+      )}
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+          <Text style={styles.cancelButtonText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.importButton, writableCount === 0 && styles.disabledButton]}
+          onPress={runImport}
+          disabled={writableCount === 0}
+        >
+          <Text style={styles.buttonText}>Import {writableCount} Rows</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.background,
+    borderRadius: 10,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: colors.text,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.muted,
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 6,
+    color: colors.textSecondary,
+  },
+  pickButton: {
+    backgroundColor: colors.primary,
+    padding: 14,
+    borderRadius: 6,
+    marginBottom: 12,
+  },
+  modeRow: {
+    flexDirection: 'row',
+    marginBottom: 6,
+  },
+  modeChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: 6,
+  },
+  selectedChip: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  selectedChipText: {
+    color: colors.onAccent,
+    fontWeight: 'bold',
+  },
+  preview: {
+    marginBottom: 12,
+  },
+  countRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 12,
+    marginBottom: 8,
+  },
+  countText: {
+    fontSize: 13,
+    color: colors.text,
+  },
+  previewRow: {
+    backgroundColor: colors.surface,
+    borderRadius: 6,
+    padding: 8,
+    marginBottom: 6,
+  },
+  errorRow: {
+    backgroundColor: colors.dangerBackground,
+  },
+  previewRowTitle: {
+    fontWeight: '600',
+    color: colors.text,
+  },
+  errorText: {
+    color: colors.dangerText,
+    fontSize: 12,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  cancelButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  cancelButtonText: {
+    textAlign: 'center',
+    fontWeight: 'bold',
+    color: colors.textSecondary,
+  },
+  importButton: {
+    flex: 1,
+    backgroundColor: colors.success,
+    padding: 14,
+    borderRadius: 6,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: colors.onAccent,
+    textAlign: 'center',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+});
+
+export default ImportCard;
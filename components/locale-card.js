@@ -0,0 +1,245 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { db } from '../db/database';
+import { saveSettings } from '../db/settings';
+import { validateLocale } from '../db/accounting';
+import { DATE_FORMATS, SYMBOL_POSITIONS, createFormatter } from '../utils/format';
+import { useThemeColors, useThemedStyles } from '../hooks/use-theme-color';
+
+// Common currencies, to fill in the fields with one tap
+const CURRENCY_PRESETS = [
+  { currencyCode: 'KES', currencySymbol: 'KSh', symbolPosition: 'before', decimalPlaces: 0 },
+  { currencyCode: 'UGX', currencySymbol: 'USh', symbolPosition: 'before', decimalPlaces: 0 },
+  { currencyCode: 'TZS', currencySymbol: 'TSh', symbolPosition: 'before', decimalPlaces: 0 },
+  { currencyCode: 'NGN', currencySymbol: '₦', symbolPosition: 'before', decimalPlaces: 2 },
+  { currencyCode: 'USD', currencySymbol: '$', symbolPosition: 'before', decimalPlaces: 2 },
+  { currencyCode: 'EUR', currencySymbol: '€', symbolPosition: 'after', decimalPlaces: 2 },
+  { currencyCode: 'GBP', currencySymbol: '£', symbolPosition: 'before', decimalPlaces: 2 },
+];
+
+const DECIMAL_PLACES = [0, 1, 2, 3];
+
+const EXAMPLE_DATE = '2026-03-31';
+
+// `locale` is the saved settings; `onSaved` gets the new ones
+const LocaleCard = ({ locale, onSaved }) => {
+  const styles = useThemedStyles(createStyles);
+  const colors = useThemeColors();
+  const [currencyCode, setCurrencyCode] = useState(locale.currencyCode);
+  const [currencySymbol, setCurrencySymbol] = useState(locale.currencySymbol);
+  const [symbolPosition, setSymbolPosition] = useState(locale.symbolPosition);
+  const [decimalPlaces, setDecimalPlaces] = useState(locale.decimalPlaces);
+  const [dateFormat, setDateFormat] = useState(locale.dateFormat);
+
+  useEffect(() => {
+    setCurrencyCode(locale.currencyCode);
+    setCurrencySymbol(locale.currencySymbol);
+    setSymbolPosition(locale.symbolPosition);
+    setDecimalPlaces(locale.decimalPlaces);
+    setDateFormat(locale.dateFormat);
+  }, [locale]);
+
+  const applyPreset = (preset) => {
+    setCurrencyCode(preset.currencyCode);
+    setCurrencySymbol(preset.currencySymbol);
+    setSymbolPosition(preset.symbolPosition);
+    setDecimalPlaces(preset.decimalPlaces);
+  };
+
+  const input = { currencyCode, currencySymbol, symbolPosition, decimalPlaces, dateFormat };
+  const { errors, values } = validateLocale(input);
+  const preview = errors.length === 0 ? createFormatter(values) : null;
+
+  const submit = () => {
+    if (errors.length > 0) {
+      Alert.alert('Error', errors.join('\n'));
+      return;
+    }
+
+    saveSettings(db, values)
+      .then(() => {
+        onSaved(values);
+        Alert.alert('Success', 'Currency and date settings saved');
+      })
+      .catch(error => {
+        console.log('Error saving settings: ', error);
+        Alert.alert('Error', 'Failed to save settings: ' + error.message);
+      });
+  };
+
+  const renderChips = (options, selected, onSelect) => (
+    <View style={styles.chipRow}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option.key}
+          style={[styles.chip, selected === option.key && styles.selectedChip]}
+          onPress={() => onSelect(option.key)}
+        >
+          <Text style={[styles.chipText, selected === option.key && styles.selectedChipText]}>{option.label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>Currency &amp; Dates</Text>
+      <Text style={styles.hint}>
+        How amounts and dates are shown across the app, on invoices and statements, and in the CSV export.
+        Dates are still typed as YYYY-MM-DD.
+      </Text>
+
+      <Text style={styles.label}>Currency</Text>
+      {renderChips(
+        CURRENCY_PRESETS.map(preset => ({ key: preset.currencyCode, label: preset.currencyCode })),
+        currencyCode,
+        code => applyPreset(CURRENCY_PRESETS.find(preset => preset.currencyCode === code))
+      )}
+      <View style={styles.inputRow}>
+        <View style={styles.rowInput}>
+          <Text style={styles.label}>Code</Text>
+          <TextInput
+            style={styles.input}
+            value={currencyCode}
+            onChangeText={setCurrencyCode}
+            autoCapitalize="characters"
+            maxLength={3}
+            placeholderTextColor={colors.muted}
+            placeholder="KES"
+          />
+        </View>
+        <View style={styles.rowInput}>
+          <Text style={styles.label}>Symbol</Text>
+          <TextInput
+            style={styles.input}
+            value={currencySymbol}
+            onChangeText={setCurrencySymbol}
+            maxLength={5}
+            placeholderTextColor={colors.muted}
+            placeholder="KSh"
+          />
+        </View>
+      </View>
+
+      <Text style={styles.label}>Symbol</Text>
+      {renderChips(SYMBOL_POSITIONS, symbolPosition, setSymbolPosition)}
+
+      <Text style={styles.label}>Decimal places</Text>
+      {renderChips(
+        DECIMAL_PLACES.map(places => ({ key: places, label: String(places) })),
+        decimalPlaces,
+        setDecimalPlaces
+      )}
+
+      <Text style={styles.label}>Date format</Text>
+      {renderChips(
+        DATE_FORMATS.map(key => ({ key, label: createFormatter({ ...values, dateFormat: key }).date(EXAMPLE_DATE) })),
+        dateFormat,
+        setDateFormat
+      )}
+
+      {preview && (
+        <Text style={styles.preview}>
+          Example: {preview.money(1234.5)} on {preview.date(EXAMPLE_DATE)}
+        </Text>
+      )}
+
+      <TouchableOpacity style={styles.saveButton} onPress={submit}>
+        <Text style={styles.buttonText}>Save Currency &amp; Dates</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.background,
+    borderRadius: 10,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: colors.text,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.muted,
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    marginTop: 8,
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  selectedChip: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  selectedChipText: {
+    color: colors.onAccent,
+    fontWeight: 'bold',
+  },
+  inputRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  rowInput: {
+    flex: 1,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 16,
+    backgroundColor: colors.input,
+    color: colors.text,
+  },
+  preview: {
+    fontSize: 14,
+    color: colors.text,
+    marginTop: 12,
+  },
+  saveButton: {
+    backgroundColor: colors.success,
+    padding: 12,
+    borderRadius: 6,
+    marginTop: 12,
+  },
+  buttonText: {
+    color: colors.onAccent,
+    textAlign: 'center',
+    fontWeight: 'bold',
+  },
+});
+
+export default LocaleCard;
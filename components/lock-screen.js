@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { db } from '../db/database';
+import { getSignInWait, roleLabel, signIn } from '../db/users';
+import { useThemeColors, useThemedStyles } from '../hooks/use-theme-color';
+
+// Shown instead of the app until someone signs in. `onSignedIn` gets the user.
+const LockScreen = ({ users, onSignedIn }) => {
+  const styles = useThemedStyles(createStyles);
+  const colors = useThemeColors();
+  const [userId, setUserId] = useState(users.length === 1 ? users[0].id : null);
+  const [pin, setPin] = useState('');
+  const [waitSeconds, setWaitSeconds] = useState(0);
+
+  // Count down whatever wait too many wrong PINs left, here or before the
+  // app was last closed (see signIn in db/users)
+  const loadWait = useCallback(() => {
+    getSignInWait(db)
+      .then(setWaitSeconds)
+      .catch(error => {
+        console.log('Error loading sign-in wait: ', error);
+      });
+  }, []);
+
+  useEffect(() => {
+    loadWait();
+  }, [loadWait]);
+
+  useEffect(() => {
+    if (waitSeconds <= 0) {
+      return undefined;
+    }
+    const timer = setTimeout(() => setWaitSeconds(waitSeconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [waitSeconds]);
+
+  const unlock = () => {
+    // The PIN field's submit key reaches here even while the button is off
+    if (waitSeconds > 0) {
+      return;
+    }
+    if (!userId) {
+      Alert.alert('Error', 'Please choose who you are');
+      return;
+    }
+
+    signIn(db, userId, pin)
+      .then(user => {
+        setPin('');
+        onSignedIn(user);
+      })
+      .catch(error => {
+        console.log('Error signing in: ', error);
+        setPin('');
+        loadWait();
+        Alert.alert('Error', error.message);
+      });
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>🔒 Egg Inventory System</Text>
+      <Text style={styles.hint}>Choose your name and enter your PIN.</Text>
+
+      <View style={styles.userList}>
+        {users.map(user => (
+          <TouchableOpacity
+            key={user.id}
+            style={[styles.userChip, userId === user.id && styles.selectedChip]}
+            onPress={() => setUserId(user.id)}
+          >
+            <Text style={[styles.userName, userId === user.id && styles.selectedText]}>{user.name}</Text>
+            <Text style={[styles.userRole, userId === user.id && styles.selectedText]}>{roleLabel(user.role)}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <TextInput
+        style={styles.input}
+        value={pin}
+        onChangeText={setPin}
+        onSubmitEditing={unlock}
+        keyboardType="number-pad"
+        secureTextEntry
+        maxLength={6}
+        placeholderTextColor={colors.muted}
+        placeholder="PIN"
+      />
+      <TouchableOpacity
+        style={[styles.unlockButton, waitSeconds > 0 && styles.disabledButton]}
+        onPress={unlock}
+        disabled={waitSeconds > 0}
+      >
+        <Text style={styles.buttonText}>{waitSeconds > 0 ? `Wait ${waitSeconds}s` : 'Unlock'}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: 24,
+    backgroundColor: colors.screen,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    color: colors.text,
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 14,
+    color: colors.muted,
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  userList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: 8,
+    marginBottom: 20,
+  },
+  userChip: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.background,
+    alignItems: 'center',
+  },
+  selectedChip: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  userName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  userRole: {
+    fontSize: 12,
+    color: colors.muted,
+  },
+  selectedText: {
+    color: colors.onAccent,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 6,
+    padding: 12,
+    fontSize: 20,
+    textAlign: 'center',
+    letterSpacing: 8,
+    backgroundColor: colors.background,
+    color: colors.text,
+  },
+  unlockButton: {
+    backgroundColor: colors.success,
+    padding: 14,
+    borderRadius: 6,
+    marginTop: 12,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: colors.onAccent,
+    textAlign: 'center',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+});
+
+export default LockScreen;
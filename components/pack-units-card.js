@@ -0,0 +1,268 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { db } from '../db/database';
+import { auditBatch } from '../db/audit';
+import { deletePackUnit, getPackUnits, savePackUnit } from '../db/packs';
+import { validatePackUnit } from '../db/accounting';
+import { permissionDenied } from '../db/users';
+import { useThemeColors, useThemedStyles } from '../hooks/use-theme-color';
+
+const PackUnitsCard = ({ format, can, onChanged }) => {
+  const styles = useThemedStyles(createStyles);
+  const colors = useThemeColors();
+  const [packUnits, setPackUnits] = useState([]);
+  const [editingUnitId, setEditingUnitId] = useState(null);
+  const [unitName, setUnitName] = useState('');
+  const [eggsPerUnit, setEggsPerUnit] = useState('');
+  const [unitPrice, setUnitPrice] = useState('');
+
+  const loadPackUnits = useCallback(() => {
+    getPackUnits(db)
+      .then(setPackUnits)
+      .catch(error => {
+        console.log('Error loading pack units: ', error);
+      });
+  }, []);
+
+  useEffect(() => {
+    loadPackUnits();
+  }, [loadPackUnits]);
+
+  // Only owners and managers change or delete what is already set up
+  const mayChange = () => {
+    if (can('deleteRecords')) {
+      return true;
+    }
+    Alert.alert('Not Allowed', permissionDenied('deleteRecords'));
+    return false;
+  };
+
+  const clearUnitForm = () => {
+    setEditingUnitId(null);
+    setUnitName('');
+    setEggsPerUnit('');
+    setUnitPrice('');
+  };
+
+  const editUnit = (unit) => {
+    if (!mayChange()) {
+      return;
+    }
+    setEditingUnitId(unit.id);
+    setUnitName(unit.name);
+    setEggsPerUnit(String(unit.eggs_per_unit));
+    setUnitPrice(unit.price ? String(unit.price) : '');
+  };
+
+  const unitsChanged = () => {
+    clearUnitForm();
+    loadPackUnits();
+    onChanged();
+  };
+
+  const saveUnit = () => {
+    const { errors, values } = validatePackUnit({ name: unitName, eggsPerUnit, price: unitPrice });
+    if (errors.length > 0) {
+      Alert.alert('Error', errors.join('\n'));
+      return;
+    }
+
+    savePackUnit(db, { ...values, id: editingUnitId })
+      .then(unitsChanged)
+      .catch(error => {
+        console.log('Error saving pack unit: ', error);
+        Alert.alert('Error', 'Failed to save pack unit: ' + error.message);
+      });
+  };
+
+  // Past sales keep their own copy of the pack, so deleting a unit only
+  // removes it from the sale form
+  const removeUnit = (unit) => {
+    if (!mayChange()) {
+      return;
+    }
+    Alert.alert(
+      'Delete Pack Unit',
+      `Stop selling by the ${unit.name.toLowerCase()}? Past sales are not changed.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => {
+            db.withTransactionAsync(() =>
+              auditBatch(db, `Deleted pack unit ${unit.name}`, () => deletePackUnit(db, unit.id))
+            )
+              .then(unitsChanged)
+              .catch(error => {
+                console.log('Error deleting pack unit: ', error);
+                Alert.alert('Error', error.message);
+              });
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>Pack Units</Text>
+      <Text style={styles.hint}>
+        Sales can be entered in any of these units. Stock is always counted in eggs. The price
+        is filled in on the sale form and can be changed per sale.
+      </Text>
+
+      {packUnits.map(unit => (
+        <View key={unit.id} style={styles.unitRow}>
+          <TouchableOpacity style={styles.unitInfo} onPress={() => editUnit(unit)}>
+            <Text style={styles.unitName}>{unit.name}</Text>
+            <Text style={styles.meta}>
+              {unit.eggs_per_unit} egg{unit.eggs_per_unit === 1 ? '' : 's'}
+              {unit.price > 0 ? ` · ${format.money(unit.price)}` : ' · no default price'}
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => removeUnit(unit)}>
+            <Text style={styles.deleteText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      <Text style={styles.formTitle}>{editingUnitId ? 'Edit Pack Unit' : 'Add Pack Unit'}</Text>
+      <TextInput
+        style={styles.input}
+        value={unitName}
+        onChangeText={setUnitName}
+        placeholderTextColor={colors.muted}
+        placeholder="Name, e.g. Tray"
+      />
+      <View style={styles.inputRow}>
+        <TextInput
+          style={[styles.input, styles.rowInput]}
+          value={eggsPerUnit}
+          onChangeText={setEggsPerUnit}
+          keyboardType="number-pad"
+          placeholderTextColor={colors.muted}
+          placeholder="Eggs per unit"
+        />
+        <TextInput
+          style={[styles.input, styles.rowInput]}
+          value={unitPrice}
+          onChangeText={setUnitPrice}
+          keyboardType="decimal-pad"
+          placeholderTextColor={colors.muted}
+          placeholder="Price (optional)"
+        />
+      </View>
+      <View style={styles.inputRow}>
+        {editingUnitId && (
+          <TouchableOpacity style={styles.cancelButton} onPress={clearUnitForm}>
+            <Text style={styles.cancelButtonText}>Cancel</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity style={styles.saveButton} onPress={saveUnit}>
+          <Text style={styles.buttonText}>{editingUnitId ? 'Update Unit' : 'Add Unit'}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.background,
+    borderRadius: 10,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: colors.text,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.muted,
+    marginBottom: 12,
+  },
+  unitRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  unitInfo: {
+    flex: 1,
+  },
+  unitName: {
+    fontWeight: '600',
+    color: colors.text,
+  },
+  meta: {
+    fontSize: 12,
+    color: colors.muted,
+  },
+  deleteText: {
+    color: colors.danger,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  formTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 16,
+    backgroundColor: colors.input,
+    marginBottom: 8,
+    color: colors.text,
+  },
+  rowInput: {
+    flex: 1,
+  },
+  saveButton: {
+    flex: 1,
+    backgroundColor: colors.success,
+    padding: 12,
+    borderRadius: 6,
+  },
+  cancelButton: {
+    flex: 1,
+    padding: 12,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  cancelButtonText: {
+    textAlign: 'center',
+    fontWeight: 'bold',
+    color: colors.textSecondary,
+  },
+  buttonText: {
+    color: colors.onAccent,
+    textAlign: 'center',
+    fontWeight: 'bold',
+  },
+});
+
+export default PackUnitsCard;
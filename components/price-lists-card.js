@@ -0,0 +1,309 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { db } from '../db/database';
+import { auditBatch } from '../db/audit';
+import { deletePriceList, getPriceLists, savePriceList } from '../db/pricing';
+import { validatePriceList } from '../db/accounting';
+import { permissionDenied } from '../db/users';
+import { useThemeColors, useThemedStyles } from '../hooks/use-theme-color';
+
+const emptyBreak = () => ({ minEggs: '', discountPercent: '' });
+
+const describeBreaks = (breaks) =>
+  breaks.map(item => `${item.discount_percent}% off ${item.min_eggs}+ eggs`).join(', ');
+
+const PriceListsCard = ({ format, can }) => {
+  const styles = useThemedStyles(createStyles);
+  const colors = useThemeColors();
+  const [priceLists, setPriceLists] = useState([]);
+  const [editingListId, setEditingListId] = useState(null);
+  const [listName, setListName] = useState('');
+  const [pricePerEgg, setPricePerEgg] = useState('');
+  const [breaks, setBreaks] = useState([emptyBreak()]);
+
+  const loadPriceLists = useCallback(() => {
+    getPriceLists(db)
+      .then(setPriceLists)
+      .catch(error => {
+        console.log('Error loading price lists: ', error);
+      });
+  }, []);
+
+  useEffect(() => {
+    loadPriceLists();
+  }, [loadPriceLists]);
+
+  // Only owners and managers change or delete what is already set up
+  const mayChange = () => {
+    if (can('deleteRecords')) {
+      return true;
+    }
+    Alert.alert('Not Allowed', permissionDenied('deleteRecords'));
+    return false;
+  };
+
+  const clearListForm = () => {
+    setEditingListId(null);
+    setListName('');
+    setPricePerEgg('');
+    setBreaks([emptyBreak()]);
+  };
+
+  const editList = (list) => {
+    if (!mayChange()) {
+      return;
+    }
+    setEditingListId(list.id);
+    setListName(list.name);
+    setPricePerEgg(list.price_per_egg ? String(list.price_per_egg) : '');
+    setBreaks([
+      ...list.breaks.map(item => ({ minEggs: String(item.min_eggs), discountPercent: String(item.discount_percent) })),
+      emptyBreak(),
+    ]);
+  };
+
+  const listsChanged = () => {
+    clearListForm();
+    loadPriceLists();
+  };
+
+  const setBreak = (index, field, value) =>
+    setBreaks(current => current.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+
+  const submitList = () => {
+    const { errors, values } = validatePriceList({ name: listName, pricePerEgg, breaks });
+    if (errors.length > 0) {
+      Alert.alert('Error', errors.join('\n'));
+      return;
+    }
+
+    db.withTransactionAsync(() => savePriceList(db, { ...values, id: editingListId }))
+      .then(listsChanged)
+      .catch(error => {
+        console.log('Error saving price list: ', error);
+        Alert.alert('Error', 'Failed to save price list: ' + error.message);
+      });
+  };
+
+  const removeList = (list) => {
+    if (!mayChange()) {
+      return;
+    }
+    Alert.alert(
+      'Delete Price List',
+      `Delete the ${list.name} price list? Its customers go back to the default prices.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => {
+            db.withTransactionAsync(() =>
+              auditBatch(db, `Deleted price list ${list.name}`, () => deletePriceList(db, list.id))
+            )
+              .then(listsChanged)
+              .catch(error => {
+                console.log('Error deleting price list: ', error);
+                Alert.alert('Error', error.message);
+              });
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>Price Lists</Text>
+      <Text style={styles.hint}>
+        Customers are put on a price list from the Customers tab; everyone else pays the default list.
+        The sale form fills in the price, less any quantity break the sale reaches.
+      </Text>
+
+      {priceLists.map(list => (
+        <View key={list.id} style={styles.listRow}>
+          <TouchableOpacity style={styles.listInfo} onPress={() => editList(list)}>
+            <Text style={styles.listName}>
+              {list.name}{list.is_default ? ' (default)' : ''}
+            </Text>
+            <Text style={styles.meta}>
+              {list.price_per_egg > 0 ? `${format.money(list.price_per_egg)} per egg` : 'Grade or pack prices'}
+              {list.breaks.length > 0 ? ` · ${describeBreaks(list.breaks)}` : ''}
+            </Text>
+          </TouchableOpacity>
+          {!list.is_default && (
+            <TouchableOpacity onPress={() => removeList(list)}>
+              <Text style={styles.deleteText}>✕</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      ))}
+
+      <Text style={styles.formTitle}>{editingListId ? 'Edit Price List' : 'Add Price List'}</Text>
+      <View style={styles.inputRow}>
+        <TextInput
+          style={[styles.input, styles.rowInput]}
+          value={listName}
+          onChangeText={setListName}
+          placeholderTextColor={colors.muted}
+          placeholder="Name, e.g. Wholesale"
+        />
+        <TextInput
+          style={[styles.input, styles.rowInput]}
+          value={pricePerEgg}
+          onChangeText={setPricePerEgg}
+          keyboardType="decimal-pad"
+          placeholderTextColor={colors.muted}
+          placeholder="Price per egg"
+        />
+      </View>
+
+      <Text style={styles.label}>Quantity Breaks</Text>
+      {breaks.map((item, index) => (
+        <View key={index} style={styles.inputRow}>
+          <TextInput
+            style={[styles.input, styles.rowInput]}
+            value={item.minEggs}
+            onChangeText={value => setBreak(index, 'minEggs', value)}
+            keyboardType="number-pad"
+            placeholderTextColor={colors.muted}
+            placeholder="From (eggs)"
+          />
+          <TextInput
+            style={[styles.input, styles.rowInput]}
+            value={item.discountPercent}
+            onChangeText={value => setBreak(index, 'discountPercent', value)}
+            keyboardType="decimal-pad"
+            placeholderTextColor={colors.muted}
+            placeholder="% off"
+          />
+        </View>
+      ))}
+      <TouchableOpacity onPress={() => setBreaks(current => [...current, emptyBreak()])}>
+        <Text style={styles.linkText}>+ Add another break</Text>
+      </TouchableOpacity>
+
+      <View style={styles.inputRow}>
+        {editingListId && (
+          <TouchableOpacity style={styles.cancelButton} onPress={clearListForm}>
+            <Text style={styles.cancelButtonText}>Cancel</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity style={styles.saveButton} onPress={submitList}>
+          <Text style={styles.buttonText}>{editingListId ? 'Update List' : 'Add List'}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.background,
+    borderRadius: 10,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: colors.text,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.muted,
+    marginBottom: 12,
+  },
+  listRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  listInfo: {
+    flex: 1,
+  },
+  listName: {
+    fontWeight: '600',
+    color: colors.text,
+  },
+  meta: {
+    fontSize: 12,
+    color: colors.muted,
+  },
+  deleteText: {
+    color: colors.danger,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  formTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.muted,
+    marginBottom: 4,
+  },
+  linkText: {
+    color: colors.primary,
+    fontWeight: '600',
+    marginBottom: 12,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 16,
+    backgroundColor: colors.input,
+    marginBottom: 8,
+    color: colors.text,
+  },
+  rowInput: {
+    flex: 1,
+  },
+  saveButton: {
+    flex: 1,
+    backgroundColor: colors.success,
+    padding: 12,
+    borderRadius: 6,
+  },
+  cancelButton: {
+    flex: 1,
+    padding: 12,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  cancelButtonText: {
+    textAlign: 'center',
+    fontWeight: 'bold',
+    color: colors.textSecondary,
+  },
+  buttonText: {
+    color: colors.onAccent,
+    textAlign: 'center',
+    fontWeight: 'bold',
+  },
+});
+
+export default PriceListsCard;
@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { validateRecordFilters } from '../db/accounting';
+import { useThemeColors, useThemedStyles } from '../hooks/use-theme-color';
+
+const EMPTY_FILTERS = { from: '', to: '', customer: '', hasCredit: false, minBreakages: '' };
+
+// Filters for the records list. `onApply` gets the checked filters for
+// getDailyRecords, or {} when they are cleared.
+const RecordFilters = ({ onApply }) => {
+  const styles = useThemedStyles(createStyles);
+  const colors = useThemeColors();
+  const [open, setOpen] = useState(false);
+  const [input, setInput] = useState(EMPTY_FILTERS);
+  const [activeCount, setActiveCount] = useState(0);
+
+  const change = (key, value) => setInput(current => ({ ...current, [key]: value }));
+
+  const apply = () => {
+    const { errors, values } = validateRecordFilters(input);
+    if (errors.length > 0) {
+      Alert.alert('Error', errors.join('\n'));
+      return;
+    }
+    setActiveCount(Object.keys(values).length);
+    onApply(values);
+  };
+
+  const clear = () => {
+    setInput(EMPTY_FILTERS);
+    setActiveCount(0);
+    onApply({});
+  };
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity onPress={() => setOpen(!open)}>
+        <Text style={styles.toggleText}>
+          🔍 Search &amp; filter{activeCount > 0 ? ` (${activeCount} active)` : ''} {open ? '▴' : '▾'}
+        </Text>
+      </TouchableOpacity>
+
+      {open && (
+        <View style={styles.form}>
+          <View style={styles.inputRow}>
+            <TextInput
+              style={[styles.input, styles.rowInput]}
+              value={input.from}
+              onChangeText={value => change('from', value)}
+              placeholderTextColor={colors.muted}
+              placeholder="From YYYY-MM-DD"
+            />
+            <TextInput
+              style={[styles.input, styles.rowInput]}
+              value={input.to}
+              onChangeText={value => change('to', value)}
+              placeholderTextColor={colors.muted}
+              placeholder="To YYYY-MM-DD"
+            />
+          </View>
+          <View style={styles.inputRow}>
+            <TextInput
+              style={[styles.input, styles.rowInput]}
+              value={input.customer}
+              onChangeText={value => change('customer', value)}
+              placeholderTextColor={colors.muted}
+              placeholder="Customer name"
+            />
+            <TextInput
+              style={[styles.input, styles.rowInput]}
+              value={input.minBreakages}
+              onChangeText={value => change('minBreakages', value)}
+              keyboardType="number-pad"
+              placeholderTextColor={colors.muted}
+              placeholder="Breakages above"
+            />
+          </View>
+          <TouchableOpacity
+            style={[styles.chip, input.hasCredit && styles.selectedChip]}
+            onPress={() => change('hasCredit', !input.hasCredit)}
+          >
+            <Text style={[styles.chipText, input.hasCredit && styles.selectedChipText]}>Has credit</Text>
+          </TouchableOpacity>
+          <View style={styles.inputRow}>
+            <TouchableOpacity style={styles.clearButton} onPress={clear}>
+              <Text style={styles.clearButtonText}>Clear</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.applyButton} onPress={apply}>
+              <Text style={styles.buttonText}>Apply</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    marginBottom: 12,
+  },
+  toggleText: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  form: {
+    marginTop: 8,
+    gap: 8,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 14,
+    backgroundColor: colors.input,
+    color: colors.text,
+  },
+  rowInput: {
+    flex: 1,
+  },
+  chip: {
+    alignSelf: 'flex-start',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  selectedChip: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  selectedChipText: {
+    color: colors.onAccent,
+    fontWeight: 'bold',
+  },
+  applyButton: {
+    flex: 1,
+    backgroundColor: colors.primary,
+    padding: 10,
+    borderRadius: 6,
+  },
+  clearButton: {
+    flex: 1,
+    padding: 10,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  clearButtonText: {
+    textAlign: 'center',
+    fontWeight: 'bold',
+    color: colors.textSecondary,
+  },
+  buttonText: {
+    color: colors.onAccent,
+    textAlign: 'center',
+    fontWeight: 'bold',
+  },
+});
+
+export default RecordFilters;
@@ -0,0 +1,266 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { db } from '../db/database';
+import { getSyncState, saveSyncServer, syncNow, clearSyncConflicts } from '../db/sync';
+import { useThemeColors, useThemedStyles } from '../hooks/use-theme-color';
+
+const WINNER_LABELS = {
+  local: 'Kept this device',
+  remote: 'Kept other device',
+  skipped: 'Not applied',
+};
+
+// Sync settings and status. `onSynced` is called after a sync that brought
+// in changes, so the app can reload its data.
+const SyncCard = ({ format, onSynced }) => {
+  const styles = useThemedStyles(createStyles);
+  const colors = useThemeColors();
+  const [state, setState] = useState(null);
+  const [serverUrl, setServerUrl] = useState('');
+  const [token, setToken] = useState('');
+  const [syncing, setSyncing] = useState(false);
+
+  const loadState = useCallback(() =>
+    getSyncState(db)
+      .then(result => {
+        setState(result);
+        return result;
+      })
+      .catch(error => {
+        console.log('Error loading sync state: ', error);
+      }), []);
+
+  useEffect(() => {
+    loadState().then(result => {
+      if (result) {
+        setServerUrl(result.server_url);
+        setToken(result.token);
+      }
+    });
+  }, [loadState]);
+
+  const save = () => {
+    if (serverUrl.trim() !== '' && !/^https?:\/\/\S+$/i.test(serverUrl.trim())) {
+      Alert.alert('Error', 'The server address must start with http:// or https://');
+      return;
+    }
+
+    saveSyncServer(db, { serverUrl, token })
+      .then(() => {
+        loadState();
+        Alert.alert('Success', 'Sync server saved');
+      })
+      .catch(error => {
+        console.log('Error saving sync server: ', error);
+        Alert.alert('Error', 'Failed to save sync server: ' + error.message);
+      });
+  };
+
+  const sync = () => {
+    setSyncing(true);
+    syncNow(db)
+      .then(result => {
+        if (result.pulled > 0) {
+          onSynced();
+        }
+        Alert.alert(
+          'Sync complete',
+          `Received ${result.pulled} and sent ${result.pushed} change(s)` +
+            (result.conflicts > 0 ? `\n${result.conflicts} conflict(s) were resolved, see below` : '')
+        );
+      })
+      .catch(error => {
+        console.log('Error syncing: ', error);
+        Alert.alert('Error', 'Sync failed: ' + error.message);
+      })
+      .finally(() => {
+        setSyncing(false);
+        loadState();
+      });
+  };
+
+  const dismissConflicts = () => {
+    clearSyncConflicts(db)
+      .then(loadState)
+      .catch(error => {
+        console.log('Error clearing sync conflicts: ', error);
+        Alert.alert('Error', 'Failed to clear conflicts: ' + error.message);
+      });
+  };
+
+  if (!state) {
+    return null;
+  }
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>Sync Between Devices</Text>
+      <Text style={styles.hint}>
+        Record on several phones and keep them in step through your own sync server (npm run sync-server).
+        Changes are kept here until the next sync. When the same day or customer was changed on two devices,
+        the newest change wins on every device.
+      </Text>
+
+      <Text style={styles.label}>Server address</Text>
+      <TextInput
+        style={styles.input}
+        value={serverUrl}
+        onChangeText={setServerUrl}
+        autoCapitalize="none"
+        autoCorrect={false}
+        keyboardType="url"
+        placeholderTextColor={colors.muted}
+        placeholder="http://192.168.1.10:8787"
+      />
+      <Text style={styles.label}>Token (optional)</Text>
+      <TextInput
+        style={styles.input}
+        value={token}
+        onChangeText={setToken}
+        autoCapitalize="none"
+        autoCorrect={false}
+        secureTextEntry
+        placeholderTextColor={colors.muted}
+        placeholder="Set on the server as SYNC_TOKEN"
+      />
+      <TouchableOpacity style={styles.saveButton} onPress={save}>
+        <Text style={styles.buttonText}>Save Server</Text>
+      </TouchableOpacity>
+
+      <View style={styles.statusRow}>
+        <Text style={styles.status}>Device {state.device_id}</Text>
+        <Text style={styles.status}>
+          Last synced: {state.last_synced_at ? format.date(state.last_synced_at) : 'never'}
+        </Text>
+        <Text style={styles.status}>{state.pendingCount} change(s) waiting to be sent</Text>
+      </View>
+
+      <TouchableOpacity
+        style={[styles.syncButton, (syncing || !state.server_url) && styles.disabledButton]}
+        onPress={sync}
+        disabled={syncing || !state.server_url}
+      >
+        <Text style={styles.buttonText}>{syncing ? 'Syncing…' : '🔄 Sync Now'}</Text>
+      </TouchableOpacity>
+
+      {state.conflicts.length > 0 && (
+        <View style={styles.conflicts}>
+          <View style={styles.conflictsHeader}>
+            <Text style={styles.label}>Conflicts ({state.conflicts.length})</Text>
+            <TouchableOpacity onPress={dismissConflicts}>
+              <Text style={styles.dismissText}>Dismiss</Text>
+            </TouchableOpacity>
+          </View>
+          {state.conflicts.map(conflict => (
+            <View key={conflict.id} style={styles.conflictRow}>
+              <Text style={styles.conflictWinner}>
+                {WINNER_LABELS[conflict.winner] || conflict.winner} · {format.date(conflict.created_at)}
+              </Text>
+              <Text style={styles.conflictMessage}>{conflict.message}</Text>
+            </View>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.background,
+    borderRadius: 10,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: colors.text,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.muted,
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    marginTop: 8,
+    marginBottom: 6,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 16,
+    backgroundColor: colors.input,
+    color: colors.text,
+  },
+  saveButton: {
+    backgroundColor: colors.success,
+    padding: 12,
+    borderRadius: 6,
+    marginTop: 12,
+  },
+  statusRow: {
+    marginTop: 12,
+    gap: 2,
+  },
+  status: {
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  syncButton: {
+    backgroundColor: colors.primary,
+    padding: 12,
+    borderRadius: 6,
+    marginTop: 12,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: colors.onAccent,
+    textAlign: 'center',
+    fontWeight: 'bold',
+  },
+  conflicts: {
+    marginTop: 12,
+  },
+  conflictsHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  dismissText: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  conflictRow: {
+    borderTopWidth: 1,
+    borderTopColor: colors.divider,
+    paddingVertical: 6,
+  },
+  conflictWinner: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.warning,
+  },
+  conflictMessage: {
+    fontSize: 13,
+    color: colors.text,
+  },
+});
+
+export default SyncCard;
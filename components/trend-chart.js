@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Svg, { Line, Polyline, Rect, Text as SvgText } from 'react-native-svg';
+import { useThemeColors, useThemedStyles } from '../hooks/use-theme-color';
+
+const CHART_HEIGHT = 160;
+const AXIS_WIDTH = 40;
+const PADDING_TOP = 8;
+const PADDING_BOTTOM = 18;
+
+// A small chart over `rows` (one per day, oldest first). Each series reads
+// `row[series.key]` and draws as a 'bar' or a 'line' in the palette color
+// named by `series.color` (constants/theme); bars of several series sit side
+// by side. `format` labels the y axis and `formatDate` the x axis.
+const TrendChart = ({ title, rows, series, format = String, formatDate = String }) => {
+  const styles = useThemedStyles(createStyles);
+  const colors = useThemeColors();
+  const [width, setWidth] = useState(0);
+
+  const values = rows.flatMap(row => series.map(item => row[item.key] || 0));
+  const max = Math.max(0, ...values);
+  const min = Math.min(0, ...values);
+  const span = max - min || 1;
+
+  const plotWidth = Math.max(0, width - AXIS_WIDTH);
+  const plotHeight = CHART_HEIGHT - PADDING_TOP - PADDING_BOTTOM;
+  const slot = rows.length > 0 ? plotWidth / rows.length : 0;
+  const y = (value) => PADDING_TOP + ((max - value) / span) * plotHeight;
+  const x = (index) => AXIS_WIDTH + slot * (index + 0.5);
+
+  const bars = series.filter(item => item.type === 'bar');
+  const lines = series.filter(item => item.type !== 'bar');
+  const barWidth = Math.min(24, Math.max(1, (slot * 0.8) / Math.max(1, bars.length)));
+
+  return (
+    <View style={styles.chart}>
+      <Text style={styles.title}>{title}</Text>
+      <View style={styles.legend}>
+        {series.map(item => (
+          <View key={item.key} style={styles.legendItem}>
+            <View style={[styles.swatch, { backgroundColor: colors[item.color] }]} />
+            <Text style={styles.legendText}>{item.label}</Text>
+          </View>
+        ))}
+      </View>
+
+      <View onLayout={event => setWidth(event.nativeEvent.layout.width)}>
+        {rows.length === 0 ? (
+          <Text style={styles.emptyText}>No records in this period.</Text>
+        ) : (
+          width > 0 && (
+            <Svg width={width} height={CHART_HEIGHT}>
+              {[...new Set([max, (max + min) / 2, min])].map(tick => (
+                <React.Fragment key={tick}>
+                  <Line x1={AXIS_WIDTH} x2={width} y1={y(tick)} y2={y(tick)} stroke={colors.divider} strokeWidth={1} />
+                  <SvgText x={AXIS_WIDTH - 4} y={y(tick) + 4} fontSize={10} fill={colors.muted} textAnchor="end">
+                    {format(tick)}
+                  </SvgText>
+                </React.Fragment>
+              ))}
+
+              {bars.map((item, barIndex) =>
+                rows.map((row, index) => {
+                  const value = row[item.key] || 0;
+                  return (
+                    <Rect
+                      key={`${item.key}-${row.date}`}
+                      x={x(index) - (barWidth * bars.length) / 2 + barWidth * barIndex}
+                      y={Math.min(y(value), y(0))}
+                      width={barWidth}
+                      height={Math.abs(y(0) - y(value))}
+                      fill={colors[item.color]}
+                    />
+                  );
+                })
+              )}
+
+              {lines.map(item => (
+                <Polyline
+                  key={item.key}
+                  points={rows.map((row, index) => `${x(index)},${y(row[item.key] || 0)}`).join(' ')}
+                  fill="none"
+                  stroke={colors[item.color]}
+                  strokeWidth={2}
+                />
+              ))}
+
+              <SvgText x={AXIS_WIDTH} y={CHART_HEIGHT - 4} fontSize={10} fill={colors.muted}>
+                {formatDate(rows[0].date)}
+              </SvgText>
+              {rows.length > 1 && (
+                <SvgText x={width} y={CHART_HEIGHT - 4} fontSize={10} fill={colors.muted} textAnchor="end">
+                  {formatDate(rows[rows.length - 1].date)}
+                </SvgText>
+              )}
+            </Svg>
+          )
+        )}
+      </View>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  chart: {
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    marginBottom: 4,
+  },
+  legend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 12,
+    marginBottom: 4,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  swatch: {
+    width: 10,
+    height: 10,
+    borderRadius: 2,
+    marginRight: 4,
+  },
+  legendText: {
+    fontSize: 12,
+    color: colors.muted,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: colors.muted,
+    fontStyle: 'italic',
+    padding: 20,
+  },
+});
+
+export default TrendChart;
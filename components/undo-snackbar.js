@@ -0,0 +1,52 @@
+import React, { useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { useThemedStyles } from '../hooks/use-theme-color';
+
+const UNDO_TIMEOUT_MS = 8000;
+
+// Bottom bar offering to undo the last delete. Hides itself after a few
+// seconds; the deleted data stays in the trash either way.
+const UndoSnackbar = ({ message, onUndo, onDismiss }) => {
+  const styles = useThemedStyles(createStyles);
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, UNDO_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [message, onDismiss]);
+
+  return (
+    <View style={styles.snackbar}>
+      <Text style={styles.message}>{message}</Text>
+      <TouchableOpacity onPress={onUndo}>
+        <Text style={styles.undoText}>UNDO</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  snackbar: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 24,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: colors.snackbar,
+    borderRadius: 6,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    elevation: 6,
+  },
+  message: {
+    flex: 1,
+    color: colors.snackbarText,
+  },
+  undoText: {
+    color: colors.snackbarAction,
+    fontWeight: 'bold',
+    marginLeft: 16,
+  },
+});
+
+export default UndoSnackbar;
@@ -0,0 +1,307 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { db } from '../db/database';
+import { ROLES, addUser, removeUser, roleLabel, setUserPin, validatePin, validateUser } from '../db/users';
+import { useThemeColors, useThemedStyles } from '../hooks/use-theme-color';
+
+// User profiles and their PINs. `currentUser` is who is signed in (null
+// before the first profile); `onChanged` is called after any change.
+const UsersCard = ({ users, currentUser, onChanged }) => {
+  const styles = useThemedStyles(createStyles);
+  const colors = useThemeColors();
+  const [name, setName] = useState('');
+  const [role, setRole] = useState('clerk');
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  // The user whose PIN is being changed, or null when adding a user
+  const [pinUser, setPinUser] = useState(null);
+
+  const firstUser = users.length === 0;
+
+  const clearForm = () => {
+    setName('');
+    setRole('clerk');
+    setPin('');
+    setConfirmPin('');
+    setPinUser(null);
+  };
+
+  const submit = () => {
+    if (pinUser) {
+      const { errors, values } = validatePin({ pin, confirmPin });
+      if (errors.length > 0) {
+        Alert.alert('Error', errors.join('\n'));
+        return;
+      }
+      setUserPin(db, pinUser.id, values.pin)
+        .then(() => {
+          Alert.alert('Success', `PIN changed for ${pinUser.name}`);
+          clearForm();
+        })
+        .catch(error => {
+          console.log('Error changing PIN: ', error);
+          Alert.alert('Error', 'Failed to change PIN: ' + error.message);
+        });
+      return;
+    }
+
+    const { errors, values } = validateUser({ name, role: firstUser ? 'owner' : role, pin, confirmPin });
+    if (errors.length > 0) {
+      Alert.alert('Error', errors.join('\n'));
+      return;
+    }
+    addUser(db, values)
+      .then(() => {
+        Alert.alert(
+          'Success',
+          firstUser
+            ? `${values.name} added. Sign in with the new PIN to carry on; from now on the app asks for one when it opens.`
+            : `${values.name} added`
+        );
+        clearForm();
+        onChanged();
+      })
+      .catch(error => {
+        console.log('Error adding user: ', error);
+        Alert.alert('Error', 'Failed to add user: ' + error.message);
+      });
+  };
+
+  const remove = (user) => {
+    Alert.alert(
+      'Remove User',
+      `Remove ${user.name}? Records they entered keep their name.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: () => {
+            removeUser(db, user.id)
+              .then(onChanged)
+              .catch(error => {
+                console.log('Error removing user: ', error);
+                Alert.alert('Error', error.message);
+              });
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.cardTitle}>Users & PINs</Text>
+      <Text style={styles.hint}>
+        {firstUser
+          ? 'Add an owner to lock the app with a PIN. Everyone can then sign in with their own PIN, and records show who entered them.'
+          : 'Owners can do everything. Managers cannot reset the database, restore backups or manage users. ' +
+            'Sales clerks can only enter today\'s production, sales and credit.'}
+      </Text>
+
+      {users.map(user => (
+        <View key={user.id} style={styles.userRow}>
+          <Text style={styles.userName}>
+            {user.name}
+            {currentUser && currentUser.id === user.id ? ' (you)' : ''}
+          </Text>
+          <Text style={styles.userRole}>{roleLabel(user.role)}</Text>
+          <TouchableOpacity onPress={() => setPinUser(user)}>
+            <Text style={styles.linkText}>PIN</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => remove(user)}>
+            <Text style={styles.removeText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      <Text style={styles.formTitle}>
+        {pinUser ? `New PIN for ${pinUser.name}` : firstUser ? 'Add the owner' : 'Add a user'}
+      </Text>
+      {!pinUser && (
+        <>
+          <TextInput
+            style={styles.input}
+            value={name}
+            onChangeText={setName}
+            placeholderTextColor={colors.muted}
+            placeholder="Name"
+          />
+          {!firstUser && (
+            <View style={styles.chipRow}>
+              {ROLES.map(item => (
+                <TouchableOpacity
+                  key={item.key}
+                  style={[styles.chip, role === item.key && styles.selectedChip]}
+                  onPress={() => setRole(item.key)}
+                >
+                  <Text style={[styles.chipText, role === item.key && styles.selectedChipText]}>{item.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+        </>
+      )}
+      <View style={styles.inputRow}>
+        <TextInput
+          style={[styles.input, styles.rowInput]}
+          value={pin}
+          onChangeText={setPin}
+          keyboardType="number-pad"
+          secureTextEntry
+          maxLength={6}
+          placeholderTextColor={colors.muted}
+          placeholder="PIN (4-6 digits)"
+        />
+        <TextInput
+          style={[styles.input, styles.rowInput]}
+          value={confirmPin}
+          onChangeText={setConfirmPin}
+          keyboardType="number-pad"
+          secureTextEntry
+          maxLength={6}
+          placeholderTextColor={colors.muted}
+          placeholder="Repeat PIN"
+        />
+      </View>
+      <View style={styles.inputRow}>
+        {pinUser && (
+          <TouchableOpacity style={styles.cancelButton} onPress={clearForm}>
+            <Text style={styles.cancelButtonText}>Cancel</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity style={styles.saveButton} onPress={submit}>
+          <Text style={styles.buttonText}>{pinUser ? 'Change PIN' : 'Add User'}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.background,
+    borderRadius: 10,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: colors.text,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.muted,
+    marginBottom: 12,
+  },
+  userRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  userName: {
+    flex: 1,
+    fontSize: 15,
+    color: colors.text,
+  },
+  userRole: {
+    fontSize: 13,
+    color: colors.muted,
+  },
+  linkText: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  removeText: {
+    color: colors.danger,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  formTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  selectedChip: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  selectedChipText: {
+    color: colors.onAccent,
+    fontWeight: 'bold',
+  },
+  inputRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 8,
+  },
+  rowInput: {
+    flex: 1,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 16,
+    backgroundColor: colors.input,
+    color: colors.text,
+  },
+  saveButton: {
+    flex: 1,
+    backgroundColor: colors.success,
+    padding: 12,
+    borderRadius: 6,
+  },
+  cancelButton: {
+    flex: 1,
+    padding: 12,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  cancelButtonText: {
+    textAlign: 'center',
+    fontWeight: 'bold',
+    color: colors.textSecondary,
+  },
+  buttonText: {
+    color: colors.onAccent,
+    textAlign: 'center',
+    fontWeight: 'bold',
+  },
+});
+
+export default UsersCard;
@@ -16,6 +16,33 @@ export const Colors = {
     icon: '#687076',
     tabIconDefault: '#687076',
     tabIconSelected: tintColorLight,
+    // App palette: `background` is for cards, `screen` for the page behind them
+    screen: '#f5f5f5',
+    surface: '#f8f9fa',
+    input: '#fafafa',
+    border: '#ddd',
+    divider: '#eee',
+    textSecondary: '#555',
+    muted: '#666',
+    faint: '#999',
+    onAccent: '#fff',
+    primary: '#2196F3',
+    success: '#4CAF50',
+    warning: '#FF9800',
+    danger: '#ff4444',
+    dangerText: '#c62828',
+    dangerBackground: '#fdecea',
+    highlight: '#E3F2FD',
+    highlightText: '#0D47A1',
+    shadow: '#000',
+    // Chart series that have no meaning of their own (see TrendChart)
+    chartVolume: '#90CAF9',
+    chartAverage: '#1565C0',
+    chartRevenue: '#7B1FA2',
+    // The undo bar stands out against the page in either scheme
+    snackbar: '#323232',
+    snackbarText: '#fff',
+    snackbarAction: '#FFC107',
   },
   dark: {
     text: '#ECEDEE',
@@ -24,6 +51,30 @@ export const Colors = {
     icon: '#9BA1A6',
     tabIconDefault: '#9BA1A6',
     tabIconSelected: tintColorDark,
+    screen: '#0B0C0D',
+    surface: '#202325',
+    input: '#1E2123',
+    border: '#3A3F42',
+    divider: '#2A2E30',
+    textSecondary: '#C5C9CC',
+    muted: '#9BA1A6',
+    faint: '#6F767B',
+    onAccent: '#fff',
+    primary: '#42A5F5',
+    success: '#43A047',
+    warning: '#FB8C00',
+    danger: '#FF6B6B',
+    dangerText: '#FF8A80',
+    dangerBackground: '#3B1F1F',
+    highlight: '#1A3A55',
+    highlightText: '#90CAF9',
+    shadow: '#000',
+    chartVolume: '#1E88E5',
+    chartAverage: '#BBDEFB',
+    chartRevenue: '#CE93D8',
+    snackbar: '#E0E0E0',
+    snackbarText: '#11181C',
+    snackbarAction: '#9A6700',
   },
 };
 
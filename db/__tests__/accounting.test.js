@@ -0,0 +1,78 @@
+import { averagePrice, netChange, roundMoney, saleAmount, summarizeTotals } from '../accounting';
+
+describe('roundMoney', () => {
+  it('rounds to the cent', () => {
+    expect(roundMoney(0.1 + 0.2)).toBe(0.3);
+    expect(roundMoney(10 / 3)).toBe(3.33);
+    expect(roundMoney(-2.004)).toBe(-2);
+  });
+});
+
+describe('saleAmount', () => {
+  it('is the eggs sold at the price per egg', () => {
+    expect(saleAmount({ quantity: 30, unit_price: 0.35 })).toBe(10.5);
+    expect(saleAmount({ quantity: 3, unit_price: 0.1 })).toBe(0.3);
+  });
+});
+
+describe('averagePrice', () => {
+  it('averages cash and credit sales over the eggs sold', () => {
+    expect(averagePrice({ sold_eggs: 90, cash_sales: 18, credit_sales: 10.5 })).toBeCloseTo(0.3167, 4);
+    expect(averagePrice({ sold_eggs: 0, cash_sales: 0, credit_sales: 0 })).toBe(0);
+  });
+});
+
+describe('netChange', () => {
+  it('takes breakages and sales off production', () => {
+    expect(netChange({ produced_eggs: 100, breakages: 5, sold_eggs: 60 })).toBe(35);
+    // A day with only credit entered has no production
+    expect(netChange({ produced_eggs: null, breakages: null, sold_eggs: 0 })).toBe(0);
+  });
+});
+
+describe('summarizeTotals', () => {
+  it('rounds the money and carries unsold eggs into stock on hand', () => {
+    const totals = {
+      produced_eggs: 180,
+      breakages: 5,
+      sold_eggs: 150,
+      cash_sales: 30 + 20.1,
+      credit_sales: 24.95,
+      credit_given: 40,
+      credit_repaid: 15.5,
+    };
+
+    expect(summarizeTotals(totals)).toEqual({
+      totalProduced: 180,
+      totalBreakages: 5,
+      totalSold: 150,
+      totalCashSales: 50.1,
+      totalCreditSales: 24.95,
+      stockOnHand: 25,
+      outstandingCredit: 24.5,
+    });
+  });
+
+  it('is all zeros with no records', () => {
+    // SUM over no rows is null
+    const totals = {
+      produced_eggs: null,
+      breakages: null,
+      sold_eggs: null,
+      cash_sales: null,
+      credit_sales: null,
+      credit_given: null,
+      credit_repaid: null,
+    };
+
+    expect(summarizeTotals(totals)).toEqual({
+      totalProduced: 0,
+      totalBreakages: 0,
+      totalSold: 0,
+      totalCashSales: 0,
+      totalCreditSales: 0,
+      stockOnHand: 0,
+      outstandingCredit: 0,
+    });
+  });
+});
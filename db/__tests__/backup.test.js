@@ -0,0 +1,106 @@
+import { openMemoryDb } from './memory-db';
+import { createBackup, parseBackup, restoreBackup } from '../backup';
+import { getDailyRecords, saveProduction } from '../records';
+import { addSale } from '../sales';
+import { getSyncState, saveSyncServer, syncNow } from '../sync';
+import { createSyncServer } from '../../server/sync-server';
+
+describe('backups', () => {
+  let phone;
+  let tablet;
+
+  beforeEach(() =>
+    Promise.all([openMemoryDb(), openMemoryDb()]).then(([first, second]) => {
+      phone = first;
+      tablet = second;
+      return Promise.all([
+        saveSyncServer(phone, { serverUrl: 'http://farm.example', token: 'phone-token' }),
+        saveSyncServer(tablet, { serverUrl: 'http://tablet.example', token: 'tablet-token' }),
+        saveProduction(phone, { date: '2026-04-01', producedEggs: 120, breakages: 2 }),
+      ]);
+    })
+  );
+
+  // What the share sheet would send, read back as a file
+  const backUp = (db) => createBackup(db).then(backup => parseBackup(JSON.stringify(backup)));
+
+  it('leaves the device\'s sync state out but keeps the sync ids', () =>
+    backUp(phone).then(backup => {
+      expect(Object.keys(backup.tables).filter(name => name.startsWith('sync_')).sort())
+        .toEqual(['sync_outbox', 'sync_rows']);
+      expect(backup.tables.daily_records).toHaveLength(1);
+    }));
+
+  it('keeps the restoring device its own sync settings under a new device id', () =>
+    Promise.all([getSyncState(phone), getSyncState(tablet)])
+      .then(([phoneState, tabletState]) => backUp(phone)
+        .then(backup => restoreBackup(tablet, backup))
+        .then(() => Promise.all([getSyncState(tablet), getDailyRecords(tablet)]))
+        .then(([restored, records]) => {
+          expect(records.map(record => record.produced_eggs)).toEqual([120]);
+          expect(restored.device_id).not.toBe(phoneState.device_id);
+          expect(restored.device_id).not.toBe(tabletState.device_id);
+          expect(restored).toMatchObject({ server_url: 'http://tablet.example', token: 'tablet-token' });
+          expect(restored.last_pulled_seq).toBe(0);
+          // Nothing had been pushed yet, so it all is still queued
+          expect(restored.pendingCount).toBe(phoneState.pendingCount);
+        })));
+
+  it('skips the sync tables of backups taken before they were left out', () =>
+    Promise.all([backUp(phone), phone.getAllAsync('SELECT * FROM sync_context'), getSyncState(phone)])
+      .then(([backup, syncContext, phoneState]) =>
+        restoreBackup(tablet, { ...backup, tables: { ...backup.tables, sync_context: syncContext } })
+          .then(() => getSyncState(tablet))
+          .then(restored => {
+            expect(restored.device_id).not.toBe(phoneState.device_id);
+            expect(restored.token).toBe('tablet-token');
+          })));
+
+  describe('and sync', () => {
+    let server;
+
+    beforeEach(() => {
+      server = createSyncServer({ token: 'secret' });
+      return new Promise(resolve => server.listen(0, '127.0.0.1', resolve)).then(() => {
+        const serverUrl = `http://127.0.0.1:${server.address().port}`;
+        return Promise.all([
+          saveSyncServer(phone, { serverUrl, token: 'secret' }),
+          saveSyncServer(tablet, { serverUrl, token: 'secret' }),
+        ]);
+      });
+    });
+
+    afterEach(() => new Promise(resolve => server.close(resolve)));
+
+    const counts = (db) =>
+      Promise.all(['daily_records', 'customers', 'sales', 'credit_transactions'].map(table =>
+        db.getFirstAsync(`SELECT COUNT(*) as count FROM "${table}"`).then(row => row.count)
+      ));
+
+    it('does not send restored rows back to the server as new ones', () =>
+      addSale(phone, {
+        date: '2026-04-01',
+        quantity: 12,
+        unitPrice: 0.5,
+        paymentType: 'credit',
+        customerName: 'Mama Njeri',
+      })
+        .then(() => syncNow(phone))
+        .then(() => backUp(phone))
+        .then(backup => restoreBackup(tablet, backup))
+        .then(() => getSyncState(tablet))
+        .then(state => {
+          expect(state.pendingCount).toBe(0);
+          return syncNow(tablet);
+        })
+        .then(result => {
+          expect(result).toMatchObject({ pushed: 0, conflicts: 0 });
+          return syncNow(phone);
+        })
+        .then(() => Promise.all([counts(phone), counts(tablet)]))
+        .then(([onPhone, onTablet]) => {
+          expect(onPhone).toEqual([1, 1, 1, 1]);
+          expect(onTablet).toEqual(onPhone);
+        }));
+  });
+});
@@ -0,0 +1,119 @@
+import { openMemoryDb } from './memory-db';
+import { countDailyRecords, getDailyRecords, saveProduction } from '../records';
+import { addSale, deleteSale, updateSale } from '../sales';
+import { addPayment, getCustomerBalances } from '../ledger';
+import { checkDayChange } from '../stock';
+import { getFarmSummary } from '../reports';
+
+// Two days of production with a cash sale and a credit sale
+const seed = (db) =>
+  saveProduction(db, { date: '2026-04-01', producedEggs: 120, breakages: 2 })
+    .then(() => saveProduction(db, { date: '2026-04-02', producedEggs: 90, breakages: 0 }))
+    .then(() => addSale(db, { date: '2026-04-01', quantity: 60, unitPrice: 0.3, paymentType: 'cash' }))
+    .then(() => addSale(db, {
+      date: '2026-04-02',
+      quantity: 30,
+      unitPrice: 0.35,
+      paymentType: 'credit',
+      customerName: 'Mama Njeri',
+    }));
+
+describe('daily records on a database', () => {
+  let db;
+
+  beforeEach(() => openMemoryDb().then(opened => {
+    db = opened;
+    return seed(db);
+  }));
+
+  it('carries closing stock into the next day and splits cash from credit', () =>
+    getDailyRecords(db).then(records => {
+      expect(records.map(record => ({
+        date: record.date,
+        opening: record.opening_stock,
+        closing: record.closing_stock,
+        cash: record.cash_sales,
+        credit: record.credit_sales,
+        customers: record.credit_customers,
+      }))).toEqual([
+        { date: '2026-04-01', opening: 0, closing: 58, cash: 18, credit: 0, customers: null },
+        { date: '2026-04-02', opening: 58, closing: 118, cash: 0, credit: 10.5, customers: 'Mama Njeri' },
+      ]);
+    }));
+
+  it('adds production to a day in add mode', () =>
+    saveProduction(db, { date: '2026-04-02', producedEggs: 10, breakages: 1 }, 'add')
+      .then(() => getDailyRecords(db, { from: '2026-04-02' }))
+      .then(([record]) => {
+        expect(record.produced_eggs).toBe(100);
+        expect(record.breakages).toBe(1);
+        expect(record.opening_stock).toBe(58);
+      }));
+
+  it('matches the summary to the records', () =>
+    getFarmSummary(db).then(summary => {
+      expect(summary).toEqual({
+        totalProduced: 210,
+        totalBreakages: 2,
+        totalSold: 90,
+        totalCashSales: 18,
+        totalCreditSales: 10.5,
+        stockOnHand: 118,
+        outstandingCredit: 10.5,
+      });
+    }));
+
+  it('finds the shortfall a smaller day would cause', () =>
+    checkDayChange(db, '2026-04-01', day => ({ ...day, produced_eggs: 50 })).then(shortfalls => {
+      expect(shortfalls).toEqual([{ date: '2026-04-01', inStock: 50, breakages: 2, sold: 60, available: 48 }]);
+    }));
+
+  it('puts credit sales on the ledger and takes payments off it', () =>
+    getCustomerBalances(db)
+      .then(([customer]) => {
+        expect(customer).toMatchObject({ name: 'Mama Njeri', totalCredit: 10.5, balance: 10.5 });
+        return expect(addPayment(db, { customerId: customer.id, date: '2026-04-03', amount: 11 }))
+          .rejects.toThrow('The payment is more than the outstanding balance')
+          .then(() => expect(addPayment(db, { customerId: customer.id, date: 'tomorrow', amount: 4 }))
+            .rejects.toThrow('Date must be a valid YYYY-MM-DD date (got "tomorrow")'))
+          .then(() => addPayment(db, { customerId: customer.id, date: '2026-04-03', amount: 4 }));
+      })
+      .then(() => getCustomerBalances(db))
+      .then(([customer]) => {
+        expect(customer.balance).toBe(6.5);
+      }));
+
+  it('removes a deleted credit sale from the ledger', () =>
+    db.getFirstAsync("SELECT id FROM sales WHERE payment_type = 'credit'")
+      .then(sale => deleteSale(db, sale.id))
+      .then(() => Promise.all([getCustomerBalances(db), getFarmSummary(db)]))
+      .then(([[customer], summary]) => {
+        expect(customer.balance).toBe(0);
+        expect(summary.totalCreditSales).toBe(0);
+        expect(summary.stockOnHand).toBe(148);
+      }));
+
+  it('will not remove credit the customer has already paid for', () =>
+    Promise.all([getCustomerBalances(db), db.getFirstAsync("SELECT * FROM sales WHERE payment_type = 'credit'")])
+      .then(([[customer], sale]) => addPayment(db, { customerId: customer.id, date: '2026-04-03', amount: 10 })
+        .then(() => expect(db.withTransactionAsync(() => deleteSale(db, sale.id)))
+          .rejects.toThrow('Mama Njeri has already paid for this credit'))
+        .then(() => expect(db.withTransactionAsync(() =>
+          updateSale(db, sale.id, { quantity: sale.quantity, unitPrice: sale.unit_price, paymentType: 'cash' })
+        )).rejects.toThrow('Mama Njeri has already paid for this credit')))
+      .then(() => getCustomerBalances(db))
+      .then(([customer]) => {
+        expect(customer.balance).toBe(0.5);
+      }));
+
+  it('filters and counts records', () =>
+    Promise.all([
+      countDailyRecords(db, { customer: 'njeri' }),
+      countDailyRecords(db, { minBreakages: 1 }),
+      getDailyRecords(db, { descending: true, limit: 1 }),
+    ]).then(([byCustomer, withBreakages, [latest]]) => {
+      expect(byCustomer).toBe(1);
+      expect(withBreakages).toBe(1);
+      expect(latest.date).toBe('2026-04-02');
+    }));
+});
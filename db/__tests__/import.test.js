@@ -0,0 +1,82 @@
+import { openMemoryDb } from './memory-db';
+import { EXPORT_COLUMNS, exportRecordsCsv } from '../export';
+import { applyImport, previewImport } from '../import';
+import { getGrades, saveGrading } from '../grades';
+import { addCreditTransaction, addPayment, getCustomerBalances } from '../ledger';
+import { getDailyRecords, getDay, saveProduction } from '../records';
+import { addSale } from '../sales';
+
+describe('CSV import', () => {
+  let db;
+
+  // A day whose eggs have all been graded
+  beforeEach(() => openMemoryDb().then(opened => {
+    db = opened;
+    return saveProduction(db, { date: '2026-04-01', producedEggs: 100, breakages: 0 })
+      .then(() => getGrades(db))
+      .then(([grade]) => saveGrading(db, '2026-04-01', [{ gradeId: grade.id, eggs: 100 }]));
+  }));
+
+  it('merges into an existing day', () =>
+    previewImport(db, 'Date,Produced Eggs,Breakages,Price Per Egg\n2026-04-01,20,0,0.3\n', 'merge')
+      .then(rows => applyImport(db, rows))
+      .then(counts => {
+        expect(counts.merge).toBe(1);
+        return getDay(db, '2026-04-01');
+      })
+      .then(day => {
+        expect(day.produced_eggs).toBe(120);
+      }));
+
+  it('rolls back a merge that leaves graded eggs without ungraded stock', () =>
+    previewImport(db, 'Date,Produced Eggs,Breakages,Price Per Egg\n2026-04-01,0,5,0.3\n', 'merge')
+      .then(rows => {
+        expect(rows[0].status).toBe('merge');
+        return expect(applyImport(db, rows)).rejects.toThrow('Not enough ungraded eggs on 2026-04-01');
+      })
+      .then(() => getDay(db, '2026-04-01'))
+      .then(day => {
+        expect(day.breakages).toBe(0);
+      }));
+
+  it('will not overwrite credit the customer has already paid for', () =>
+    addCreditTransaction(db, { customerName: 'Ann', date: '2026-04-01', amount: 10 })
+      .then(() => getCustomerBalances(db))
+      .then(([customer]) => addPayment(db, { customerId: customer.id, date: '2026-04-02', amount: 10 }))
+      .then(() => previewImport(db, 'Date,Produced Eggs,Breakages,Price Per Egg\n2026-04-01,100,0,0.3\n', 'overwrite'))
+      .then(rows => expect(applyImport(db, rows)).rejects.toThrow('Ann has already paid for this credit'))
+      .then(() => getCustomerBalances(db))
+      .then(([customer]) => {
+        expect(customer.balance).toBe(0);
+      }));
+
+  it('brings back exported cash and credit sales as they were', () => {
+    const ALL_COLUMNS = EXPORT_COLUMNS.map(column => column.key);
+    const totals = (records) => records.map(record => ({
+      sold: record.sold_eggs,
+      cash: record.cash_sales,
+      credit: record.credit_sales,
+      creditAmount: record.credit_amount,
+      customers: record.credit_customers,
+    }));
+
+    return saveProduction(db, { date: '2026-04-02', producedEggs: 40, breakages: 0 })
+      .then(() => addSale(db, { date: '2026-04-02', quantity: 10, unitPrice: 1, paymentType: 'credit', customerName: 'Ann' }))
+      .then(() => addSale(db, { date: '2026-04-02', quantity: 20, unitPrice: 1, paymentType: 'cash' }))
+      .then(() => Promise.all([
+        exportRecordsCsv(db, { from: '2026-04-02', to: '2026-04-02', columnKeys: ALL_COLUMNS }),
+        getDailyRecords(db, { from: '2026-04-02' }),
+        openMemoryDb(),
+      ]))
+      .then(([{ csv }, exported, copy]) =>
+        previewImport(copy, csv, 'skip')
+          .then(rows => applyImport(copy, rows))
+          .then(() => getDailyRecords(copy))
+          .then(imported => {
+            expect(totals(exported)).toEqual([
+              { sold: 30, cash: 20, credit: 10, creditAmount: 10, customers: 'Ann' },
+            ]);
+            expect(totals(imported)).toEqual(totals(exported));
+          }));
+  });
+});
@@ -0,0 +1,10 @@
+import initSqlJs from 'sql.js';
+import { wrapSqlJs } from '../sql-js-storage';
+import { runMigrations } from '../migrations';
+
+// A new in-memory database at the latest schema, behind the same storage
+// calls the app uses. Resolves with the db.
+export const openMemoryDb = () => {
+  const db = wrapSqlJs(initSqlJs().then(SQL => new SQL.Database()));
+  return runMigrations(db).then(() => db);
+};
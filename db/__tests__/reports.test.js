@@ -0,0 +1,73 @@
+import { openMemoryDb } from './memory-db';
+import { parseCsv } from '../../utils/csv';
+import { roundMoney, saleAmount } from '../accounting';
+import { exportRecordsCsv } from '../export';
+import { getGradeSummary } from '../grades';
+import { getDailyRecords, saveProduction } from '../records';
+import { getFarmSummary, getPeriodTotals } from '../reports';
+import { addSale } from '../sales';
+import { getTrendData } from '../trends';
+
+// Sales at 0.667 an egg come to 1.334, which rounds down to 1.33 each; the
+// unrounded total of three of them would round up to 4.00 instead of 3.99.
+// The second day has only sales, so no production or breakages.
+const SALES = [
+  { date: '2026-04-01', quantity: 2, unitPrice: 0.667, paymentType: 'cash' },
+  { date: '2026-04-01', quantity: 2, unitPrice: 0.667, paymentType: 'cash' },
+  { date: '2026-04-02', quantity: 2, unitPrice: 0.667, paymentType: 'cash' },
+  { date: '2026-04-02', quantity: 2, unitPrice: 0.667, paymentType: 'credit', customerName: 'Mama Njeri' },
+];
+
+const RANGE = { from: '2026-04-01', to: '2026-04-02' };
+
+const total = (values) => roundMoney(values.reduce((sum, value) => sum + value, 0));
+
+describe('reports and the export', () => {
+  let db;
+
+  beforeEach(() => openMemoryDb().then(opened => {
+    db = opened;
+    return SALES.reduce(
+      (chain, sale) => chain.then(() => addSale(db, sale)),
+      saveProduction(db, { date: '2026-04-01', producedEggs: 20, breakages: 1 })
+    );
+  }));
+
+  it('add up each sale rounded to the cent', () =>
+    Promise.all([
+      getFarmSummary(db),
+      getPeriodTotals(db, RANGE),
+      getGradeSummary(db),
+      exportRecordsCsv(db, { ...RANGE, columnKeys: ['cashSales', 'creditAmount'] }),
+    ]).then(([summary, period, grades, { csv }]) => {
+      const [, ...rows] = parseCsv(csv);
+      const cashSales = total(SALES.filter(sale => sale.paymentType === 'cash')
+        .map(sale => saleAmount({ quantity: sale.quantity, unit_price: sale.unitPrice })));
+
+      expect(cashSales).toBe(3.99);
+      expect(summary.totalCashSales).toBe(cashSales);
+      expect(roundMoney(period.cashSales)).toBe(cashSales);
+      expect(total(rows.map(([cash]) => Number(cash)))).toBe(cashSales);
+
+      expect(summary.totalCreditSales).toBe(1.33);
+      expect(summary.outstandingCredit).toBe(1.33);
+      expect(total(rows.map(([, credit]) => Number(credit)))).toBe(1.33);
+
+      expect(total(grades.map(grade => grade.revenue))).toBe(5.32);
+    }));
+
+  it('agree on the stock left', () =>
+    Promise.all([
+      getFarmSummary(db),
+      getDailyRecords(db),
+      getTrendData(db, RANGE),
+      exportRecordsCsv(db, { ...RANGE, columnKeys: ['openingStock', 'closingStock'] }),
+    ]).then(([summary, records, trend, { csv }]) => {
+      const [, ...rows] = parseCsv(csv);
+
+      expect(summary.stockOnHand).toBe(11);
+      expect(records.map(record => record.closing_stock)).toEqual([15, 11]);
+      expect(trend.map(day => day.closing_stock)).toEqual([15, 11]);
+      expect(rows).toEqual([['0', '15'], ['15', '11']]);
+    }));
+});
@@ -0,0 +1,3 @@
+// Runs before every test file. Migrations log each step, which would bury
+// the test results.
+jest.spyOn(console, 'log').mockImplementation(() => {});
@@ -0,0 +1,50 @@
+import initSqlJs from 'sql.js';
+import { wrapSqlJs } from '../sql-js-storage';
+
+describe('transactions over sql.js', () => {
+  let db;
+  let saves;
+
+  beforeEach(() => {
+    saves = 0;
+    db = wrapSqlJs(initSqlJs().then(SQL => new SQL.Database()), () => {
+      saves += 1;
+      return Promise.resolve();
+    });
+    return db.execAsync('CREATE TABLE notes (text TEXT NOT NULL)');
+  });
+
+  const texts = () => db.getAllAsync('SELECT text FROM notes ORDER BY rowid').then(rows => rows.map(row => row.text));
+
+  it('runs a transaction started while another is open after it', () => {
+    const first = db.withTransactionAsync(() =>
+      db.runAsync('INSERT INTO notes (text) VALUES (?)', ['first'])
+        .then(() => db.runAsync('INSERT INTO notes (text) VALUES (?)', ['first again']))
+    );
+    const second = db.withTransactionAsync(() => db.runAsync('INSERT INTO notes (text) VALUES (?)', ['second']));
+
+    return Promise.all([first, second])
+      .then(texts)
+      .then(rows => {
+        expect(rows).toEqual(['first', 'first again', 'second']);
+      });
+  });
+
+  it('starts the next transaction after one that rolled back', () => {
+    saves = 0;
+    const failed = db.withTransactionAsync(() =>
+      db.runAsync('INSERT INTO notes (text) VALUES (?)', ['lost']).then(() => {
+        throw new Error('Stop');
+      })
+    );
+    const next = db.withTransactionAsync(() => db.runAsync('INSERT INTO notes (text) VALUES (?)', ['kept']));
+
+    return expect(failed).rejects.toThrow('Stop')
+      .then(() => next)
+      .then(texts)
+      .then(rows => {
+        expect(rows).toEqual(['kept']);
+        expect(saves).toBe(1);
+      });
+  });
+});
@@ -0,0 +1,41 @@
+import { describeShortfall, findShortfalls, withRunningStock } from '../stock';
+
+const day = (date, produced, breakages, sold) =>
+  ({ date, produced_eggs: produced, breakages, sold_eggs: sold });
+
+describe('withRunningStock', () => {
+  it('opens each day with the previous closing stock', () => {
+    const records = withRunningStock([day('2026-01-01', 100, 4, 50), day('2026-01-02', 20, 0, 60)]);
+
+    expect(records.map(record => [record.opening_stock, record.closing_stock])).toEqual([[0, 46], [46, 6]]);
+  });
+});
+
+describe('findShortfalls', () => {
+  const records = [day('2026-01-01', 100, 0, 40), day('2026-01-02', 0, 0, 50), day('2026-01-03', 30, 0, 10)];
+
+  it('finds nothing when stock covers every sale', () => {
+    expect(findShortfalls(records, new Map([['2026-01-03', day('2026-01-03', 30, 5, 10)]]))).toEqual([]);
+  });
+
+  it('flags a later day that an earlier change leaves short', () => {
+    const shortfalls = findShortfalls(records, new Map([['2026-01-01', day('2026-01-01', 80, 0, 40)]]));
+
+    expect(shortfalls).toEqual([{ date: '2026-01-02', inStock: 40, breakages: 0, sold: 50, available: 40 }]);
+    expect(describeShortfall(shortfalls[0], '2026-01-01'))
+      .toBe('This would leave 2026-01-02 short: sold eggs (50) cannot exceed stock on hand (40)');
+  });
+
+  it('treats a removed day as gone', () => {
+    const shortfalls = findShortfalls(records, new Map([['2026-01-01', null]]));
+
+    expect(shortfalls.map(shortfall => shortfall.date)).toEqual(['2026-01-02', '2026-01-03']);
+  });
+
+  it('explains breakages above what is in stock', () => {
+    const [shortfall] = findShortfalls([], new Map([['2026-01-01', day('2026-01-01', 10, 12, 0)]]));
+
+    expect(describeShortfall(shortfall, '2026-01-01'))
+      .toBe('Breakages (12) cannot exceed the 10 eggs in stock');
+  });
+});
@@ -0,0 +1,118 @@
+import { openMemoryDb } from './memory-db';
+import { saveProduction } from '../records';
+import { addSale } from '../sales';
+import { getSyncState, saveSyncServer, syncNow } from '../sync';
+import { createSyncServer } from '../../server/sync-server';
+
+// Date the changes `db` has not pushed yet `seconds` from now, so which of
+// two devices changed a row last does not hang on the clock ticking
+const stampPending = (db, seconds) =>
+  db.runAsync('UPDATE sync_outbox SET changed_at = ?', [new Date(Date.now() + seconds * 1000).toISOString()]);
+
+const contents = (db) =>
+  Promise.all([
+    db.getAllAsync('SELECT date, produced_eggs, breakages FROM daily_records ORDER BY date'),
+    db.getAllAsync(
+      `SELECT s.date, s.quantity, c.name FROM sales s
+       LEFT JOIN customers c ON c.id = s.customer_id ORDER BY s.date, s.quantity`
+    ),
+    db.getAllAsync(
+      'SELECT t.amount, c.name FROM credit_transactions t JOIN customers c ON c.id = t.customer_id ORDER BY t.amount'
+    ),
+  ]);
+
+describe('sync between two devices', () => {
+  let server;
+  let phone;
+  let tablet;
+
+  beforeEach(() => {
+    server = createSyncServer({ token: 'secret' });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+      .then(() => Promise.all([openMemoryDb(), openMemoryDb()]))
+      .then(([first, second]) => {
+        phone = first;
+        tablet = second;
+        const serverUrl = `http://127.0.0.1:${server.address().port}`;
+        return Promise.all([
+          saveSyncServer(phone, { serverUrl, token: 'secret' }),
+          saveSyncServer(tablet, { serverUrl, token: 'secret' }),
+        ]);
+      });
+  });
+
+  afterEach(() => new Promise(resolve => server.close(resolve)));
+
+  it('brings both devices to the same records', () =>
+    saveProduction(phone, { date: '2026-05-01', producedEggs: 100, breakages: 1 })
+      .then(() => addSale(phone, {
+        date: '2026-05-01',
+        quantity: 12,
+        unitPrice: 0.5,
+        paymentType: 'credit',
+        customerName: 'Mama Njeri',
+      }))
+      .then(() => saveProduction(tablet, { date: '2026-05-02', producedEggs: 80, breakages: 0 }))
+      .then(() => syncNow(phone))
+      .then(() => syncNow(tablet))
+      .then(result => {
+        expect(result).toMatchObject({ conflicts: 0 });
+        return syncNow(phone);
+      })
+      .then(() => Promise.all([contents(phone), contents(tablet), getSyncState(phone)]))
+      .then(([onPhone, onTablet, state]) => {
+        expect(onTablet).toEqual(onPhone);
+        expect(onPhone[0].map(record => record.date)).toEqual(['2026-05-01', '2026-05-02']);
+        expect(onPhone[2]).toEqual([{ amount: 6, name: 'Mama Njeri' }]);
+        expect(state.pendingCount).toBe(0);
+      }));
+
+  it('keeps the newest change to the same day on both devices and reports it', () =>
+    saveProduction(phone, { date: '2026-05-01', producedEggs: 100, breakages: 0 })
+      .then(() => syncNow(phone))
+      .then(() => syncNow(tablet))
+      .then(() => saveProduction(phone, { date: '2026-05-01', producedEggs: 110, breakages: 0 }))
+      .then(() => saveProduction(tablet, { date: '2026-05-01', producedEggs: 120, breakages: 2 }))
+      .then(() => Promise.all([stampPending(phone, 1), stampPending(tablet, 2)]))
+      .then(() => syncNow(phone))
+      .then(() => syncNow(tablet))
+      .then(result => {
+        expect(result.conflicts).toBe(1);
+        return syncNow(phone);
+      })
+      .then(() => Promise.all([contents(phone), contents(tablet), getSyncState(tablet)]))
+      .then(([onPhone, onTablet, state]) => {
+        expect(onPhone[0]).toEqual([{ date: '2026-05-01', produced_eggs: 120, breakages: 2 }]);
+        expect(onTablet).toEqual(onPhone);
+        expect(state.conflicts).toMatchObject([{ table_name: 'daily_records', winner: 'local' }]);
+      }));
+
+  it('merges the same day entered on both devices into one', () =>
+    saveProduction(phone, { date: '2026-05-03', producedEggs: 10, breakages: 0 })
+      .then(() => saveProduction(tablet, { date: '2026-05-03', producedEggs: 20, breakages: 0 }))
+      .then(() => Promise.all([stampPending(phone, 1), stampPending(tablet, 2)]))
+      .then(() => syncNow(tablet))
+      .then(() => syncNow(phone))
+      .then(() => syncNow(tablet))
+      .then(() => Promise.all([contents(phone), contents(tablet)]))
+      .then(([onPhone, onTablet]) => {
+        expect(onPhone[0]).toEqual([{ date: '2026-05-03', produced_eggs: 20, breakages: 0 }]);
+        expect(onTablet).toEqual(onPhone);
+      }));
+
+  it('passes deletions on', () =>
+    saveProduction(phone, { date: '2026-05-04', producedEggs: 10, breakages: 0 })
+      .then(() => syncNow(phone))
+      .then(() => syncNow(tablet))
+      .then(() => tablet.runAsync("DELETE FROM daily_records WHERE date = '2026-05-04'"))
+      .then(() => syncNow(tablet))
+      .then(() => syncNow(phone))
+      .then(() => contents(phone))
+      .then(([records]) => {
+        expect(records).toEqual([]);
+      }));
+
+  it('refuses a wrong token', () =>
+    saveSyncServer(phone, { serverUrl: `http://127.0.0.1:${server.address().port}`, token: 'wrong' })
+      .then(() => expect(syncNow(phone)).rejects.toThrow('The sync token is missing or wrong')));
+});
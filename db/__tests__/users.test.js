@@ -0,0 +1,140 @@
+import { createHash } from 'crypto';
+import { openMemoryDb } from './memory-db';
+import {
+  addUser,
+  can,
+  getSignInWait,
+  getUsers,
+  permissionDenied,
+  removeUser,
+  setUserPin,
+  signIn,
+  validateUser,
+} from '../users';
+import { saveProduction } from '../records';
+
+// expo-crypto needs the native app; node's crypto gives the same digests
+jest.mock('expo-crypto', () => ({
+  CryptoDigestAlgorithm: { SHA256: 'SHA-256' },
+  digestStringAsync: (algorithm, text) =>
+    Promise.resolve(require('crypto').createHash('sha256').update(text).digest('hex')),
+}));
+
+describe('permissions', () => {
+  it('allows everything while there are no profiles', () => {
+    expect(can(null, 'resetData')).toBe(true);
+  });
+
+  it('limits sales clerks to entering today\'s figures', () => {
+    const clerk = { id: 3, name: 'Wanjiru', role: 'clerk' };
+    expect(can(clerk, 'deleteRecords')).toBe(false);
+    expect(can(clerk, 'editPastDays')).toBe(false);
+    expect(can(clerk, 'exportData')).toBe(false);
+  });
+
+  it('keeps resetting and managing users to owners', () => {
+    const manager = { id: 2, name: 'Otieno', role: 'manager' };
+    expect(can(manager, 'deleteRecords')).toBe(true);
+    expect(can(manager, 'resetData')).toBe(false);
+    expect(can(manager, 'manageUsers')).toBe(false);
+    expect(can({ id: 1, name: 'Achieng', role: 'owner' }, 'manageUsers')).toBe(true);
+  });
+
+  it('names the roles that are allowed', () => {
+    expect(permissionDenied('deleteRecords')).toBe('Only an owner or manager can delete records.');
+    expect(permissionDenied('editPastDays'))
+      .toBe('Only an owner or manager can enter or change figures for days other than today.');
+    expect(permissionDenied('manageUsers')).toBe('Only an owner can manage users.');
+  });
+});
+
+describe('validateUser', () => {
+  it('accepts each of the roles', () => {
+    ['owner', 'manager', 'clerk'].forEach(role => {
+      expect(validateUser({ name: ' Wanjiru ', role, pin: '1234', confirmPin: '1234' })).toEqual({
+        errors: [],
+        values: { name: 'Wanjiru', role, pin: '1234' },
+      });
+    });
+  });
+
+  it('rejects an unknown role and mismatched PINs', () => {
+    const { errors } = validateUser({ name: '', role: 'admin', pin: '1234', confirmPin: '4321' });
+
+    expect(errors).toEqual([
+      'Please enter a name for the user',
+      'The two PINs do not match',
+      'Please choose a role',
+    ]);
+  });
+});
+
+describe('user profiles on a database', () => {
+  let db;
+
+  beforeEach(() => openMemoryDb().then(opened => {
+    db = opened;
+  }));
+
+  it('requires the first user to be an owner', () =>
+    expect(addUser(db, { name: 'Otieno', role: 'manager', pin: '1234' }))
+      .rejects.toThrow('The first user must be an owner'));
+
+  it('stores a salted hash rather than the PIN', () =>
+    addUser(db, { name: 'Achieng', role: 'owner', pin: '1234' })
+      .then(id => db.getFirstAsync('SELECT pin_salt, pin_hash FROM users WHERE id = ?', [id]))
+      .then(row => {
+        expect(row.pin_hash).not.toContain('1234');
+        expect(row.pin_hash).toBe(createHash('sha256').update(`${row.pin_salt}:1234`).digest('hex'));
+      }));
+
+  it('rejects a second user with the same name', () =>
+    addUser(db, { name: 'Achieng', role: 'owner', pin: '1234' })
+      .then(() => expect(addUser(db, { name: 'achieng', role: 'clerk', pin: '5678' }))
+        .rejects.toThrow('There is already a user called achieng')));
+
+  it('signs in with the right PIN and stamps new records with the user', () =>
+    addUser(db, { name: 'Achieng', role: 'owner', pin: '1234' })
+      .then(id => expect(signIn(db, id, '9999')).rejects.toThrow('Wrong PIN').then(() => signIn(db, id, '1234')))
+      .then(user => {
+        expect(user).toEqual({ id: expect.any(Number), name: 'Achieng', role: 'owner' });
+        return saveProduction(db, { date: '2026-04-01', producedEggs: 100, breakages: 0 });
+      })
+      .then(() => db.getFirstAsync('SELECT created_by FROM daily_records WHERE date = ?', ['2026-04-01']))
+      .then(row => {
+        expect(row.created_by).toBe('Achieng');
+      }));
+
+  it('changes a PIN', () =>
+    addUser(db, { name: 'Achieng', role: 'owner', pin: '1234' })
+      .then(id => setUserPin(db, id, '4321')
+        .then(() => expect(signIn(db, id, '1234')).rejects.toThrow('Wrong PIN'))
+        .then(() => signIn(db, id, '4321')))
+      .then(user => {
+        expect(user.name).toBe('Achieng');
+      }));
+
+  it('makes everyone wait after five wrong PINs in a row, even with the right one', () =>
+    addUser(db, { name: 'Achieng', role: 'owner', pin: '1234' })
+      .then(id => [1, 2, 3, 4].reduce(
+        (chain) => chain.then(() => expect(signIn(db, id, '9999')).rejects.toThrow('Wrong PIN')),
+        Promise.resolve()
+      )
+        .then(() => expect(signIn(db, id, '9999')).rejects.toThrow('Too many tries, please wait 30 seconds'))
+        .then(() => expect(signIn(db, id, '1234')).rejects.toThrow(/Too many wrong PINs, please wait \d+ seconds/)))
+      .then(() => getSignInWait(db))
+      .then(wait => {
+        expect(wait).toBeGreaterThan(0);
+        expect(wait).toBeLessThanOrEqual(30);
+      }));
+
+  it('keeps the last owner', () =>
+    addUser(db, { name: 'Achieng', role: 'owner', pin: '1234' })
+      .then(ownerId => addUser(db, { name: 'Wanjiru', role: 'clerk', pin: '5678' })
+        .then(clerkId => removeUser(db, clerkId))
+        .then(() => expect(removeUser(db, ownerId)).rejects.toThrow('The last owner cannot be removed')))
+      .then(() => getUsers(db))
+      .then(users => {
+        expect(users.map(user => user.name)).toEqual(['Achieng']);
+      }));
+});
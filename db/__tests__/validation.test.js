@@ -0,0 +1,71 @@
+import { validateProduction, validateSale } from '../accounting';
+import { projectProduction } from '../records';
+
+describe('validateProduction', () => {
+  it('parses a valid day', () => {
+    expect(validateProduction({ date: '2026-03-01', producedEggs: ' 120 ', breakages: '' })).toEqual({
+      errors: [],
+      values: { date: '2026-03-01', producedEggs: 120, breakages: 0, flockId: null },
+    });
+  });
+
+  it('rejects impossible dates and non-whole numbers', () => {
+    const { errors } = validateProduction({ date: '2026-02-30', producedEggs: '12.5', breakages: 'x' });
+
+    expect(errors).toEqual([
+      'Date must be a valid YYYY-MM-DD date (got "2026-02-30")',
+      'Produced eggs must be a whole number (got "12.5")',
+      'Breakages must be a whole number (got "x")',
+    ]);
+  });
+
+  it('requires produced eggs', () => {
+    expect(validateProduction({ date: '2026-03-01', producedEggs: '' }).errors)
+      .toEqual(['Please fill in produced eggs']);
+  });
+});
+
+describe('validateSale', () => {
+  const tray = { name: 'Tray', eggs_per_unit: 30 };
+
+  it('turns packs into eggs and a price per egg', () => {
+    const { errors, values } = validateSale({
+      date: '2026-03-01',
+      quantity: '2',
+      unitPrice: '9',
+      pack: tray,
+      paymentType: 'cash',
+    });
+
+    expect(errors).toEqual([]);
+    expect(values).toMatchObject({ quantity: 60, unitPrice: 0.3, packCount: 2, packPrice: 9, packName: 'Tray' });
+  });
+
+  it('needs a customer for credit and more than zero sold', () => {
+    const { errors } = validateSale({ date: '2026-03-01', quantity: '0', unitPrice: '1', paymentType: 'credit' });
+
+    expect(errors).toEqual(['Number sold must be more than zero', 'Please enter the customer name for a credit sale']);
+  });
+
+  it('checks the time', () => {
+    const { errors } = validateSale({ date: '2026-03-01', time: '24:10', quantity: '1', unitPrice: '1' });
+
+    expect(errors).toEqual(['Time must be HH:MM (got "24:10")']);
+  });
+});
+
+describe('projectProduction', () => {
+  const day = { produced_eggs: 100, breakages: 3 };
+
+  it('replaces or adds to the day', () => {
+    expect(projectProduction(day, { producedEggs: 40, breakages: 1 }, 'replace'))
+      .toMatchObject({ produced_eggs: 40, breakages: 1 });
+    expect(projectProduction(day, { producedEggs: 40, breakages: 1 }, 'add'))
+      .toMatchObject({ produced_eggs: 140, breakages: 4 });
+  });
+
+  it('replaces only the flock\'s share of the day', () => {
+    expect(projectProduction(day, { producedEggs: 50, breakages: 0, flockId: 1 }, 'replace', 30))
+      .toMatchObject({ produced_eggs: 120 });
+  });
+});
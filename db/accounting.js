@@ -0,0 +1,380 @@
+import { DATE_FORMATS, SYMBOL_POSITIONS } from '../utils/format';
+
+// The farm's money, stock and data entry rules, in one place so the screens,
+// the reports and the export all get the same answers. Nothing here touches
+// the database; the *_SQL fragments are the same rules for queries.
+
+// Amounts are kept to the cent; how many decimals are shown is up to the
+// currency settings (utils/format).
+export const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// What a sale comes to: eggs sold at the price per egg
+export const saleAmount = (sale) => roundMoney(sale.quantity * sale.unit_price);
+
+// saleAmount for a row of the sales table
+export const SALE_AMOUNT_SQL = 'ROUND(quantity * unit_price, 2)';
+
+// Average price per egg across a day's cash and credit sales, unrounded
+export const averagePrice = (day) =>
+  (day.sold_eggs > 0 ? (day.cash_sales + day.credit_sales) / day.sold_eggs : 0);
+
+// Running egg stock. Unsold eggs carry over: each day opens with the
+// previous day's closing stock, and closes with
+//   opening + produced - breakages - sold.
+// A day with only sales or credit entered has no production.
+export const netChange = (record) =>
+  (record.produced_eggs || 0) - (record.breakages || 0) - (record.sold_eggs || 0);
+
+// netChange for a row of day_totals (see DAY_TOTALS_CTE in ./records)
+export const NET_CHANGE_SQL = '(COALESCE(produced_eggs, 0) - COALESCE(breakages, 0) - COALESCE(sold_eggs, 0))';
+
+// The farm summary from day_totals columns summed over every day, with the
+// credit given and repaid on the customer ledger
+export const summarizeTotals = (totals) => ({
+  totalProduced: totals.produced_eggs || 0,
+  totalBreakages: totals.breakages || 0,
+  totalSold: totals.sold_eggs || 0,
+  totalCashSales: roundMoney(totals.cash_sales || 0),
+  totalCreditSales: roundMoney(totals.credit_sales || 0),
+  stockOnHand: netChange(totals),
+  outstandingCredit: roundMoney((totals.credit_given || 0) - (totals.credit_repaid || 0)),
+});
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const INTEGER_PATTERN = /^\d+$/;
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const isValidDate = (value) => {
+  if (!DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value);
+};
+
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+// Parse a typed number, recording an error if it isn't one. Blank is zero.
+const parseNumber = (raw, label, pattern, errors) => {
+  const value = text(raw);
+  if (!value) {
+    return 0;
+  }
+  if (!pattern.test(value)) {
+    errors.push(`${label} must be a ${pattern === INTEGER_PATTERN ? 'whole number' : 'number'} (got "${value}")`);
+    return 0;
+  }
+  return pattern === INTEGER_PATTERN ? parseInt(value, 10) : parseFloat(value);
+};
+
+const parseDate = (raw, errors) => {
+  const date = text(raw);
+  if (!isValidDate(date)) {
+    errors.push(`Date must be a valid YYYY-MM-DD date (got "${date}")`);
+  }
+  return date;
+};
+
+// Check a day's production as typed in the form. Returns `{ errors, values }`:
+// `values` holds the parsed numbers and `errors` is empty when it is valid.
+export const validateProduction = (input) => {
+  const errors = [];
+  const date = parseDate(input.date, errors);
+  if (!text(input.producedEggs)) {
+    errors.push('Please fill in produced eggs');
+  }
+
+  const values = {
+    date,
+    producedEggs: parseNumber(input.producedEggs, 'Produced eggs', INTEGER_PATTERN, errors),
+    breakages: parseNumber(input.breakages, 'Breakages', INTEGER_PATTERN, errors),
+    flockId: input.flockId || null,
+  };
+  return { errors, values };
+};
+
+// Check a sale as typed in the form, like validateProduction. Credit sales
+// need a customer.
+// `quantity` and `unitPrice` are entered in `pack` (a pack_units row,
+// single eggs if omitted); values come back in eggs and price per egg, with
+// the pack details alongside
+export const validateSale = (input) => {
+  const errors = [];
+  const pack = input.pack || { name: 'Egg', eggs_per_unit: 1 };
+  const unitName = pack.eggs_per_unit === 1 ? 'egg' : pack.name.toLowerCase();
+  const date = parseDate(input.date, errors);
+  const time = text(input.time);
+  if (time && !TIME_PATTERN.test(time)) {
+    errors.push(`Time must be HH:MM (got "${time}")`);
+  }
+  if (!text(input.quantity) || !text(input.unitPrice)) {
+    errors.push(`Please fill in the number sold and the price per ${unitName}`);
+  }
+
+  const packCount = parseNumber(input.quantity, 'Number sold', INTEGER_PATTERN, errors);
+  const packPrice = parseNumber(input.unitPrice, `Price per ${unitName}`, DECIMAL_PATTERN, errors);
+  const values = {
+    date,
+    time,
+    quantity: packCount * pack.eggs_per_unit,
+    unitPrice: packPrice / pack.eggs_per_unit,
+    paymentType: input.paymentType === 'credit' ? 'credit' : 'cash',
+    customerName: text(input.customerName),
+    gradeId: input.gradeId || null,
+    listPrice: input.listPrice,
+    discountPercent: input.discountPercent || 0,
+    packName: pack.name,
+    packSize: pack.eggs_per_unit,
+    packCount,
+    packPrice,
+  };
+
+  if (text(input.quantity) && packCount <= 0) {
+    errors.push('Number sold must be more than zero');
+  }
+  if (values.paymentType === 'credit' && !values.customerName) {
+    errors.push('Please enter the customer name for a credit sale');
+  }
+  return { errors, values };
+};
+
+export const validateFlock = (input) => {
+  const errors = [];
+  const name = text(input.name);
+  if (!name) {
+    errors.push('Please enter a name for the flock');
+  }
+  if (!text(input.initialHens)) {
+    errors.push('Please fill in the number of hens');
+  }
+
+  const values = {
+    name,
+    breed: text(input.breed),
+    initialHens: parseNumber(input.initialHens, 'Hens', INTEGER_PATTERN, errors),
+    placedDate: parseDate(input.placedDate, errors),
+  };
+  if (text(input.initialHens) && values.initialHens <= 0) {
+    errors.push('A flock needs at least one hen');
+  }
+  return { errors, values };
+};
+
+export const validatePackUnit = (input) => {
+  const errors = [];
+  const name = text(input.name);
+  if (!name) {
+    errors.push('Please enter a name for the pack unit');
+  }
+  if (!text(input.eggsPerUnit)) {
+    errors.push('Please fill in the eggs per unit');
+  }
+
+  const values = {
+    name,
+    eggsPerUnit: parseNumber(input.eggsPerUnit, 'Eggs per unit', INTEGER_PATTERN, errors),
+    price: parseNumber(input.price, 'Price', DECIMAL_PATTERN, errors),
+  };
+  if (text(input.eggsPerUnit) && values.eggsPerUnit <= 0) {
+    errors.push('Eggs per unit must be more than zero');
+  }
+  return { errors, values };
+};
+
+export const validateGrade = (input) => {
+  const errors = [];
+  const name = text(input.name);
+  if (!name) {
+    errors.push('Please enter a name for the grade');
+  }
+  const values = {
+    name,
+    price: parseNumber(input.price, 'Price per egg', DECIMAL_PATTERN, errors),
+  };
+  return { errors, values };
+};
+
+// Check a day's grading as typed: `counts` maps each grade id to the eggs
+// typed for it. Blank counts are zero, which clears that grade for the day.
+export const validateGrading = (input, grades) => {
+  const errors = [];
+  const values = {
+    date: parseDate(input.date, errors),
+    counts: grades.map(grade => ({
+      gradeId: grade.id,
+      eggs: parseNumber(input.counts[grade.id], `${grade.name} eggs`, INTEGER_PATTERN, errors),
+    })),
+  };
+  return { errors, values };
+};
+
+// Check a price list as typed. `breaks` are the typed quantity breaks
+// ([{ minEggs, discountPercent }]); rows left blank are dropped.
+export const validatePriceList = (input) => {
+  const errors = [];
+  const name = text(input.name);
+  if (!name) {
+    errors.push('Please enter a name for the price list');
+  }
+
+  const breaks = input.breaks
+    .filter(item => text(item.minEggs) || text(item.discountPercent))
+    .map(item => ({
+      minEggs: parseNumber(item.minEggs, 'Minimum eggs', INTEGER_PATTERN, errors),
+      discountPercent: parseNumber(item.discountPercent, 'Discount', DECIMAL_PATTERN, errors),
+    }));
+  breaks.forEach(item => {
+    if (item.minEggs <= 0) {
+      errors.push('Each quantity break needs a minimum number of eggs');
+    }
+    if (item.discountPercent <= 0 || item.discountPercent > 100) {
+      errors.push('Each discount must be more than 0% and at most 100%');
+    }
+  });
+  if (new Set(breaks.map(item => item.minEggs)).size < breaks.length) {
+    errors.push('Two quantity breaks have the same minimum');
+  }
+
+  const values = {
+    name,
+    pricePerEgg: parseNumber(input.pricePerEgg, 'Price per egg', DECIMAL_PATTERN, errors),
+    breaks,
+  };
+  return { errors, values };
+};
+
+// Check the currency and date settings as typed (see utils/format)
+export const validateLocale = (input) => {
+  const errors = [];
+  const currencyCode = text(input.currencyCode).toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currencyCode)) {
+    errors.push('The currency code must be three letters, like KES or USD');
+  }
+  const currencySymbol = text(input.currencySymbol);
+  if (!currencySymbol) {
+    errors.push('Please enter a currency symbol');
+  } else if (currencySymbol.length > 5) {
+    errors.push('The currency symbol can be at most 5 characters');
+  }
+  if (!SYMBOL_POSITIONS.some(position => position.key === input.symbolPosition)) {
+    errors.push('Please choose where the currency symbol goes');
+  }
+  if (!Number.isInteger(input.decimalPlaces) || input.decimalPlaces < 0 || input.decimalPlaces > 3) {
+    errors.push('Decimal places must be between 0 and 3');
+  }
+  if (!DATE_FORMATS.includes(input.dateFormat)) {
+    errors.push('Please choose a date format');
+  }
+
+  const values = {
+    currencyCode,
+    currencySymbol,
+    symbolPosition: input.symbolPosition,
+    decimalPlaces: input.decimalPlaces,
+    dateFormat: input.dateFormat,
+  };
+  return { errors, values };
+};
+
+// Check the records list filters as typed. Every field may be left blank;
+// blank filters are left out of `values` (see getDailyRecords in ./records).
+export const validateRecordFilters = (input) => {
+  const errors = [];
+  const values = {};
+  ['from', 'to'].forEach(key => {
+    if (text(input[key])) {
+      values[key] = parseDate(input[key], errors);
+    }
+  });
+  if (values.from && values.to && values.from > values.to) {
+    errors.push('The start date must be before the end date');
+  }
+  if (text(input.customer)) {
+    values.customer = text(input.customer);
+  }
+  if (input.hasCredit) {
+    values.hasCredit = true;
+  }
+  if (text(input.minBreakages)) {
+    values.minBreakages = parseNumber(input.minBreakages, 'Breakages above', INTEGER_PATTERN, errors);
+  }
+  return { errors, values };
+};
+
+export const validateExpense = (input) => {
+  const errors = [];
+  if (!text(input.amount)) {
+    errors.push('Please fill in the amount');
+  }
+  if (!input.category) {
+    errors.push('Please choose a category');
+  }
+
+  const values = {
+    date: parseDate(input.date, errors),
+    category: input.category,
+    amount: parseNumber(input.amount, 'Amount', DECIMAL_PATTERN, errors),
+    note: text(input.note),
+  };
+  if (text(input.amount) && values.amount <= 0) {
+    errors.push('Amount must be more than zero');
+  }
+  return { errors, values };
+};
+
+// Types match the CHECK constraint on flock_events
+export const validateFlockEvent = (input) => {
+  const errors = [];
+  const values = {
+    date: parseDate(input.date, errors),
+    type: input.type,
+    count: parseNumber(input.count, 'Number of birds', INTEGER_PATTERN, errors),
+    note: text(input.note),
+  };
+
+  if (!['mortality', 'cull', 'added'].includes(values.type)) {
+    errors.push('Please choose mortality, cull or added');
+  }
+  if (values.count <= 0) {
+    errors.push('Number of birds must be more than zero');
+  }
+  return { errors, values };
+};
+
+// Check a whole day in the export layout (all fields are strings, from a CSV
+// file), like validateProduction. Sales are checked against the stock on
+// hand separately, with ./stock.
+export const validateDailyRecord = (input) => {
+  const errors = [];
+  const date = parseDate(input.date, errors);
+  if (!text(input.producedEggs) || !text(input.pricePerEgg)) {
+    errors.push('Please fill in produced eggs and price per egg');
+  }
+
+  const values = {
+    date,
+    producedEggs: parseNumber(input.producedEggs, 'Produced eggs', INTEGER_PATTERN, errors),
+    breakages: parseNumber(input.breakages, 'Breakages', INTEGER_PATTERN, errors),
+    soldEggs: parseNumber(input.soldEggs, 'Sold eggs', INTEGER_PATTERN, errors),
+    pricePerEgg: parseNumber(input.pricePerEgg, 'Price per egg', DECIMAL_PATTERN, errors),
+    // Null when the file has no cash sales figure
+    cashSales: text(input.cashSales) ? parseNumber(input.cashSales, 'Cash sales', DECIMAL_PATTERN, errors) : null,
+    creditAmount: parseNumber(input.creditAmount, 'Credit amount', DECIMAL_PATTERN, errors),
+    creditName: text(input.creditName),
+  };
+
+  if (values.creditAmount > 0 && !values.creditName) {
+    errors.push('Please enter the customer name for the credit');
+  }
+
+  return { errors, values };
+};
+
+// The day fields that affect stock, for ./stock checks
+export const toStockRecord = (values) => ({
+  date: values.date,
+  produced_eggs: values.producedEggs,
+  breakages: values.breakages,
+  sold_eggs: values.soldEggs,
+});
@@ -0,0 +1,144 @@
+import { findShortfalls, describeShortfall, getStockRecords } from './stock';
+import { findGradeShortfall, describeGradeShortfall } from './grades';
+
+// Every write to farm data is logged by the triggers from migration 5 (see
+// createAuditTriggers). Writes made inside auditBatch share a batch, so a
+// delete that touches several tables can be listed and restored as one.
+
+export const TRASH_RETENTION_DAYS = 30;
+
+// Farm tables, children before parents, in the order a reset clears them.
+// Settings, grades, pack units, price lists, users and sync state are kept.
+const FARM_TABLES = [
+  'credit_payments',
+  'credit_transactions',
+  'sales',
+  'flock_production',
+  'grade_production',
+  'daily_records',
+  'flock_events',
+  'flocks',
+  'customers',
+  'expenses',
+];
+
+export const getDeviceUser = (db) =>
+  db.getFirstAsync('SELECT user_name FROM audit_context WHERE id = 1')
+    .then(row => (row ? row.user_name : 'device'));
+
+export const setDeviceUser = (db, name) =>
+  db.runAsync('UPDATE audit_context SET user_name = ? WHERE id = 1', [name.trim() || 'device']);
+
+// Run `task` with its writes logged under a new batch. Must be called inside
+// a transaction, so a failed task also rolls back the batch. Resolves with
+// the batch id.
+export const auditBatch = (db, label, task) =>
+  db.runAsync(
+    'INSERT INTO audit_batches (label, user_name) SELECT ?, user_name FROM audit_context WHERE id = 1',
+    [label]
+  ).then(({ lastInsertRowId: batchId }) =>
+    db.runAsync('UPDATE audit_context SET batch_id = ? WHERE id = 1', [batchId])
+      .then(() => task())
+      .then(() => db.runAsync('UPDATE audit_context SET batch_id = NULL WHERE id = 1'))
+      .then(() => batchId)
+  );
+
+// Delete all farm data. Run it in an auditBatch so the reset can be undone.
+export const deleteAllData = (db) =>
+  FARM_TABLES.reduce(
+    (chain, table) => chain.then(() => db.runAsync(`DELETE FROM "${table}"`)),
+    Promise.resolve()
+  );
+
+// Batches that deleted something within the retention period and have not
+// been restored yet, newest first
+export const getTrash = (db) =>
+  db.getAllAsync(
+    `SELECT b.id, b.label, b.user_name, b.created_at, COUNT(l.id) as deleted_count
+     FROM audit_batches b
+     JOIN audit_log l ON l.batch_id = b.id AND l.action = 'delete'
+     WHERE b.restored_at IS NULL AND b.created_at >= datetime('now', ?)
+     GROUP BY b.id
+     ORDER BY b.created_at DESC, b.id DESC`,
+    [`-${TRASH_RETENTION_DAYS} days`]
+  );
+
+export const getAuditLog = (db, { limit = 50 } = {}) =>
+  db.getAllAsync(
+    `SELECT l.*, b.label as batch_label
+     FROM audit_log l
+     LEFT JOIN audit_batches b ON b.id = l.batch_id
+     ORDER BY l.id DESC
+     LIMIT ?`,
+    [limit]
+  );
+
+const restoreRow = (db, entry) => {
+  const saved = JSON.parse(entry.old_value);
+  // Columns dropped by a later migration are left behind
+  return db.getAllAsync(`PRAGMA table_info("${entry.table_name}")`).then(columns => {
+    const names = columns.map(column => column.name).filter(name => name in saved);
+    return db.runAsync(
+      `INSERT INTO "${entry.table_name}" (${names.map(name => `"${name}"`).join(', ')})
+       VALUES (${names.map(() => '?').join(', ')})`,
+      names.map(name => saved[name])
+    ).catch(error => {
+      if (/UNIQUE|PRIMARY KEY/i.test(error.message)) {
+        const what = saved.date || saved.name || `#${saved.id}`;
+        throw new Error(`Cannot restore: ${entry.table_name.replace(/_/g, ' ')} ${what} has been re-created since it was deleted.`);
+      }
+      throw error;
+    });
+  });
+};
+
+// Put back every row deleted in `batchId`, parents first, as a new batch.
+// Call inside a transaction: a failed stock check rejects and rolls it back.
+export const restoreBatch = (db, batchId) =>
+  db.getFirstAsync(
+    `SELECT * FROM audit_batches
+     WHERE id = ? AND restored_at IS NULL AND created_at >= datetime('now', ?)`,
+    [batchId, `-${TRASH_RETENTION_DAYS} days`]
+  ).then(batch => {
+    if (!batch) {
+      throw new Error('This item is no longer in the trash.');
+    }
+
+    return db.getAllAsync(
+      "SELECT * FROM audit_log WHERE batch_id = ? AND action = 'delete' ORDER BY id DESC",
+      [batchId]
+    ).then(entries =>
+      auditBatch(db, `Restore: ${batch.label}`, () =>
+        entries.reduce((chain, entry) => chain.then(() => restoreRow(db, entry)), Promise.resolve())
+      )
+        .then(() => db.runAsync('UPDATE audit_batches SET restored_at = CURRENT_TIMESTAMP WHERE id = ?', [batchId]))
+        .then(() => checkRestoredStock(db, entries))
+    );
+  });
+
+// Stock may have been sold since the delete, so restored sales can no
+// longer be covered, in total or for their grade
+const checkRestoredStock = (db, entries) => {
+  const dates = new Set(
+    entries
+      .filter(entry => ['sales', 'daily_records', 'grade_production'].includes(entry.table_name))
+      .map(entry => JSON.parse(entry.old_value).date)
+  );
+  if (dates.size === 0) {
+    return Promise.resolve();
+  }
+
+  return getStockRecords(db).then(records => {
+    const byDate = new Map(records.map(record => [record.date, record]));
+    const changes = new Map([...dates].filter(date => byDate.has(date)).map(date => [date, byDate.get(date)]));
+    const shortfalls = changes.size > 0 ? findShortfalls(records, changes) : [];
+    if (shortfalls.length > 0) {
+      throw new Error(`Cannot restore: ${describeShortfall(shortfalls[0], null)}`);
+    }
+    return findGradeShortfall(db, [...dates].sort()[0]);
+  }).then(shortfall => {
+    if (shortfall) {
+      throw new Error(`Cannot restore: ${describeGradeShortfall(shortfall)}`);
+    }
+  });
+};
@@ -0,0 +1,136 @@
+import { LATEST_SCHEMA_VERSION, getSchemaVersion, migrateWithinTransaction, rebuildSchema } from './migrations';
+
+// A backup is every table dumped to JSON along with the schema version it
+// was taken at. Restoring rebuilds that schema, loads the rows and then
+// migrates forward, so backups from older builds still restore.
+//
+// Some sync state belongs to the device, not the data: a backup restored on
+// another phone must not bring along the device id it was taken with, or the
+// sync server would treat both phones as one. sync_context and
+// sync_conflicts are left out of backups and skipped in older backups that
+// have them. The sync ids of the rows (sync_rows) and the changes not yet
+// pushed (sync_outbox) go with the data, so the server still knows the
+// restored rows as the ones it already has.
+
+const BACKUP_APP = 'egg-inventory';
+const BACKUP_FORMAT = 1;
+const TABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const DEVICE_TABLES = ['sync_context', 'sync_conflicts'];
+
+const isDeviceTable = (name) => DEVICE_TABLES.includes(name);
+
+const listTables = (db) =>
+  db.getAllAsync(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+  ).then(tables => tables.map(table => table.name));
+
+export const createBackup = (db) =>
+  Promise.all([getSchemaVersion(db), listTables(db).then(names => names.filter(name => !isDeviceTable(name)))])
+    .then(([schemaVersion, tableNames]) =>
+      Promise.all(tableNames.map(name => db.getAllAsync(`SELECT * FROM "${name}" ORDER BY rowid`)))
+        .then(rows => ({
+          app: BACKUP_APP,
+          format: BACKUP_FORMAT,
+          schemaVersion,
+          createdAt: new Date().toISOString(),
+          tables: Object.fromEntries(tableNames.map((name, index) => [name, rows[index]])),
+        }))
+    );
+
+export const backupFileName = (backup) =>
+  `egg-inventory-backup-${backup.createdAt.replace(/[:.]/g, '-')}.json`;
+
+export const countBackupRows = (backup) =>
+  Object.values(backup.tables).reduce((total, rows) => total + rows.length, 0);
+
+// Parse and check a backup file. Throws with a readable message if the file
+// is not a backup this build can restore.
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not a backup: it is not valid JSON.');
+  }
+
+  if (!backup || backup.app !== BACKUP_APP || !backup.tables || typeof backup.tables !== 'object') {
+    throw new Error('This file is not an egg inventory backup.');
+  }
+  if (backup.format !== BACKUP_FORMAT) {
+    throw new Error(`Unsupported backup format ${backup.format}.`);
+  }
+  if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 1) {
+    throw new Error('The backup has no valid schema version.');
+  }
+  if (backup.schemaVersion > LATEST_SCHEMA_VERSION) {
+    throw new Error(
+      `The backup is from a newer version of the app (schema ${backup.schemaVersion}, this app supports ${LATEST_SCHEMA_VERSION}). Please update the app first.`
+    );
+  }
+
+  Object.entries(backup.tables).forEach(([name, rows]) => {
+    if (!TABLE_NAME_PATTERN.test(name) || !Array.isArray(rows)) {
+      throw new Error(`The backup's "${name}" table is damaged.`);
+    }
+  });
+
+  return backup;
+};
+
+const restoreTable = (db, name, rows) =>
+  db.runAsync(`DELETE FROM "${name}"`).then(() =>
+    rows.reduce((chain, row) => {
+      const columns = Object.keys(row);
+      return chain.then(() => db.runAsync(
+        `INSERT INTO "${name}" (${columns.map(column => `"${column}"`).join(', ')})
+         VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => row[column])
+      ));
+    }, Promise.resolve())
+  );
+
+// Replace all local data with `backup` (from parseBackup) in one
+// transaction; any failure leaves the current data untouched. The audit
+// tables go last so they come back as they were, without the log entries
+// written while the other tables were loading.
+//
+// The device keeps its sync server and token but gets a new device id, so
+// the next sync pulls everything. Restored rows are not queued to be pushed:
+// they keep the sync ids and versions they had, and only the changes the
+// backup had not pushed yet are sent. Backups taken without sync_rows have
+// no sync ids to keep, so their rows are queued as new.
+export const restoreBackup = (db, backup) => {
+  const names = Object.keys(backup.tables)
+    .filter(name => !isDeviceTable(name))
+    .sort((a, b) => Number(a.startsWith('audit_')) - Number(b.startsWith('audit_')) || a.localeCompare(b));
+  let server = null;
+
+  return db.withTransactionAsync(() =>
+    // Tables load in name order, so hold foreign key checks until the end
+    db.execAsync('PRAGMA defer_foreign_keys = ON')
+      .then(() => db.getFirstAsync('SELECT server_url, token FROM sync_context WHERE id = 1'))
+      .then(row => {
+        server = row;
+      })
+      .then(() => rebuildSchema(db, backup.schemaVersion))
+      .then(() => backup.tables.sync_rows && db.runAsync('UPDATE sync_context SET applying = 1 WHERE id = 1'))
+      .then(() => listTables(db))
+      .then(existing => {
+        const unknown = names.find(name => !existing.includes(name));
+        if (unknown) {
+          throw new Error(`The backup has a table "${unknown}" that schema ${backup.schemaVersion} does not.`);
+        }
+        return names.reduce(
+          (chain, name) => chain.then(() => restoreTable(db, name, backup.tables[name])),
+          Promise.resolve()
+        );
+      })
+      .then(() => migrateWithinTransaction(db, backup.schemaVersion))
+      .then(() => db.runAsync('UPDATE sync_context SET applying = 0 WHERE id = 1'))
+      .then(() => server && db.runAsync(
+        'UPDATE sync_context SET server_url = ?, token = ? WHERE id = 1',
+        [server.server_url, server.token]
+      ))
+  );
+};
@@ -0,0 +1,4 @@
+import { openStorage } from './storage';
+
+// Open/create the database: a SQLite file on phones, IndexedDB on the web
+export const db = openStorage('egg_inventory.db');
@@ -0,0 +1,75 @@
+import { roundMoney } from './accounting';
+import { CURRENT_USER_SQL, DAY_TOTALS_CTE } from './records';
+
+export const EXPENSE_CATEGORIES = [
+  { key: 'feed', label: 'Feed' },
+  { key: 'vet', label: 'Vet & Medicine' },
+  { key: 'labour', label: 'Labour' },
+  { key: 'packaging', label: 'Packaging' },
+  { key: 'transport', label: 'Transport' },
+  { key: 'other', label: 'Other' },
+];
+
+export const expenseCategoryLabel = (key) => {
+  const category = EXPENSE_CATEGORIES.find(item => item.key === key);
+  return category ? category.label : key;
+};
+
+export const addExpense = (db, { date, category, amount, note = '' }) =>
+  db.runAsync(
+    `INSERT INTO expenses (date, category, amount, note, created_by)
+     VALUES (?, ?, ?, ?, ${CURRENT_USER_SQL})`,
+    [date, category, roundMoney(amount), note]
+  ).then(result => result.lastInsertRowId);
+
+export const deleteExpense = (db, expenseId) =>
+  db.runAsync('DELETE FROM expenses WHERE id = ?', [expenseId]);
+
+// Newest first
+export const getExpenses = (db, { from, to }) =>
+  db.getAllAsync(
+    'SELECT * FROM expenses WHERE date BETWEEN ? AND ? ORDER BY date DESC, id DESC',
+    [from, to]
+  );
+
+// Profit and loss for a date range. Revenue is every sale in the range,
+// cash and credit alike, when it was made rather than when it was paid.
+// Cost per egg spreads all expenses over the eggs produced.
+export const getProfitAndLoss = (db, { from, to }) =>
+  Promise.all([
+    db.getFirstAsync(
+      `WITH ${DAY_TOTALS_CTE}
+      SELECT
+        COALESCE(SUM(produced_eggs), 0) as producedEggs,
+        COALESCE(SUM(sold_eggs), 0) as soldEggs,
+        COALESCE(SUM(cash_sales), 0) as cashSales,
+        COALESCE(SUM(credit_sales), 0) as creditSales
+      FROM day_totals
+      WHERE date BETWEEN ? AND ?`,
+      [from, to]
+    ),
+    db.getAllAsync(
+      `SELECT category, SUM(amount) as amount
+      FROM expenses
+      WHERE date BETWEEN ? AND ?
+      GROUP BY category
+      ORDER BY amount DESC`,
+      [from, to]
+    ),
+  ]).then(([sales, expensesByCategory]) => {
+    const revenue = roundMoney(sales.cashSales + sales.creditSales);
+    const totalExpenses = roundMoney(expensesByCategory.reduce((total, row) => total + row.amount, 0));
+    return {
+      ...sales,
+      revenue,
+      expensesByCategory: expensesByCategory.map(row => ({
+        ...row,
+        amount: roundMoney(row.amount),
+        label: expenseCategoryLabel(row.category),
+      })),
+      totalExpenses,
+      profit: roundMoney(revenue - totalExpenses),
+      costPerEgg: sales.producedEggs > 0 ? totalExpenses / sales.producedEggs : null,
+      revenuePerEggSold: sales.soldEggs > 0 ? revenue / sales.soldEggs : null,
+    };
+  });
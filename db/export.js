@@ -0,0 +1,55 @@
+import { toCsv } from '../utils/csv';
+import { DEFAULT_LOCALE, formatDate, roundAmount } from '../utils/format';
+import { averagePrice } from './accounting';
+import { getDailyRecords } from './records';
+
+// Columns available in the CSV export, in file order. Values are written in
+// the locale's date format and decimal places; `money` columns have the
+// currency code added to their header, e.g. "Cash Sales (KES)".
+export const EXPORT_COLUMNS = [
+  { key: 'date', header: 'Date', value: (record, locale) => formatDate(record.date, locale) },
+  { key: 'openingStock', header: 'Opening Stock', value: record => record.opening_stock },
+  { key: 'produced', header: 'Produced Eggs', value: record => record.produced_eggs || 0 },
+  { key: 'breakages', header: 'Breakages', value: record => record.breakages || 0 },
+  { key: 'sold', header: 'Sold Eggs', value: record => record.sold_eggs || 0 },
+  { key: 'closingStock', header: 'Closing Stock', value: record => record.closing_stock },
+  {
+    key: 'price',
+    header: 'Price Per Egg',
+    money: true,
+    // Prices keep at least cents even when amounts are whole, so sold eggs ×
+    // price still adds up
+    value: (record, locale) => roundAmount(averagePrice(record), locale, Math.max(locale.decimalPlaces, 2)),
+  },
+  {
+    key: 'cashSales',
+    header: 'Cash Sales',
+    money: true,
+    value: (record, locale) => roundAmount(record.cash_sales, locale),
+  },
+  {
+    key: 'creditAmount',
+    header: 'Credit Amount',
+    money: true,
+    value: (record, locale) => roundAmount(record.credit_amount || 0, locale),
+  },
+  { key: 'creditName', header: 'Credit Name', value: record => record.credit_customers || '' },
+];
+
+export const buildExportCsv = (records, columnKeys, locale = DEFAULT_LOCALE) => {
+  const columns = EXPORT_COLUMNS.filter(column => columnKeys.includes(column.key));
+  return toCsv(
+    columns.map(column => (column.money ? `${column.header} (${locale.currencyCode})` : column.header)),
+    records.map(record => columns.map(column => column.value(record, locale)))
+  );
+};
+
+// Resolves with `{ csv, count }` for the records in the date range
+export const exportRecordsCsv = (db, { from, to, columnKeys, locale }) =>
+  getDailyRecords(db, { from, to }).then(records => ({
+    csv: buildExportCsv(records, columnKeys, locale),
+    count: records.length,
+  }));
+
+export const exportFileName = ({ from, to }) =>
+  `egg-records_${from || 'start'}_to_${to || 'latest'}.csv`;
@@ -0,0 +1,130 @@
+// Flocks, their hen counts and lay rate. A flock starts with initial_hens;
+// flock_events add or remove birds from then on. Lay rate is the hen-day
+// rate: eggs laid per 100 hens on the days production was recorded.
+
+import { CURRENT_USER_SQL } from './records';
+
+export const FLOCK_EVENT_TYPES = [
+  { key: 'mortality', label: 'Died' },
+  { key: 'cull', label: 'Culled' },
+  { key: 'added', label: 'Added' },
+];
+
+export const LAY_RATE_WINDOW_DAYS = 7;
+
+// A flock is flagged when its lay rate over the last window is this many
+// percentage points below the window before
+export const LAY_RATE_DROP_ALERT = 10;
+
+// SQL for the hens in flock `f` at the end of the day `dateExpression`
+const hensOn = (dateExpression) => `
+  f.initial_hens + COALESCE((
+    SELECT SUM(CASE WHEN e.type = 'added' THEN e.count ELSE -e.count END)
+    FROM flock_events e
+    WHERE e.flock_id = f.id AND e.date <= ${dateExpression}
+  ), 0)`;
+
+const hensChange = (event) => (event.type === 'added' ? event.count : -event.count);
+
+const layRate = (eggs, hens) => (hens > 0 ? (100 * eggs) / hens : 0);
+
+export const addFlock = (db, { name, breed, initialHens, placedDate }) =>
+  db.getFirstAsync('SELECT id FROM flocks WHERE name = ?', [name]).then(existing => {
+    if (existing) {
+      throw new Error(`A flock named "${name}" already exists`);
+    }
+    return db.runAsync(
+      'INSERT INTO flocks (name, breed, initial_hens, placed_date) VALUES (?, ?, ?, ?)',
+      [name, breed, initialHens, placedDate]
+    ).then(result => result.lastInsertRowId);
+  });
+
+// Every flock with its hen count and totals as of `asOfDate`
+export const getFlocks = (db, asOfDate) =>
+  db.getAllAsync(
+    `SELECT
+      f.*,
+      ${hensOn('?')} as hens,
+      (SELECT COALESCE(SUM(count), 0) FROM flock_events WHERE flock_id = f.id AND type = 'mortality') as mortality,
+      (SELECT COALESCE(SUM(count), 0) FROM flock_events WHERE flock_id = f.id AND type = 'cull') as culls
+    FROM flocks f
+    ORDER BY f.placed_date, f.name`,
+    [asOfDate]
+  );
+
+export const getFlockEvents = (db, flockId) =>
+  db.getAllAsync('SELECT * FROM flock_events WHERE flock_id = ? ORDER BY date DESC, id DESC', [flockId]);
+
+// Record birds dying, culled or added. Rejects a removal that would leave
+// the flock with fewer than zero hens at any point from then on.
+export const addFlockEvent = (db, flockId, { date, type, count, note = '' }) =>
+  Promise.all([
+    db.getFirstAsync('SELECT * FROM flocks WHERE id = ?', [flockId]),
+    db.getAllAsync('SELECT date, type, count FROM flock_events WHERE flock_id = ? ORDER BY date, id', [flockId]),
+  ]).then(([flock, events]) => {
+    if (!flock) {
+      throw new Error('That flock no longer exists');
+    }
+    if (date < flock.placed_date) {
+      throw new Error(`${flock.name} was placed on ${flock.placed_date}, after ${date}`);
+    }
+
+    const timeline = [...events, { date, type, count }].sort((a, b) => a.date.localeCompare(b.date));
+    let hens = flock.initial_hens;
+    timeline.forEach(event => {
+      hens += hensChange(event);
+      if (hens < 0) {
+        throw new Error(`${flock.name} would have fewer than zero hens on ${event.date}`);
+      }
+    });
+
+    return db.runAsync(
+      `INSERT INTO flock_events (flock_id, date, type, count, note, created_by)
+       VALUES (?, ?, ?, ?, ?, ${CURRENT_USER_SQL})`,
+      [flockId, date, type, count, note]
+    );
+  });
+
+// One row per day the flock's production was recorded, oldest first
+export const getLayRates = (db, flockId, { from, to }) =>
+  db.getAllAsync(
+    `SELECT p.date, p.produced_eggs, ${hensOn('p.date')} as hens
+    FROM flock_production p
+    JOIN flocks f ON f.id = p.flock_id
+    WHERE p.flock_id = ? AND p.date BETWEEN ? AND ?
+    ORDER BY p.date`,
+    [flockId, from, to]
+  ).then(rows => rows.map(row => ({ ...row, lay_rate: layRate(row.produced_eggs, row.hens) })));
+
+// Lay rate per flock over the last LAY_RATE_WINDOW_DAYS up to `asOfDate`
+// and the window before it. `dropping` flags a fall of LAY_RATE_DROP_ALERT
+// points or more. Rates are null for a window with no production recorded.
+export const getFlockLayRateSummaries = (db, asOfDate) =>
+  db.getAllAsync(
+    `SELECT
+      p.flock_id,
+      p.date >= date(?, ?) as is_recent,
+      SUM(p.produced_eggs) as eggs,
+      SUM(${hensOn('p.date')}) as hen_days
+    FROM flock_production p
+    JOIN flocks f ON f.id = p.flock_id
+    WHERE p.date BETWEEN date(?, ?) AND ?
+    GROUP BY p.flock_id, is_recent`,
+    [
+      asOfDate, `-${LAY_RATE_WINDOW_DAYS - 1} days`,
+      asOfDate, `-${LAY_RATE_WINDOW_DAYS * 2 - 1} days`, asOfDate,
+    ]
+  ).then(rows => {
+    const summaries = new Map();
+    rows.forEach(row => {
+      const summary = summaries.get(row.flock_id) || { recentRate: null, previousRate: null };
+      summary[row.is_recent ? 'recentRate' : 'previousRate'] = layRate(row.eggs, row.hen_days);
+      summaries.set(row.flock_id, summary);
+    });
+
+    summaries.forEach(summary => {
+      summary.dropping = summary.recentRate !== null && summary.previousRate !== null
+        && summary.previousRate - summary.recentRate >= LAY_RATE_DROP_ALERT;
+    });
+    return summaries;
+  });
@@ -0,0 +1,135 @@
+import { SALE_AMOUNT_SQL } from './accounting';
+
+// Egg grades (small, large, seconds...). Grading moves eggs from ungraded
+// stock into a grade's stock: each grade keeps its own running stock, and
+// ungraded stock is what is left of production after breakages, grading and
+// ungraded sales. All grades together always add up to the total stock.
+
+// Every movement in or out of a grade's stock; a null grade_id is ungraded
+const GRADE_MOVEMENTS_CTE = `
+  grade_movements AS (
+    SELECT date, NULL as grade_id, COALESCE(produced_eggs, 0) - COALESCE(breakages, 0) as eggs FROM daily_records
+    UNION ALL
+    SELECT date, NULL, -produced_eggs FROM grade_production
+    UNION ALL
+    SELECT date, grade_id, produced_eggs FROM grade_production
+    UNION ALL
+    SELECT date, grade_id, -quantity FROM sales
+  )`;
+
+export const getGrades = (db) =>
+  db.getAllAsync('SELECT * FROM egg_grades ORDER BY id');
+
+// Add a grade, or update the one with `id`
+export const saveGrade = (db, { id = null, name, price }) =>
+  db.getFirstAsync('SELECT id FROM egg_grades WHERE name = ? AND id IS NOT ?', [name, id])
+    .then(existing => {
+      if (existing) {
+        throw new Error(`A grade named "${name}" already exists`);
+      }
+      return id
+        ? db.runAsync('UPDATE egg_grades SET name = ?, price = ? WHERE id = ?', [name, price, id])
+        : db.runAsync('INSERT INTO egg_grades (name, price) VALUES (?, ?)', [name, price]);
+    });
+
+// A grade with eggs graded or sold would leave stock with no grade
+export const deleteGrade = (db, gradeId) =>
+  db.getFirstAsync(
+    `SELECT
+      (SELECT name FROM egg_grades WHERE id = ?) as name,
+      (SELECT COUNT(*) FROM grade_production WHERE grade_id = ?)
+        + (SELECT COUNT(*) FROM sales WHERE grade_id = ?) as uses`,
+    [gradeId, gradeId, gradeId]
+  ).then(row => {
+    if (row.uses > 0) {
+      throw new Error(`${row.name} eggs have been graded or sold, so the grade cannot be deleted`);
+    }
+    return db.runAsync('DELETE FROM egg_grades WHERE id = ?', [gradeId]);
+  });
+
+// The eggs graded on `date`, one row per grade that has any
+export const getGrading = (db, date) =>
+  db.getAllAsync('SELECT grade_id, produced_eggs FROM grade_production WHERE date = ?', [date]);
+
+// Replace the grading for `date` with `counts` ([{ gradeId, eggs }]); a grade
+// with no eggs is cleared. Does not check stock (see checkGradeStock).
+export const saveGrading = (db, date, counts) =>
+  counts.reduce(
+    (chain, { gradeId, eggs }) => chain.then(() => (
+      eggs > 0
+        ? db.runAsync(
+          `INSERT INTO grade_production (date, grade_id, produced_eggs)
+           VALUES (?, ?, ?)
+           ON CONFLICT(date, grade_id) DO UPDATE SET produced_eggs = excluded.produced_eggs`,
+          [date, gradeId, eggs]
+        )
+        : db.runAsync('DELETE FROM grade_production WHERE date = ? AND grade_id = ?', [date, gradeId])
+    )),
+    Promise.resolve()
+  );
+
+// Stock, sales and revenue per grade up to `asOfDate` (all dates if
+// omitted), with ungraded eggs last (id null)
+export const getGradeSummary = (db, asOfDate = null) =>
+  db.getAllAsync(
+    `WITH ${GRADE_MOVEMENTS_CTE},
+    grade_stock AS (
+      SELECT grade_id, SUM(eggs) as stock FROM grade_movements
+      WHERE ? IS NULL OR date <= ?
+      GROUP BY grade_id
+    ),
+    grade_sales AS (
+      SELECT grade_id, SUM(quantity) as sold_eggs, SUM(${SALE_AMOUNT_SQL}) as revenue FROM sales
+      WHERE ? IS NULL OR date <= ?
+      GROUP BY grade_id
+    )
+    SELECT g.id, g.name, g.price,
+      COALESCE(st.stock, 0) as stock,
+      COALESCE(sa.sold_eggs, 0) as sold_eggs,
+      COALESCE(sa.revenue, 0) as revenue
+    FROM (
+      SELECT id, name, price FROM egg_grades
+      UNION ALL
+      SELECT NULL, 'Ungraded', 0
+    ) g
+    LEFT JOIN grade_stock st ON st.grade_id IS g.id
+    LEFT JOIN grade_sales sa ON sa.grade_id IS g.id
+    ORDER BY g.id IS NULL, g.id`,
+    [asOfDate, asOfDate, asOfDate, asOfDate]
+  );
+
+// The first day from `fromDate` on where a grade (or ungraded stock) would
+// have sold or graded more eggs than it had, or null. Run after writing,
+// inside the transaction, like the stock check in restoreBatch.
+export const findGradeShortfall = (db, fromDate) =>
+  db.getFirstAsync(
+    `WITH ${GRADE_MOVEMENTS_CTE},
+    grade_days AS (
+      SELECT date, grade_id, SUM(eggs) as eggs FROM grade_movements GROUP BY date, grade_id
+    ),
+    grade_stock AS (
+      SELECT date, grade_id,
+        SUM(eggs) OVER (PARTITION BY grade_id ORDER BY date ROWS UNBOUNDED PRECEDING) as closing_stock
+      FROM grade_days
+    )
+    SELECT s.date, s.closing_stock, COALESCE(g.name, 'Ungraded') as grade_name
+    FROM grade_stock s
+    LEFT JOIN egg_grades g ON g.id = s.grade_id
+    WHERE s.date >= ? AND s.closing_stock < 0
+    ORDER BY s.date
+    LIMIT 1`,
+    [fromDate]
+  );
+
+export const describeGradeShortfall = (shortfall) =>
+  `Not enough ${shortfall.grade_name.toLowerCase()} eggs on ${shortfall.date}: ` +
+  `${-shortfall.closing_stock} more sold or graded than were in stock`;
+
+// Throw if `fromDate` on is short of any grade, rolling back the caller's
+// transaction
+export const checkGradeStock = (db, fromDate) =>
+  findGradeShortfall(db, fromDate).then(shortfall => {
+    if (shortfall) {
+      throw new Error(describeGradeShortfall(shortfall));
+    }
+  });
@@ -0,0 +1,250 @@
+import { parseCsv } from '../utils/csv';
+import { DEFAULT_LOCALE, parseFormattedDate } from '../utils/format';
+import { toStockRecord, validateDailyRecord } from './accounting';
+import { auditBatch } from './audit';
+import { EXPORT_COLUMNS } from './export';
+import { checkGradeStock } from './grades';
+import { addCreditTransaction, checkNotOverpaid, getCreditCustomers } from './ledger';
+import { CURRENT_USER_SQL } from './records';
+import { addSale } from './sales';
+import { describeShortfall, findShortfalls, getStockRecords } from './stock';
+
+// What to do with a row whose date already has a daily record
+export const CONFLICT_MODES = [
+  { key: 'skip', label: 'Skip', description: 'Keep the existing record and ignore the row' },
+  { key: 'overwrite', label: 'Overwrite', description: "Replace the existing record and that day's sales and credit" },
+  { key: 'merge', label: 'Merge', description: 'Add the imported eggs, sale and credit to the existing record' },
+];
+
+const REQUIRED_COLUMNS = ['date', 'produced', 'price'];
+
+// Export column key -> validateDailyRecord field. Opening/Closing Stock are
+// derived values, so they are ignored on import.
+const IMPORT_FIELDS = {
+  date: 'date',
+  produced: 'producedEggs',
+  breakages: 'breakages',
+  sold: 'soldEggs',
+  price: 'pricePerEgg',
+  cashSales: 'cashSales',
+  creditAmount: 'creditAmount',
+  creditName: 'creditName',
+};
+
+// Map each export column key to its index in the file's header row. Money
+// headers may carry a currency code, e.g. "Cash Sales (KES)".
+const readHeader = (header) => {
+  const normalized = header.map(name => name.trim().replace(/\s*\([A-Za-z]{3}\)$/, '').toLowerCase());
+  const indexes = {};
+  EXPORT_COLUMNS.forEach(column => {
+    const index = normalized.indexOf(column.header.toLowerCase());
+    if (index !== -1) {
+      indexes[column.key] = index;
+    }
+  });
+
+  const missing = REQUIRED_COLUMNS.filter(key => indexes[key] === undefined);
+  if (missing.length > 0) {
+    const headers = missing.map(key => EXPORT_COLUMNS.find(column => column.key === key).header);
+    throw new Error(`Missing required column(s): ${headers.join(', ')}`);
+  }
+  return indexes;
+};
+
+// Split one credit amount across the comma-separated names the export writes
+const splitCredit = (creditName, amount) => {
+  const names = creditName.split(',').map(name => name.trim()).filter(Boolean);
+  const share = Math.floor((amount * 100) / names.length) / 100;
+  return names.map((name, index) => ({
+    name,
+    amount: index === names.length - 1
+      ? Math.round((amount - share * (names.length - 1)) * 100) / 100
+      : share,
+  }));
+};
+
+// What a row would leave in daily_records, given the record already there
+const projectRow = (row, existing) => {
+  const imported = toStockRecord(row.values);
+  if (row.status !== 'merge') {
+    return imported;
+  }
+  return {
+    date: imported.date,
+    produced_eggs: existing.produced_eggs + imported.produced_eggs,
+    breakages: existing.breakages + imported.breakages,
+    sold_eggs: existing.sold_eggs + imported.sold_eggs,
+  };
+};
+
+// Check the stock that results from importing every valid row at once.
+// Only the earliest shortfall is reliable (later days inherit its deficit),
+// so fail one row at a time, leave it out and check again.
+const checkImportedStock = (rows, existingRecords, existingByDate) => {
+  for (;;) {
+    const writtenRows = rows.filter(row => ['new', 'overwrite', 'merge'].includes(row.status));
+    if (writtenRows.length === 0) {
+      return;
+    }
+
+    const changes = new Map(writtenRows.map(row => [row.date, projectRow(row, existingByDate.get(row.date))]));
+    const [shortfall] = findShortfalls(existingRecords, changes);
+    if (!shortfall) {
+      return;
+    }
+
+    // Blame the day itself if it is imported, else the last imported day before it
+    const row = writtenRows.find(candidate => candidate.date === shortfall.date)
+      || writtenRows.filter(candidate => candidate.date < shortfall.date).pop();
+    row.errors.push(describeShortfall(shortfall, row.date));
+    row.status = 'error';
+  }
+};
+
+// Parse and validate a CSV file in the export layout without writing
+// anything. Resolves with one entry per data row:
+//   { line, date, values, errors, status }
+// where status is 'error', 'new', or the conflict mode applied to a date
+// that already has a record ('skip', 'overwrite' or 'merge'). Dates may be
+// in YYYY-MM-DD or the `locale`'s date format, as the export writes them.
+export const previewImport = (db, text, mode, locale = DEFAULT_LOCALE) =>
+  Promise.resolve()
+    .then(() => {
+      const [header, ...dataRows] = parseCsv(text);
+      if (!header) {
+        throw new Error('The file is empty');
+      }
+      const indexes = readHeader(header);
+      return getStockRecords(db)
+        .then(existingRecords => ({ indexes, dataRows, existingRecords }));
+    })
+    .then(({ indexes, dataRows, existingRecords }) => {
+      const existingByDate = new Map(existingRecords.map(record => [record.date, record]));
+      const seenDates = new Set();
+
+      const rows = dataRows.map((cells, index) => {
+        const input = {};
+        Object.entries(IMPORT_FIELDS).forEach(([key, field]) => {
+          if (indexes[key] !== undefined) {
+            input[field] = cells[indexes[key]];
+          }
+        });
+
+        input.date = parseFormattedDate(input.date, locale);
+        const { errors, values } = validateDailyRecord(input);
+        const row = { line: index + 2, date: values.date, values, errors };
+
+        if (seenDates.has(values.date)) {
+          errors.push('This date appears more than once in the file');
+        }
+        seenDates.add(values.date);
+
+        const existing = existingByDate.get(values.date);
+        row.status = errors.length > 0 ? 'error' : existing ? mode : 'new';
+        return row;
+      });
+
+      checkImportedStock(rows, existingRecords, existingByDate);
+      return rows;
+    });
+
+// The export writes a day's sales as sold eggs, cash sales and the credit
+// given. Credit comes back as credit sales to the named customers, as many
+// eggs at the row's price as their credit buys, and the eggs left over as
+// one cash sale; credit beyond the eggs sold is credit given on its own.
+// Amounts come back exactly, with the cash sale at the file's cash sales
+// figure when it has one.
+const writeSales = (db, row) => {
+  const { date, soldEggs, pricePerEgg, cashSales, creditAmount, creditName } = row.values;
+  const note = `Imported from CSV line ${row.line}`;
+  let eggsLeft = soldEggs;
+  const credits = (creditAmount > 0 ? splitCredit(creditName, creditAmount) : []).map(entry => {
+    const eggs = pricePerEgg > 0 ? Math.min(eggsLeft, Math.round(entry.amount / pricePerEgg)) : 0;
+    eggsLeft -= eggs;
+    return { ...entry, eggs };
+  });
+  const cashEggs = eggsLeft;
+
+  return credits.reduce(
+    (chain, entry) => chain.then(() => (entry.eggs > 0
+      ? addSale(db, {
+        date,
+        quantity: entry.eggs,
+        unitPrice: entry.amount / entry.eggs,
+        paymentType: 'credit',
+        customerName: entry.name,
+        note,
+      })
+      : addCreditTransaction(db, { customerName: entry.name, date, amount: entry.amount, note }))),
+    Promise.resolve()
+  ).then(() => cashEggs > 0 && addSale(db, {
+    date,
+    quantity: cashEggs,
+    unitPrice: cashSales === null ? pricePerEgg : cashSales / cashEggs,
+    note,
+  }));
+};
+
+const writeRow = (db, row) => {
+  const { date, producedEggs, breakages } = row.values;
+  const writeSalesAndCredits = () => writeSales(db, row);
+
+  switch (row.status) {
+    case 'new':
+      return db.runAsync(
+        `INSERT INTO daily_records (date, produced_eggs, breakages, created_by)
+         VALUES (?, ?, ?, ${CURRENT_USER_SQL})`,
+        [date, producedEggs, breakages]
+      ).then(writeSalesAndCredits);
+    case 'overwrite':
+      // The file's credit amount is all the credit given that day (see
+      // ./export), so it replaces credit entered on its own as well as the
+      // credit sales. Rolls back if a customer has already paid for more
+      // than the file leaves them.
+      return getCreditCustomers(db, 'date = ?', [date]).then(customerIds =>
+        db.runAsync(
+          'UPDATE daily_records SET produced_eggs = ?, breakages = ? WHERE date = ?',
+          [producedEggs, breakages, date]
+        )
+          .then(() => db.runAsync('DELETE FROM credit_transactions WHERE date = ?', [date]))
+          .then(() => db.runAsync('DELETE FROM sales WHERE date = ?', [date]))
+          // The imported total replaces any split between flocks or grades
+          .then(() => db.runAsync('DELETE FROM flock_production WHERE date = ?', [date]))
+          .then(() => db.runAsync('DELETE FROM grade_production WHERE date = ?', [date]))
+          .then(writeSalesAndCredits)
+          .then(() => checkNotOverpaid(db, customerIds))
+      );
+    case 'merge':
+      return db.runAsync(
+        'UPDATE daily_records SET produced_eggs = produced_eggs + ?, breakages = breakages + ? WHERE date = ?',
+        [producedEggs, breakages, date]
+      ).then(writeSalesAndCredits);
+    default:
+      return Promise.resolve();
+  }
+};
+
+// Write previewed rows in a single transaction and audit batch, so records
+// replaced by an overwrite can be restored from the trash. Rows with errors
+// and skipped conflicts are left out. Resolves with a count per status.
+//
+// The preview only checks total stock. Graded stock is checked after the
+// rows are written, as saving production and sales do, so an import that
+// leaves a grade short rolls back.
+export const applyImport = (db, rows) => {
+  const counts = { new: 0, overwrite: 0, merge: 0, skip: 0, error: 0 };
+  rows.forEach(row => {
+    counts[row.status] += 1;
+  });
+  const writtenDates = rows
+    .filter(row => ['new', 'overwrite', 'merge'].includes(row.status))
+    .map(row => row.date)
+    .sort();
+
+  return db.withTransactionAsync(() =>
+    auditBatch(db, `Import of ${rows.length} row(s)`, () =>
+      rows.reduce((chain, row) => chain.then(() => writeRow(db, row)), Promise.resolve())
+        .then(() => (writtenDates.length > 0 ? checkGradeStock(db, writtenDates[0]) : null))
+    )
+  ).then(() => counts);
+};
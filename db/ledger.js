@@ -0,0 +1,191 @@
+import { isValidDate, roundMoney } from './accounting';
+import { CURRENT_USER_SQL } from './records';
+
+// Customer credit ledger: credit given and repayments received, per customer.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Aging buckets for outstanding credit, by days since the credit was given
+export const AGING_BUCKETS = [
+  { key: 'days0to7', label: '0–7 days', maxDays: 7 },
+  { key: 'days8to30', label: '8–30 days', maxDays: 30 },
+  { key: 'days31to60', label: '31–60 days', maxDays: 60 },
+  { key: 'over60', label: '60+ days', maxDays: Infinity },
+];
+
+export const normalizeName = (name) => (name || '').trim().replace(/\s+/g, ' ');
+
+// Look up a customer by name (case-insensitive), creating them if needed.
+// Resolves with the customer id.
+export const findOrCreateCustomer = (db, name) => {
+  const customerName = normalizeName(name);
+  if (!customerName) {
+    return Promise.reject(new Error('Customer name is required'));
+  }
+
+  return db.runAsync('INSERT INTO customers (name) VALUES (?) ON CONFLICT(name) DO NOTHING', [customerName])
+    .then(() => db.getFirstAsync('SELECT id FROM customers WHERE name = ?', [customerName]))
+    .then(customer => customer.id);
+};
+
+// Credit given to a customer. Credit sales pass their `saleId`; credit
+// entered on its own has none.
+export const addCreditTransaction = (db, { customerName, date, eggs = 0, amount, note = '', saleId = null }) => {
+  if (!(amount > 0)) {
+    return Promise.reject(new Error('Credit amount must be greater than zero'));
+  }
+
+  return findOrCreateCustomer(db, customerName).then(customerId =>
+    db.runAsync(
+      `INSERT INTO credit_transactions (customer_id, date, eggs, amount, note, sale_id, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ${CURRENT_USER_SQL})`,
+      [customerId, date, eggs, amount, note, saleId]
+    )
+  );
+};
+
+export const getCustomerBalance = (db, customerId) =>
+  db.getFirstAsync(
+    `SELECT
+      (SELECT COALESCE(SUM(amount), 0) FROM credit_transactions WHERE customer_id = ?)
+      - (SELECT COALESCE(SUM(amount), 0) FROM credit_payments WHERE customer_id = ?) as balance`,
+    [customerId, customerId]
+  ).then(row => roundMoney(row.balance));
+
+// Record a repayment. Payments can be partial but never more than is owed.
+// The error leaves out amounts; callers show them in the user's currency.
+export const addPayment = (db, { customerId, date, amount, note = '' }) => {
+  if (!(amount > 0)) {
+    return Promise.reject(new Error('Payment amount must be greater than zero'));
+  }
+  if (!isValidDate(date)) {
+    return Promise.reject(new Error(`Date must be a valid YYYY-MM-DD date (got "${date}")`));
+  }
+
+  return getCustomerBalance(db, customerId).then(balance => {
+    if (roundMoney(amount) > balance) {
+      throw new Error('The payment is more than the outstanding balance');
+    }
+
+    return db.runAsync(
+      `INSERT INTO credit_payments (customer_id, date, amount, note, created_by)
+       VALUES (?, ?, ?, ?, ${CURRENT_USER_SQL})`,
+      [customerId, date, roundMoney(amount), note]
+    );
+  });
+};
+
+// Customers with credit entries matching `condition` (SQL on
+// credit_transactions), looked up before those entries change
+export const getCreditCustomers = (db, condition, params) =>
+  db.getAllAsync(`SELECT DISTINCT customer_id FROM credit_transactions WHERE ${condition}`, params)
+    .then(rows => rows.map(row => row.customer_id));
+
+// Reject if any of `customerIds` has now paid more than the credit they were
+// given. Run after credit is reduced, inside the same transaction, so the
+// change rolls back instead of leaving a negative balance.
+export const checkNotOverpaid = (db, customerIds) =>
+  customerIds.reduce(
+    (chain, customerId) => chain
+      .then(() => getCustomerBalance(db, customerId))
+      .then(balance => {
+        if (balance >= 0) {
+          return;
+        }
+        return db.getFirstAsync('SELECT name FROM customers WHERE id = ?', [customerId]).then(customer => {
+          throw new Error(
+            `${customer.name} has already paid for this credit. Remove or reduce their payments first.`
+          );
+        });
+      }),
+    Promise.resolve()
+  );
+
+// Every customer with what they were given, what they paid and what they
+// still owe, largest balance first
+export const getCustomerBalances = (db) =>
+  db.getAllAsync(
+    `SELECT
+      c.id,
+      c.name,
+      c.price_list_id,
+      COALESCE(t.totalCredit, 0) as totalCredit,
+      COALESCE(p.totalPaid, 0) as totalPaid,
+      COALESCE(t.totalCredit, 0) - COALESCE(p.totalPaid, 0) as balance,
+      COALESCE(t.transactionCount, 0) + COALESCE(p.paymentCount, 0) as transactionCount,
+      MAX(COALESCE(t.lastDate, ''), COALESCE(p.lastDate, '')) as lastTransactionDate
+    FROM customers c
+    LEFT JOIN (
+      SELECT customer_id, SUM(amount) as totalCredit, COUNT(*) as transactionCount, MAX(date) as lastDate
+      FROM credit_transactions GROUP BY customer_id
+    ) t ON t.customer_id = c.id
+    LEFT JOIN (
+      SELECT customer_id, SUM(amount) as totalPaid, COUNT(*) as paymentCount, MAX(date) as lastDate
+      FROM credit_payments GROUP BY customer_id
+    ) p ON p.customer_id = c.id
+    ORDER BY balance DESC, c.name`
+  ).then(customers => customers.map(customer => ({ ...customer, balance: roundMoney(customer.balance) })));
+
+// Credits and payments for one customer, newest first. Each entry has a
+// `type` of 'credit' or 'payment'.
+export const getCustomerTransactions = (db, customerId) =>
+  db.getAllAsync(
+    `SELECT id, 'credit' as type, date, eggs, amount, note, created_at, created_by
+      FROM credit_transactions WHERE customer_id = ?
+    UNION ALL
+    SELECT id, 'payment' as type, date, 0 as eggs, amount, note, created_at, created_by
+      FROM credit_payments WHERE customer_id = ?
+    ORDER BY date DESC, created_at DESC`,
+    [customerId, customerId]
+  );
+
+const daysBetween = (fromDate, toDate) =>
+  Math.floor((Date.parse(toDate) - Date.parse(fromDate)) / DAY_MS);
+
+// Outstanding credit per customer split into AGING_BUCKETS as of `asOfDate`.
+// Payments settle the oldest credit first, so whatever is left unpaid is
+// aged from the date it was given. Customers who owe the longest come first.
+export const getAgedReceivables = (db, asOfDate) =>
+  Promise.all([
+    db.getAllAsync(
+      `SELECT t.customer_id, c.name, t.date, t.amount
+       FROM credit_transactions t JOIN customers c ON c.id = t.customer_id
+       ORDER BY t.customer_id, t.date, t.id`
+    ),
+    db.getAllAsync('SELECT customer_id, SUM(amount) as totalPaid FROM credit_payments GROUP BY customer_id'),
+  ]).then(([credits, payments]) => {
+    const paidByCustomer = new Map(payments.map(payment => [payment.customer_id, payment.totalPaid]));
+    const rows = new Map();
+
+    credits.forEach(credit => {
+      if (!rows.has(credit.customer_id)) {
+        rows.set(credit.customer_id, {
+          id: credit.customer_id,
+          name: credit.name,
+          total: 0,
+          oldestUnpaidDate: null,
+          unallocatedPayments: paidByCustomer.get(credit.customer_id) || 0,
+          ...Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0])),
+        });
+      }
+      const row = rows.get(credit.customer_id);
+
+      const settled = Math.min(row.unallocatedPayments, credit.amount);
+      row.unallocatedPayments -= settled;
+      const unpaid = roundMoney(credit.amount - settled);
+      if (unpaid <= 0) {
+        return;
+      }
+
+      const age = Math.max(0, daysBetween(credit.date, asOfDate));
+      const bucket = AGING_BUCKETS.find(candidate => age <= candidate.maxDays);
+      row[bucket.key] = roundMoney(row[bucket.key] + unpaid);
+      row.total = roundMoney(row.total + unpaid);
+      row.oldestUnpaidDate = row.oldestUnpaidDate || credit.date;
+    });
+
+    return [...rows.values()]
+      .filter(row => row.total > 0)
+      .map(({ unallocatedPayments, ...row }) => row)
+      .sort((a, b) => a.oldestUnpaidDate.localeCompare(b.oldestUnpaidDate) || b.total - a.total);
+  });
@@ -0,0 +1,559 @@
+// Schema migrations, tracked with PRAGMA user_version.
+//
+// Each migration runs inside its own transaction together with the
+// user_version bump, so a failure rolls the database back to the last
+// good version. Append new migrations to the end of the list and never
+// edit or renumber one that has already shipped.
+
+// Columns that older builds added to daily_records one at a time
+const LEGACY_DAILY_RECORD_COLUMNS = [
+  ['sold_eggs', 'INTEGER DEFAULT 0'],
+  ['credit_amount', 'REAL DEFAULT 0'],
+  ['credit_name', "TEXT DEFAULT ''"],
+];
+
+// Split a legacy comma-joined credit across the names it lists. The old
+// schema only kept the day's total, so the amount is shared evenly.
+const splitLegacyCredit = (record) => {
+  const names = (record.credit_name || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+  const customers = names.length > 0 ? names : ['Unknown customer'];
+  const share = Math.floor((record.credit_amount * 100) / customers.length) / 100;
+  const note = customers.length > 1
+    ? `Migrated: ${record.credit_amount} shared by ${customers.join(', ')}`
+    : 'Migrated from daily record';
+
+  return customers.map((name, index) => ({
+    name,
+    // The last customer picks up any rounding remainder
+    amount: index === customers.length - 1
+      ? Math.round((record.credit_amount - share * (customers.length - 1)) * 100) / 100
+      : share,
+    note,
+  }));
+};
+
+// Write every insert, update and delete on `table` to audit_log, tagged with
+// the batch and device user held in audit_context. The triggers list the
+// table's columns, so a migration that adds or drops columns on an audited
+// table must call this again afterwards.
+export const createAuditTriggers = (db, table) =>
+  db.getAllAsync(`PRAGMA table_info("${table}")`).then(columns => {
+    const jsonOf = (row) =>
+      `json_object(${columns.map(column => `'${column.name}', ${row}."${column.name}"`).join(', ')})`;
+    const trigger = (action, rowId, oldValue, newValue) =>
+      `DROP TRIGGER IF EXISTS audit_${table}_${action};
+      CREATE TRIGGER audit_${table}_${action} AFTER ${action.toUpperCase()} ON "${table}"
+      BEGIN
+        INSERT INTO audit_log (batch_id, table_name, row_id, action, old_value, new_value, user_name)
+        SELECT batch_id, '${table}', ${rowId}, '${action}', ${oldValue}, ${newValue}, user_name
+        FROM audit_context WHERE id = 1;
+      END;`;
+
+    return db.execAsync(
+      [
+        trigger('insert', 'NEW.id', 'NULL', jsonOf('NEW')),
+        trigger('update', 'NEW.id', jsonOf('OLD'), jsonOf('NEW')),
+        trigger('delete', 'OLD.id', jsonOf('OLD'), 'NULL'),
+      ].join('\n')
+    );
+  });
+
+// Queue every write to `table` in sync_outbox for the next sync (see
+// db/sync). Writes made while sync_context.applying is set came from the
+// server, so they are not queued again.
+export const createSyncTriggers = (db, table) => {
+  const trigger = (action, rowId) =>
+    `DROP TRIGGER IF EXISTS sync_${table}_${action};
+    CREATE TRIGGER sync_${table}_${action} AFTER ${action.toUpperCase()} ON "${table}"
+    WHEN (SELECT applying FROM sync_context WHERE id = 1) = 0
+    BEGIN
+      INSERT INTO sync_outbox (table_name, row_id, action, changed_at)
+      VALUES ('${table}', ${rowId}, '${action}', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+    END;`;
+
+  return db.execAsync(
+    [trigger('insert', 'NEW.id'), trigger('update', 'NEW.id'), trigger('delete', 'OLD.id')].join('\n')
+  );
+};
+
+export const migrations = [
+  {
+    version: 1,
+    name: 'Create daily_records',
+    // Databases created before versioning may already have the table with
+    // some of its columns missing, so bring those up to date as well.
+    up: (db) =>
+      db.runAsync(
+        `CREATE TABLE IF NOT EXISTS daily_records (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT UNIQUE,
+          produced_eggs INTEGER DEFAULT 0,
+          breakages INTEGER DEFAULT 0,
+          sold_eggs INTEGER DEFAULT 0,
+          price_per_egg REAL DEFAULT 0,
+          credit_amount REAL DEFAULT 0,
+          credit_name TEXT DEFAULT '',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`
+      )
+        .then(() => db.getAllAsync('PRAGMA table_info(daily_records)'))
+        .then(columns => {
+          const columnNames = columns.map(col => col.name);
+          const missingColumns = LEGACY_DAILY_RECORD_COLUMNS.filter(([name]) => !columnNames.includes(name));
+
+          return missingColumns
+            .reduce(
+              (chain, [name, definition]) =>
+                chain.then(() => db.runAsync(`ALTER TABLE daily_records ADD COLUMN ${name} ${definition}`)),
+              Promise.resolve()
+            )
+            .then(() => {
+              // The very first builds stored credit in a `credits` column
+              if (columnNames.includes('credits')) {
+                return db.runAsync(
+                  'UPDATE daily_records SET credit_amount = credits WHERE credit_amount = 0 AND credits IS NOT NULL'
+                );
+              }
+            });
+        }),
+  },
+  {
+    version: 2,
+    name: 'Customer credit ledger',
+    up: (db) =>
+      db.execAsync(
+        `CREATE TABLE customers (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE credit_transactions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          customer_id INTEGER NOT NULL REFERENCES customers(id),
+          date TEXT NOT NULL,
+          eggs INTEGER DEFAULT 0,
+          amount REAL NOT NULL,
+          note TEXT DEFAULT '',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX idx_credit_transactions_customer ON credit_transactions (customer_id, date);
+        CREATE INDEX idx_credit_transactions_date ON credit_transactions (date);`
+      )
+        .then(() => db.getAllAsync(
+          'SELECT date, credit_amount, credit_name FROM daily_records WHERE credit_amount > 0 ORDER BY date'
+        ))
+        .then(records => {
+          const entries = records.flatMap(record =>
+            splitLegacyCredit(record).map(entry => ({ ...entry, date: record.date }))
+          );
+
+          return entries.reduce(
+            (chain, entry) => chain
+              .then(() => db.runAsync('INSERT INTO customers (name) VALUES (?) ON CONFLICT(name) DO NOTHING', [entry.name]))
+              .then(() => db.runAsync(
+                `INSERT INTO credit_transactions (customer_id, date, amount, note)
+                 SELECT id, ?, ?, ? FROM customers WHERE name = ?`,
+                [entry.date, entry.amount, entry.note, entry.name]
+              )),
+            Promise.resolve()
+          );
+        })
+        .then(() => db.execAsync(
+          `ALTER TABLE daily_records DROP COLUMN credit_amount;
+          ALTER TABLE daily_records DROP COLUMN credit_name;`
+        )),
+  },
+  {
+    version: 3,
+    name: 'Credit repayments',
+    up: (db) =>
+      db.execAsync(
+        `CREATE TABLE credit_payments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          customer_id INTEGER NOT NULL REFERENCES customers(id),
+          date TEXT NOT NULL,
+          amount REAL NOT NULL,
+          note TEXT DEFAULT '',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX idx_credit_payments_customer ON credit_payments (customer_id, date);`
+      ),
+  },
+  {
+    version: 4,
+    name: 'Sales transactions',
+    // Each day's single sold_eggs/price_per_egg pair becomes one cash sale
+    up: (db) =>
+      db.execAsync(
+        `CREATE TABLE sales (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT NOT NULL,
+          time TEXT DEFAULT '',
+          quantity INTEGER NOT NULL,
+          unit_price REAL NOT NULL DEFAULT 0,
+          payment_type TEXT NOT NULL DEFAULT 'cash' CHECK (payment_type IN ('cash', 'credit')),
+          customer_id INTEGER REFERENCES customers(id),
+          note TEXT DEFAULT '',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX idx_sales_date ON sales (date);
+        INSERT INTO sales (date, quantity, unit_price, payment_type, note)
+          SELECT date, sold_eggs, COALESCE(price_per_egg, 0), 'cash', 'Migrated from daily record'
+          FROM daily_records WHERE sold_eggs > 0;
+        ALTER TABLE credit_transactions ADD COLUMN sale_id INTEGER REFERENCES sales(id);
+        CREATE INDEX idx_credit_transactions_sale ON credit_transactions (sale_id);
+        ALTER TABLE daily_records DROP COLUMN sold_eggs;
+        ALTER TABLE daily_records DROP COLUMN price_per_egg;`
+      ),
+  },
+  {
+    version: 5,
+    name: 'Audit log',
+    up: (db) =>
+      db.execAsync(
+        `CREATE TABLE audit_batches (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          label TEXT NOT NULL,
+          user_name TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          restored_at TIMESTAMP
+        );
+        CREATE TABLE audit_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          batch_id INTEGER REFERENCES audit_batches(id),
+          table_name TEXT NOT NULL,
+          row_id INTEGER NOT NULL,
+          action TEXT NOT NULL CHECK (action IN ('insert', 'update', 'delete')),
+          old_value TEXT,
+          new_value TEXT,
+          user_name TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX idx_audit_log_batch ON audit_log (batch_id);
+        CREATE INDEX idx_audit_log_created ON audit_log (created_at);
+        CREATE TABLE audit_context (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          batch_id INTEGER,
+          user_name TEXT NOT NULL DEFAULT 'device'
+        );
+        INSERT INTO audit_context (id) VALUES (1);`
+      ).then(() =>
+        ['daily_records', 'sales', 'customers', 'credit_transactions', 'credit_payments'].reduce(
+          (chain, table) => chain.then(() => createAuditTriggers(db, table)),
+          Promise.resolve()
+        )
+      ),
+  },
+  {
+    version: 6,
+    name: 'Flocks',
+    // flock_production splits a day's produced_eggs between flocks; any
+    // remainder is production not assigned to a flock
+    up: (db) =>
+      db.execAsync(
+        `CREATE TABLE flocks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          breed TEXT DEFAULT '',
+          initial_hens INTEGER NOT NULL,
+          placed_date TEXT NOT NULL,
+          note TEXT DEFAULT '',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE flock_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          flock_id INTEGER NOT NULL REFERENCES flocks(id),
+          date TEXT NOT NULL,
+          type TEXT NOT NULL CHECK (type IN ('mortality', 'cull', 'added')),
+          count INTEGER NOT NULL CHECK (count > 0),
+          note TEXT DEFAULT '',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX idx_flock_events_flock ON flock_events (flock_id, date);
+        CREATE TABLE flock_production (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT NOT NULL,
+          flock_id INTEGER NOT NULL REFERENCES flocks(id),
+          produced_eggs INTEGER NOT NULL DEFAULT 0,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (date, flock_id)
+        );
+        CREATE INDEX idx_flock_production_flock ON flock_production (flock_id, date);`
+      ).then(() =>
+        ['flocks', 'flock_events', 'flock_production'].reduce(
+          (chain, table) => chain.then(() => createAuditTriggers(db, table)),
+          Promise.resolve()
+        )
+      ),
+  },
+  {
+    version: 7,
+    name: 'Expenses',
+    up: (db) =>
+      db.execAsync(
+        `CREATE TABLE expenses (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT NOT NULL,
+          category TEXT NOT NULL,
+          amount REAL NOT NULL CHECK (amount > 0),
+          note TEXT DEFAULT '',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX idx_expenses_date ON expenses (date);`
+      ).then(() => createAuditTriggers(db, 'expenses')),
+  },
+  {
+    version: 8,
+    name: 'Pack units',
+    // Sales keep quantity in eggs and unit_price per egg for all stock and
+    // money math; the pack columns record how the sale was entered
+    up: (db) =>
+      db.execAsync(
+        `CREATE TABLE pack_units (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          eggs_per_unit INTEGER NOT NULL CHECK (eggs_per_unit > 0),
+          price REAL NOT NULL DEFAULT 0,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        INSERT INTO pack_units (name, eggs_per_unit) VALUES
+          ('Egg', 1), ('Half tray', 15), ('Tray', 30), ('Crate', 360);
+        ALTER TABLE sales ADD COLUMN pack_name TEXT NOT NULL DEFAULT 'Egg';
+        ALTER TABLE sales ADD COLUMN pack_size INTEGER NOT NULL DEFAULT 1;
+        ALTER TABLE sales ADD COLUMN pack_count INTEGER;
+        ALTER TABLE sales ADD COLUMN pack_price REAL;
+        -- Existing sales were entered in eggs; not an edit worth auditing
+        DROP TRIGGER IF EXISTS audit_sales_update;
+        UPDATE sales SET pack_count = quantity, pack_price = unit_price;`
+      )
+        .then(() => createAuditTriggers(db, 'pack_units'))
+        .then(() => createAuditTriggers(db, 'sales')),
+  },
+  {
+    version: 9,
+    name: 'Egg grades',
+    // grade_production moves eggs from ungraded stock into a grade on a day;
+    // a sale with no grade_id comes out of ungraded stock. Breakages stay on
+    // daily_records and always come out of ungraded stock.
+    up: (db) =>
+      db.execAsync(
+        `CREATE TABLE egg_grades (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          price REAL NOT NULL DEFAULT 0,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        INSERT INTO egg_grades (name) VALUES
+          ('Small'), ('Medium'), ('Large'), ('Jumbo'), ('Seconds');
+        CREATE TABLE grade_production (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT NOT NULL,
+          grade_id INTEGER NOT NULL REFERENCES egg_grades(id),
+          produced_eggs INTEGER NOT NULL CHECK (produced_eggs > 0),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (date, grade_id)
+        );
+        ALTER TABLE sales ADD COLUMN grade_id INTEGER REFERENCES egg_grades(id);`
+      ).then(() =>
+        ['egg_grades', 'grade_production', 'sales'].reduce(
+          (chain, table) => chain.then(() => createAuditTriggers(db, table)),
+          Promise.resolve()
+        )
+      ),
+  },
+  {
+    version: 10,
+    name: 'Price lists',
+    // Customers with no price_list_id are on the default list. Sales keep
+    // the list price (per pack) and the discount they were quoted alongside
+    // the price actually charged (pack_price).
+    up: (db) =>
+      db.execAsync(
+        `CREATE TABLE price_lists (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          price_per_egg REAL NOT NULL DEFAULT 0,
+          is_default INTEGER NOT NULL DEFAULT 0,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        INSERT INTO price_lists (name, is_default) VALUES ('Standard', 1);
+        CREATE TABLE price_breaks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          price_list_id INTEGER NOT NULL REFERENCES price_lists(id),
+          min_eggs INTEGER NOT NULL CHECK (min_eggs > 0),
+          discount_percent REAL NOT NULL CHECK (discount_percent > 0 AND discount_percent <= 100),
+          UNIQUE (price_list_id, min_eggs)
+        );
+        ALTER TABLE customers ADD COLUMN price_list_id INTEGER REFERENCES price_lists(id);
+        ALTER TABLE sales ADD COLUMN list_price REAL;
+        ALTER TABLE sales ADD COLUMN discount_percent REAL NOT NULL DEFAULT 0;
+        DROP TRIGGER IF EXISTS audit_sales_update;
+        UPDATE sales SET list_price = pack_price;`
+      ).then(() =>
+        ['price_lists', 'price_breaks', 'customers', 'sales'].reduce(
+          (chain, table) => chain.then(() => createAuditTriggers(db, table)),
+          Promise.resolve()
+        )
+      ),
+  },
+  {
+    version: 11,
+    name: 'Settings',
+    // App preferences as JSON values by key (see db/settings). Not audited:
+    // changing a preference is not a change to the farm's records.
+    up: (db) =>
+      db.execAsync(
+        `CREATE TABLE settings (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );`
+      ),
+  },
+  {
+    version: 12,
+    name: 'Sync',
+    // sync_outbox queues local writes until they are pushed; sync_rows maps
+    // local ids to ids shared by every device, with the version (time and
+    // device) of the row's last change. Rows already here are queued so the
+    // first sync sends them.
+    up: (db) => {
+      const tables = [
+        'price_lists', 'price_breaks', 'pack_units', 'egg_grades', 'flocks', 'customers', 'daily_records',
+        'flock_events', 'flock_production', 'grade_production', 'sales', 'credit_transactions',
+        'credit_payments', 'expenses',
+      ];
+      const queueExisting = (table) =>
+        `INSERT INTO sync_outbox (table_name, row_id, action, changed_at)
+        SELECT '${table}', id, 'insert', strftime('%Y-%m-%dT%H:%M:%fZ', 'now') FROM "${table}";`;
+
+      return db.execAsync(
+        `CREATE TABLE sync_context (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          device_id TEXT NOT NULL,
+          server_url TEXT NOT NULL DEFAULT '',
+          token TEXT NOT NULL DEFAULT '',
+          last_pulled_seq INTEGER NOT NULL DEFAULT 0,
+          last_synced_at TIMESTAMP,
+          applying INTEGER NOT NULL DEFAULT 0
+        );
+        INSERT INTO sync_context (id, device_id) VALUES (1, lower(hex(randomblob(8))));
+        CREATE TABLE sync_outbox (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          table_name TEXT NOT NULL,
+          row_id INTEGER NOT NULL,
+          action TEXT NOT NULL,
+          changed_at TEXT NOT NULL
+        );
+        CREATE TABLE sync_rows (
+          table_name TEXT NOT NULL,
+          row_id INTEGER NOT NULL,
+          sync_id TEXT NOT NULL,
+          changed_at TEXT,
+          device_id TEXT,
+          PRIMARY KEY (table_name, row_id),
+          UNIQUE (table_name, sync_id)
+        );
+        CREATE TABLE sync_conflicts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          table_name TEXT NOT NULL,
+          sync_id TEXT NOT NULL,
+          winner TEXT NOT NULL,
+          message TEXT NOT NULL,
+          local_value TEXT,
+          remote_value TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        ${tables.map(queueExisting).join('\n')}`
+      ).then(() =>
+        tables.reduce((chain, table) => chain.then(() => createSyncTriggers(db, table)), Promise.resolve())
+      );
+    },
+  },
+  {
+    version: 13,
+    name: 'Users',
+    // Profiles with a role and a hashed PIN (see db/users), and who created
+    // each record. Rows from before are left without a creator. Users stay
+    // on this device, so they are neither audited nor synced.
+    up: (db) => {
+      const stamped = ['daily_records', 'sales', 'credit_transactions', 'credit_payments', 'expenses', 'flock_events'];
+      return db.execAsync(
+        `CREATE TABLE users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          role TEXT NOT NULL CHECK (role IN ('owner', 'manager', 'clerk')),
+          pin_salt TEXT NOT NULL,
+          pin_hash TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        ${stamped.map(table => `ALTER TABLE "${table}" ADD COLUMN created_by TEXT;`).join('\n')}`
+      ).then(() =>
+        stamped.reduce((chain, table) => chain.then(() => createAuditTriggers(db, table)), Promise.resolve())
+      );
+    },
+  },
+];
+
+export const LATEST_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+export const getSchemaVersion = (db) =>
+  db.getFirstAsync('PRAGMA user_version').then(row => (row ? row.user_version : 0));
+
+const upgrade = (db, migration) =>
+  migration.up(db).then(() => db.execAsync(`PRAGMA user_version = ${migration.version}`));
+
+const applyMigration = (db, migration) => {
+  console.log(`Applying migration ${migration.version}: ${migration.name}`);
+  return db
+    .withTransactionAsync(() => upgrade(db, migration))
+    .catch(error => {
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+    });
+};
+
+// Run the migrations after `fromVersion` up to `toVersion` without opening
+// transactions of their own, for callers that already hold one.
+export const migrateWithinTransaction = (db, fromVersion, toVersion = LATEST_SCHEMA_VERSION) =>
+  migrations
+    .filter(migration => migration.version > fromVersion && migration.version <= toVersion)
+    .reduce((chain, migration) => chain.then(() => upgrade(db, migration)), Promise.resolve());
+
+// Bring the database up to LATEST_SCHEMA_VERSION, one migration at a time.
+// Resolves with the schema version the database ended up at.
+export const runMigrations = (db) =>
+  getSchemaVersion(db).then(currentVersion => {
+    if (currentVersion > LATEST_SCHEMA_VERSION) {
+      throw new Error(
+        `Database schema version ${currentVersion} is newer than this app supports (${LATEST_SCHEMA_VERSION}). Please update the app.`
+      );
+    }
+
+    const pending = migrations.filter(migration => migration.version > currentVersion);
+    if (pending.length === 0) {
+      return currentVersion;
+    }
+
+    return pending
+      .reduce((chain, migration) => chain.then(() => applyMigration(db, migration)), Promise.resolve())
+      .then(() => {
+        console.log(`Schema migrated from version ${currentVersion} to ${LATEST_SCHEMA_VERSION}`);
+        return LATEST_SCHEMA_VERSION;
+      });
+  });
+
+// Drop every table and build an empty schema at `version`. Destroys all
+// data; call inside a transaction so a failure leaves the old data in place.
+export const rebuildSchema = (db, version = LATEST_SCHEMA_VERSION) =>
+  db.getAllAsync("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'")
+    .then(tables =>
+      tables.reduce(
+        (chain, table) => chain.then(() => db.runAsync(`DROP TABLE IF EXISTS "${table.name}"`)),
+        Promise.resolve()
+      )
+    )
+    .then(() => db.execAsync('PRAGMA user_version = 0'))
+    .then(() => migrateWithinTransaction(db, 0, version));
@@ -0,0 +1,66 @@
+// Pack units eggs are sold in (egg, tray, crate...). Stock and sales are
+// always counted in eggs; packs only change how numbers are entered and
+// shown.
+
+// Smallest pack first
+export const getPackUnits = (db) =>
+  db.getAllAsync('SELECT * FROM pack_units ORDER BY eggs_per_unit, name');
+
+// Add a pack unit, or update the one with `id`
+export const savePackUnit = (db, { id = null, name, eggsPerUnit, price }) =>
+  db.getFirstAsync('SELECT id FROM pack_units WHERE name = ? AND id IS NOT ?', [name, id])
+    .then(existing => {
+      if (existing) {
+        throw new Error(`A pack unit named "${name}" already exists`);
+      }
+      return id
+        ? db.runAsync(
+          'UPDATE pack_units SET name = ?, eggs_per_unit = ?, price = ? WHERE id = ?',
+          [name, eggsPerUnit, price, id]
+        )
+        : db.runAsync(
+          'INSERT INTO pack_units (name, eggs_per_unit, price) VALUES (?, ?, ?)',
+          [name, eggsPerUnit, price]
+        );
+    });
+
+// Single eggs must stay sellable, so the last one-egg unit cannot go
+export const deletePackUnit = (db, unitId) =>
+  db.getFirstAsync(
+    `SELECT
+      (SELECT eggs_per_unit FROM pack_units WHERE id = ?) as eggs_per_unit,
+      (SELECT COUNT(*) FROM pack_units WHERE eggs_per_unit = 1) as single_units`,
+    [unitId]
+  ).then(row => {
+    if (row.eggs_per_unit === 1 && row.single_units <= 1) {
+      throw new Error('Keep at least one unit of a single egg');
+    }
+    return db.runAsync('DELETE FROM pack_units WHERE id = ?', [unitId]);
+  });
+
+const countOf = (count, name) => `${count} ${name.toLowerCase()}${count === 1 ? '' : 's'}`;
+
+// Describe an egg count in the largest packs that fit, e.g. 95 eggs with
+// trays of 30 is "3 trays, 5 eggs". Falls back to plain eggs.
+export const describeEggs = (eggs, packUnits) => {
+  const packs = packUnits
+    .filter(unit => unit.eggs_per_unit > 1)
+    .sort((a, b) => b.eggs_per_unit - a.eggs_per_unit);
+  if (eggs <= 0 || !packs.some(unit => unit.eggs_per_unit <= eggs)) {
+    return countOf(eggs, 'egg');
+  }
+
+  let remaining = eggs;
+  const parts = [];
+  packs.forEach(unit => {
+    const count = Math.floor(remaining / unit.eggs_per_unit);
+    if (count > 0) {
+      parts.push(countOf(count, unit.name));
+      remaining -= count * unit.eggs_per_unit;
+    }
+  });
+  if (remaining > 0) {
+    parts.push(countOf(remaining, 'egg'));
+  }
+  return parts.join(', ');
+};
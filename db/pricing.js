@@ -0,0 +1,114 @@
+// Price lists and quantity breaks. Every customer is on a price list; those
+// without one get the default list. A sale's price is quoted from, in order:
+//   the customer's own list, if it has a price per egg
+//   the grade's price per egg (see ./grades)
+//   the pack unit's own price (see ./packs)
+//   the default list's price per egg
+// and the biggest quantity break of the customer's list (or the default
+// list) that the sale reaches then takes its discount off.
+
+import { roundMoney } from './accounting';
+import { normalizeName } from './ledger';
+
+// Every price list with its `breaks`, smallest first. The default list
+// comes first.
+export const getPriceLists = (db) =>
+  Promise.all([
+    db.getAllAsync('SELECT * FROM price_lists ORDER BY is_default DESC, name'),
+    db.getAllAsync('SELECT * FROM price_breaks ORDER BY min_eggs'),
+  ]).then(([lists, breaks]) =>
+    lists.map(list => ({ ...list, breaks: breaks.filter(item => item.price_list_id === list.id) }))
+  );
+
+// Add a price list, or update the one with `id`. `breaks` ([{ minEggs,
+// discountPercent }]) replace the list's quantity breaks. Does not open its
+// own transaction. Resolves with the list id.
+export const savePriceList = (db, { id = null, name, pricePerEgg, breaks = [] }) =>
+  db.getFirstAsync('SELECT id FROM price_lists WHERE name = ? AND id IS NOT ?', [name, id])
+    .then(existing => {
+      if (existing) {
+        throw new Error(`A price list named "${name}" already exists`);
+      }
+      return id
+        ? db.runAsync('UPDATE price_lists SET name = ?, price_per_egg = ? WHERE id = ?', [name, pricePerEgg, id])
+          .then(() => id)
+        : db.runAsync('INSERT INTO price_lists (name, price_per_egg) VALUES (?, ?)', [name, pricePerEgg])
+          .then(result => result.lastInsertRowId);
+    })
+    .then(listId =>
+      db.runAsync('DELETE FROM price_breaks WHERE price_list_id = ?', [listId])
+        .then(() => breaks.reduce(
+          (chain, item) => chain.then(() => db.runAsync(
+            'INSERT INTO price_breaks (price_list_id, min_eggs, discount_percent) VALUES (?, ?, ?)',
+            [listId, item.minEggs, item.discountPercent]
+          )),
+          Promise.resolve()
+        ))
+        .then(() => listId)
+    );
+
+// Customers on the list go back to the default list. Past sales keep the
+// prices they were charged.
+export const deletePriceList = (db, listId) =>
+  db.getFirstAsync('SELECT is_default FROM price_lists WHERE id = ?', [listId]).then(list => {
+    if (list && list.is_default) {
+      throw new Error('The default price list cannot be deleted');
+    }
+    return db.runAsync('UPDATE customers SET price_list_id = NULL WHERE price_list_id = ?', [listId])
+      .then(() => db.runAsync('DELETE FROM price_breaks WHERE price_list_id = ?', [listId]))
+      .then(() => db.runAsync('DELETE FROM price_lists WHERE id = ?', [listId]));
+  });
+
+// Put a customer on a price list, or back on the default with null
+export const setCustomerPriceList = (db, customerId, listId) =>
+  db.runAsync('UPDATE customers SET price_list_id = ? WHERE id = ?', [listId, customerId]);
+
+// The discount (percent) of the biggest break `eggs` reaches, or 0
+export const breakDiscount = (breaks, eggs) =>
+  breaks
+    .filter(item => eggs >= item.min_eggs)
+    .reduce((discount, item) => Math.max(discount, item.discount_percent), 0);
+
+// Quote the price per `pack` for a sale of `eggs` eggs to `customerName`
+// (blank for a walk-in) from grade `gradeId` (null for ungraded). Resolves
+// with `{ listPrice, discountPercent, price, source }`; prices are per pack
+// and `source` names where the price came from. A price of 0 means nothing
+// is priced yet.
+export const quoteSalePrice = (db, { customerName, gradeId, pack, eggs }) =>
+  Promise.all([
+    db.getFirstAsync(
+      `SELECT l.* FROM customers c JOIN price_lists l ON l.id = c.price_list_id
+       WHERE c.name = ?`,
+      [normalizeName(customerName)]
+    ),
+    db.getFirstAsync('SELECT * FROM price_lists WHERE is_default = 1'),
+    gradeId ? db.getFirstAsync('SELECT * FROM egg_grades WHERE id = ?', [gradeId]) : null,
+  ]).then(([customerList, defaultList, grade]) => {
+    const list = customerList || defaultList;
+    let listPrice = 0;
+    let source = '';
+    if (customerList && customerList.price_per_egg > 0) {
+      listPrice = customerList.price_per_egg * pack.eggs_per_unit;
+      source = `${customerList.name} price list`;
+    } else if (grade && grade.price > 0) {
+      listPrice = grade.price * pack.eggs_per_unit;
+      source = `${grade.name} price`;
+    } else if (pack.price > 0) {
+      listPrice = pack.price;
+      source = `${pack.name} price`;
+    } else if (defaultList && defaultList.price_per_egg > 0) {
+      listPrice = defaultList.price_per_egg * pack.eggs_per_unit;
+      source = `${defaultList.name} price list`;
+    }
+
+    return (list ? db.getAllAsync('SELECT * FROM price_breaks WHERE price_list_id = ?', [list.id]) : Promise.resolve([]))
+      .then(breaks => {
+        const discountPercent = listPrice > 0 ? breakDiscount(breaks, eggs) : 0;
+        return {
+          listPrice: roundMoney(listPrice),
+          discountPercent,
+          price: roundMoney(listPrice * (1 - discountPercent / 100)),
+          source,
+        };
+      });
+  });
@@ -0,0 +1,170 @@
+import { NET_CHANGE_SQL, SALE_AMOUNT_SQL } from './accounting';
+
+// The signed-in user (or the device user), to stamp on new rows' created_by
+export const CURRENT_USER_SQL = '(SELECT user_name FROM audit_context WHERE id = 1)';
+
+// Each day's production with its sales rolled up from the sales table
+export const DAY_TOTALS_CTE = `
+  day_sales AS (
+    SELECT
+      date,
+      SUM(quantity) as sold_eggs,
+      SUM(CASE WHEN payment_type = 'cash' THEN ${SALE_AMOUNT_SQL} ELSE 0 END) as cash_sales,
+      SUM(CASE WHEN payment_type = 'credit' THEN ${SALE_AMOUNT_SQL} ELSE 0 END) as credit_sales,
+      COUNT(*) as sale_count
+    FROM sales
+    GROUP BY date
+  ),
+  day_totals AS (
+    SELECT
+      d.*,
+      COALESCE(s.sold_eggs, 0) as sold_eggs,
+      COALESCE(s.cash_sales, 0) as cash_sales,
+      COALESCE(s.credit_sales, 0) as credit_sales,
+      COALESCE(s.sale_count, 0) as sale_count
+    FROM daily_records d
+    LEFT JOIN day_sales s ON s.date = d.date
+  )`;
+
+// Daily totals with their running stock (see ./stock) and the day's credit
+// from the customer ledger. Stock is computed over every day before any
+// date filter is applied, so opening stock is always correct.
+const DAILY_RECORDS_QUERY = `
+  WITH ${DAY_TOTALS_CTE},
+  stocked_records AS (
+    SELECT
+      *,
+      SUM(${NET_CHANGE_SQL}) OVER (ORDER BY date ROWS UNBOUNDED PRECEDING) as closing_stock
+    FROM day_totals
+  )
+  SELECT
+    r.*,
+    r.closing_stock - ${NET_CHANGE_SQL} as opening_stock,
+    COALESCE((SELECT SUM(amount) FROM credit_transactions WHERE date = r.date), 0) as credit_amount,
+    (SELECT GROUP_CONCAT(name, ', ') FROM customers
+      WHERE id IN (SELECT customer_id FROM credit_transactions WHERE date = r.date)) as credit_customers
+  FROM stocked_records r`;
+
+// SQL conditions on daily records (aliased `r`) for the filters:
+//   from, to      dates, inclusive
+//   before        only dates before this one, for paging newest first
+//   customer      part of the name of a customer with a sale or credit that day
+//   hasCredit     only days with credit given
+//   minBreakages  only days with more breakages than this
+const recordConditions = ({ from, to, before, customer, hasCredit, minBreakages } = {}) => {
+  const conditions = [];
+  const params = [];
+  if (from) {
+    conditions.push('r.date >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('r.date <= ?');
+    params.push(to);
+  }
+  if (before) {
+    conditions.push('r.date < ?');
+    params.push(before);
+  }
+  if (customer) {
+    const pattern = `%${customer.replace(/[\\%_]/g, match => `\\${match}`)}%`;
+    conditions.push(
+      `r.date IN (
+        SELECT t.date FROM credit_transactions t JOIN customers c ON c.id = t.customer_id
+        WHERE c.name LIKE ? ESCAPE '\\'
+        UNION
+        SELECT s.date FROM sales s JOIN customers c ON c.id = s.customer_id
+        WHERE c.name LIKE ? ESCAPE '\\'
+      )`
+    );
+    params.push(pattern, pattern);
+  }
+  if (hasCredit) {
+    conditions.push('r.date IN (SELECT date FROM credit_transactions)');
+  }
+  if (minBreakages !== undefined && minBreakages !== null) {
+    conditions.push('COALESCE(r.breakages, 0) > ?');
+    params.push(minBreakages);
+  }
+
+  return { where: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '', params };
+};
+
+// Records matching the filters (see recordConditions), oldest first unless
+// `descending` is set
+export const getDailyRecords = (db, { limit, descending = false, ...filters } = {}) => {
+  const { where, params } = recordConditions(filters);
+  const order = ` ORDER BY r.date ${descending ? 'DESC' : 'ASC'}`;
+  const limitClause = limit ? ` LIMIT ${Number(limit)}` : '';
+
+  return db.getAllAsync(`${DAILY_RECORDS_QUERY}${where}${order}${limitClause}`, params);
+};
+
+// How many records match the filters, without loading them
+export const countDailyRecords = (db, filters = {}) => {
+  const { where, params } = recordConditions(filters);
+  return db.getFirstAsync(`SELECT COUNT(*) as count FROM daily_records r${where}`, params)
+    .then(row => row.count);
+};
+
+export const getDay = (db, date) =>
+  db.getFirstAsync('SELECT * FROM daily_records WHERE date = ?', [date]);
+
+// Whether a day already has production entered (sales or credit alone
+// leave an empty daily record behind)
+export const hasProduction = (day) => !!day && (day.produced_eggs > 0 || day.breakages > 0);
+
+// Eggs already assigned to flocks on `date`, or to one flock if given
+export const getFlockEggs = (db, date, flockId = null) =>
+  db.getFirstAsync(
+    `SELECT COALESCE(SUM(produced_eggs), 0) as eggs FROM flock_production
+     WHERE date = ?${flockId ? ' AND flock_id = ?' : ''}`,
+    flockId ? [date, flockId] : [date]
+  ).then(row => row.eggs);
+
+// The day's produced_eggs and breakages after saving `values`. In 'add' mode
+// the entry adds to what is there; in 'replace' mode it replaces it. With a
+// flockId only that flock's share of the day (`flockEggs`) is added to or
+// replaced; breakages are always for the whole day.
+export const projectProduction = (day, values, mode, flockEggs = 0) => {
+  const current = day || { produced_eggs: 0, breakages: 0 };
+  const producedEggs = values.flockId
+    ? current.produced_eggs - flockEggs + (mode === 'add' ? flockEggs : 0) + values.producedEggs
+    : (mode === 'add' ? current.produced_eggs : 0) + values.producedEggs;
+
+  return {
+    ...current,
+    produced_eggs: producedEggs,
+    breakages: (mode === 'add' ? current.breakages : 0) + values.breakages,
+  };
+};
+
+// Save a day's production; mode is 'replace' or 'add' (see projectProduction).
+// Rejects if a day's total would drop below the eggs assigned to its flocks.
+export const saveProduction = (db, values, mode = 'replace') => {
+  const { date, flockId = null } = values;
+  return Promise.all([getDay(db, date), getFlockEggs(db, date), flockId ? getFlockEggs(db, date, flockId) : 0])
+    .then(([day, assignedEggs, flockEggs]) => {
+      const updated = projectProduction(day, values, mode, flockEggs);
+      if (!flockId && updated.produced_eggs < assignedEggs) {
+        throw new Error(
+          `${assignedEggs} eggs on ${date} are assigned to flocks, so the day's total cannot be less than that`
+        );
+      }
+
+      const flockTotal = mode === 'add' ? flockEggs + values.producedEggs : values.producedEggs;
+      return db.runAsync(
+        `INSERT INTO daily_records (date, produced_eggs, breakages, created_by)
+         VALUES (?, ?, ?, ${CURRENT_USER_SQL})
+         ON CONFLICT(date) DO UPDATE SET
+           produced_eggs = excluded.produced_eggs,
+           breakages = excluded.breakages`,
+        [date, updated.produced_eggs, updated.breakages]
+      ).then(() => flockId && db.runAsync(
+        `INSERT INTO flock_production (date, flock_id, produced_eggs)
+         VALUES (?, ?, ?)
+         ON CONFLICT(date, flock_id) DO UPDATE SET produced_eggs = excluded.produced_eggs`,
+        [date, flockId, flockTotal]
+      ));
+    });
+};
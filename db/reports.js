@@ -0,0 +1,180 @@
+import { summarizeTotals } from './accounting';
+import { DAY_TOTALS_CTE } from './records';
+
+// Totals for a date range, compared with the period just before it. Dates
+// are plain YYYY-MM-DD strings and weeks start on Monday.
+
+export const PERIODS = [
+  { key: 'today', label: 'Today' },
+  { key: 'thisWeek', label: 'This Week' },
+  { key: 'lastWeek', label: 'Last Week' },
+  { key: 'thisMonth', label: 'This Month' },
+  { key: 'lastMonth', label: 'Last Month' },
+  { key: 'thisYear', label: 'This Year' },
+  { key: 'custom', label: 'Custom' },
+];
+
+export const GROUPINGS = [
+  { key: 'day', label: 'Daily', expression: 'date' },
+  // SQLite's 'weekday 0' moves forward to Sunday; back six days is Monday
+  { key: 'week', label: 'Weekly', expression: "date(date, 'weekday 0', '-6 days')" },
+  { key: 'month', label: 'Monthly', expression: "strftime('%Y-%m', date)" },
+];
+
+// A rise is good news unless the metric is lowerIsBetter
+export const REPORT_METRICS = [
+  { key: 'producedEggs', label: 'Produced' },
+  { key: 'breakages', label: 'Broken', lowerIsBetter: true },
+  { key: 'soldEggs', label: 'Sold' },
+  { key: 'cashSales', label: 'Cash Sales', money: true },
+  { key: 'creditSales', label: 'Credit Sales', money: true },
+  { key: 'creditGiven', label: 'Credit Given', money: true },
+  { key: 'paymentsReceived', label: 'Credit Repaid', money: true },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDay = (value) => new Date(`${value}T00:00:00Z`);
+const formatDay = (date) => date.toISOString().split('T')[0];
+const addDays = (value, days) => formatDay(new Date(parseDay(value).getTime() + days * DAY_MS));
+const daysBetween = (from, to) => Math.round((parseDay(to) - parseDay(from)) / DAY_MS);
+const lastDayOfMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+const monthDay = (year, month, day) => formatDay(new Date(Date.UTC(year, month, day)));
+
+// Resolve a preset from PERIODS to { from, to } as of `today`
+export const periodRange = (key, today) => {
+  const date = parseDay(today);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const monday = addDays(today, -((date.getUTCDay() + 6) % 7));
+
+  switch (key) {
+    case 'today':
+      return { from: today, to: today };
+    case 'thisWeek':
+      return { from: monday, to: addDays(monday, 6) };
+    case 'lastWeek':
+      return { from: addDays(monday, -7), to: addDays(monday, -1) };
+    case 'thisMonth':
+      return { from: monthDay(year, month, 1), to: monthDay(year, month, lastDayOfMonth(year, month)) };
+    case 'lastMonth':
+      return { from: monthDay(year, month - 1, 1), to: monthDay(year, month, 0) };
+    case 'thisYear':
+      return { from: `${year}-01-01`, to: `${year}-12-31` };
+    default:
+      throw new Error(`Unknown period: ${key}`);
+  }
+};
+
+// The period to compare against. A calendar year compares with the year
+// before. A range starting on the 1st and ending within the same month
+// compares with the same days of the month before (so month-to-date
+// compares with the same stretch last month). Any other range compares with
+// the same number of days just before it.
+export const previousRange = ({ from, to }) => {
+  const start = parseDay(from);
+  const end = parseDay(to);
+  const year = start.getUTCFullYear();
+  if (from === `${year}-01-01` && to === `${year}-12-31`) {
+    return { from: `${year - 1}-01-01`, to: `${year - 1}-12-31` };
+  }
+  if (
+    start.getUTCDate() === 1 &&
+    year === end.getUTCFullYear() &&
+    start.getUTCMonth() === end.getUTCMonth()
+  ) {
+    const month = start.getUTCMonth() - 1;
+    const lastDay = Math.min(end.getUTCDate(), lastDayOfMonth(year, month));
+    return { from: monthDay(year, month, 1), to: monthDay(year, month, lastDay) };
+  }
+
+  const length = daysBetween(from, to) + 1;
+  return { from: addDays(from, -length), to: addDays(from, -1) };
+};
+
+export const getPeriodTotals = (db, { from, to }) =>
+  db.getFirstAsync(
+    `WITH ${DAY_TOTALS_CTE}
+    SELECT
+      COUNT(*) as daysRecorded,
+      COALESCE(SUM(produced_eggs), 0) as producedEggs,
+      COALESCE(SUM(breakages), 0) as breakages,
+      COALESCE(SUM(sold_eggs), 0) as soldEggs,
+      COALESCE(SUM(cash_sales), 0) as cashSales,
+      COALESCE(SUM(credit_sales), 0) as creditSales,
+      (SELECT COALESCE(SUM(amount), 0) FROM credit_transactions WHERE date BETWEEN ? AND ?) as creditGiven,
+      (SELECT COALESCE(SUM(amount), 0) FROM credit_payments WHERE date BETWEEN ? AND ?) as paymentsReceived
+    FROM day_totals
+    WHERE date BETWEEN ? AND ?`,
+    [from, to, from, to, from, to]
+  );
+
+// Totals since the first record, for the summary (see summarizeTotals)
+export const getFarmSummary = (db) =>
+  db.getFirstAsync(
+    `WITH ${DAY_TOTALS_CTE}
+    SELECT
+      SUM(produced_eggs) as produced_eggs,
+      SUM(breakages) as breakages,
+      SUM(sold_eggs) as sold_eggs,
+      SUM(cash_sales) as cash_sales,
+      SUM(credit_sales) as credit_sales,
+      (SELECT SUM(amount) FROM credit_transactions) as credit_given,
+      (SELECT SUM(amount) FROM credit_payments) as credit_repaid
+    FROM day_totals`
+  ).then(summarizeTotals);
+
+// One row per day, week or month in the range, oldest first
+export const getPeriodBreakdown = (db, { from, to }, groupBy) => {
+  const grouping = GROUPINGS.find(option => option.key === groupBy);
+  if (!grouping) {
+    return Promise.reject(new Error(`Unknown grouping: ${groupBy}`));
+  }
+
+  return db.getAllAsync(
+    `WITH ${DAY_TOTALS_CTE}
+    SELECT
+      ${grouping.expression} as period,
+      SUM(produced_eggs) as producedEggs,
+      SUM(breakages) as breakages,
+      SUM(sold_eggs) as soldEggs,
+      SUM(cash_sales) as cashSales,
+      SUM(credit_sales) as creditSales
+    FROM day_totals
+    WHERE date BETWEEN ? AND ?
+    GROUP BY period
+    ORDER BY period`,
+    [from, to]
+  );
+};
+
+// Each metric's value, the previous period's value and the change. percent
+// is null when the previous period had nothing to compare with.
+export const compareTotals = (current, previous) =>
+  REPORT_METRICS.map(metric => {
+    const value = current[metric.key] || 0;
+    const before = previous[metric.key] || 0;
+    return {
+      ...metric,
+      value,
+      previous: before,
+      change: value - before,
+      percent: before === 0 ? null : ((value - before) / Math.abs(before)) * 100,
+    };
+  });
+
+// Resolves with { range, previous, totals, comparison, breakdown }
+export const getPeriodReport = (db, range, groupBy) => {
+  const previous = previousRange(range);
+  return Promise.all([
+    getPeriodTotals(db, range),
+    getPeriodTotals(db, previous),
+    getPeriodBreakdown(db, range, groupBy),
+  ]).then(([totals, previousTotals, breakdown]) => ({
+    range,
+    previous,
+    totals,
+    comparison: compareTotals(totals, previousTotals),
+    breakdown,
+  }));
+};
@@ -0,0 +1,123 @@
+import { saleAmount } from './accounting';
+import { addCreditTransaction, checkNotOverpaid, findOrCreateCustomer, getCreditCustomers } from './ledger';
+import { CURRENT_USER_SQL } from './records';
+
+// Make sure the day has a daily_records row so it shows in the records list
+export const ensureDay = (db, date) =>
+  db.runAsync(`INSERT OR IGNORE INTO daily_records (date, created_by) VALUES (?, ${CURRENT_USER_SQL})`, [date]);
+
+// How a sale was entered: `packCount` packs of `packSize` eggs at
+// `packPrice` each, quoted at `listPrice` less `discountPercent` (see
+// ./pricing). Without them the sale is taken as single eggs at list price.
+const packColumns = ({ quantity, unitPrice, packName = 'Egg', packSize = 1, packCount, packPrice, listPrice, discountPercent = 0 }) => {
+  const price = packPrice === undefined ? unitPrice : packPrice;
+  return [
+    packName,
+    packSize,
+    packCount === undefined ? quantity : packCount,
+    price,
+    listPrice === undefined || listPrice === null ? price : listPrice,
+    discountPercent,
+  ];
+};
+
+// Record one sale; `quantity` is in eggs and `unitPrice` per egg (see
+// packColumns for the pack it was sold in). `gradeId` is the egg grade sold,
+// or null for ungraded eggs. A credit sale also goes on the
+// customer's ledger. Does not open its own transaction, so callers can group
+// it with other writes. Resolves with the new sale id.
+export const addSale = (db, sale) => {
+  const { date, time = '', quantity, unitPrice, paymentType = 'cash', customerName = '', note = '', gradeId = null } = sale;
+  return ensureDay(db, date)
+    .then(() => (customerName ? findOrCreateCustomer(db, customerName) : null))
+    .then(customerId =>
+      db.runAsync(
+        `INSERT INTO sales (date, time, quantity, unit_price, payment_type, customer_id, note, grade_id,
+           pack_name, pack_size, pack_count, pack_price, list_price, discount_percent, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${CURRENT_USER_SQL})`,
+        [date, time, quantity, unitPrice, paymentType, customerId, note, gradeId, ...packColumns(sale)]
+      )
+    )
+    .then(result => {
+      const saleId = result.lastInsertRowId;
+      if (paymentType !== 'credit') {
+        return saleId;
+      }
+      return addCreditTransaction(db, {
+        customerName,
+        date,
+        eggs: quantity,
+        amount: saleAmount({ quantity, unit_price: unitPrice }),
+        saleId,
+      }).then(() => saleId);
+    });
+};
+
+// Replace a sale's details, keeping its date. Its ledger entry is rewritten
+// to match, so switching between cash and credit moves it on or off the
+// customer's account.
+export const updateSale = (db, saleId, changes) => {
+  const { time = '', quantity, unitPrice, paymentType = 'cash', customerName = '', note = '', gradeId = null } = changes;
+  return db.getFirstAsync('SELECT date FROM sales WHERE id = ?', [saleId])
+    .then(sale => {
+      if (!sale) {
+        throw new Error('This sale no longer exists');
+      }
+      return (customerName ? findOrCreateCustomer(db, customerName) : Promise.resolve(null))
+        .then(customerId => db.runAsync(
+          `UPDATE sales SET time = ?, quantity = ?, unit_price = ?, payment_type = ?, customer_id = ?, note = ?,
+             grade_id = ?, pack_name = ?, pack_size = ?, pack_count = ?, pack_price = ?,
+             list_price = ?, discount_percent = ?
+           WHERE id = ?`,
+          [time, quantity, unitPrice, paymentType, customerId, note, gradeId, ...packColumns(changes), saleId]
+        ))
+        .then(() => getCreditCustomers(db, 'sale_id = ?', [saleId]))
+        .then(customerIds => db.runAsync('DELETE FROM credit_transactions WHERE sale_id = ?', [saleId])
+          .then(() => {
+            if (paymentType === 'credit') {
+              return addCreditTransaction(db, {
+                customerName,
+                date: sale.date,
+                eggs: quantity,
+                amount: saleAmount({ quantity, unit_price: unitPrice }),
+                saleId,
+              });
+            }
+          })
+          .then(() => checkNotOverpaid(db, customerIds)));
+    });
+};
+
+// Like every write that removes credit, run this in a transaction: it
+// rejects after the delete if the customer had already paid for the sale.
+export const deleteSale = (db, saleId) =>
+  getCreditCustomers(db, 'sale_id = ?', [saleId]).then(customerIds =>
+    db.runAsync('DELETE FROM credit_transactions WHERE sale_id = ?', [saleId])
+      .then(() => db.runAsync('DELETE FROM sales WHERE id = ?', [saleId]))
+      .then(() => checkNotOverpaid(db, customerIds))
+  );
+
+// Remove a day's production and every sale made that day, including the
+// ledger entries of its credit sales. Credit entered on its own is kept.
+export const deleteDay = (db, date) => {
+  const daySales = 'sale_id IN (SELECT id FROM sales WHERE date = ?)';
+  return getCreditCustomers(db, daySales, [date]).then(customerIds =>
+    db.runAsync(`DELETE FROM credit_transactions WHERE ${daySales}`, [date])
+      .then(() => db.runAsync('DELETE FROM sales WHERE date = ?', [date]))
+      .then(() => db.runAsync('DELETE FROM flock_production WHERE date = ?', [date]))
+      .then(() => db.runAsync('DELETE FROM grade_production WHERE date = ?', [date]))
+      .then(() => db.runAsync('DELETE FROM daily_records WHERE date = ?', [date]))
+      .then(() => checkNotOverpaid(db, customerIds))
+  );
+};
+
+export const getSalesForDate = (db, date) =>
+  db.getAllAsync(
+    `SELECT s.*, c.name as customer_name, g.name as grade_name
+     FROM sales s
+     LEFT JOIN customers c ON c.id = s.customer_id
+     LEFT JOIN egg_grades g ON g.id = s.grade_id
+     WHERE s.date = ?
+     ORDER BY s.time, s.id`,
+    [date]
+  );
@@ -0,0 +1,49 @@
+import { DEFAULT_LOCALE } from '../utils/format';
+
+// App preferences, one JSON value per key. Keys that were never saved fall
+// back to the defaults, so new preferences need no migration.
+
+// Light or dark look; 'system' follows the phone or browser
+export const COLOR_SCHEMES = [
+  { key: 'system', label: 'System' },
+  { key: 'light', label: 'Light' },
+  { key: 'dark', label: 'Dark' },
+];
+
+export const DEFAULT_SETTINGS = {
+  ...DEFAULT_LOCALE,
+  colorScheme: 'system',
+};
+
+const readValue = (row) => {
+  try {
+    return JSON.parse(row.value);
+  } catch (error) {
+    console.log(`Ignoring unreadable setting ${row.key}: `, error);
+    return undefined;
+  }
+};
+
+// Every setting, with defaults filled in
+export const getSettings = (db) =>
+  db.getAllAsync('SELECT key, value FROM settings').then(rows => {
+    const settings = { ...DEFAULT_SETTINGS };
+    rows.forEach(row => {
+      const value = readValue(row);
+      if (row.key in DEFAULT_SETTINGS && value !== undefined) {
+        settings[row.key] = value;
+      }
+    });
+    return settings;
+  });
+
+// Save the settings in `values`, leaving the others as they are
+export const saveSettings = (db, values) =>
+  Object.entries(values).reduce(
+    (chain, [key, value]) => chain.then(() => db.runAsync(
+      `INSERT INTO settings (key, value) VALUES (?, ?)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+      [key, JSON.stringify(value)]
+    )),
+    Promise.resolve()
+  );
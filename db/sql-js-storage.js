@@ -0,0 +1,80 @@
+// The storage calls (see storage.js) over a sql.js database, which is
+// SQLite compiled to WebAssembly. Used in the browser (storage.web.js) and
+// by the tests on plain Node.
+
+// expo-sqlite takes params as one array or one by one
+const paramsOf = (params) =>
+  (params.length === 1 && (Array.isArray(params[0]) || (params[0] && typeof params[0] === 'object'))
+    ? params[0]
+    : params);
+
+const selectRows = (database, sql, params) => {
+  const statement = database.prepare(sql);
+  try {
+    statement.bind(paramsOf(params));
+    const rows = [];
+    while (statement.step()) {
+      rows.push(statement.getAsObject());
+    }
+    return rows;
+  } finally {
+    statement.free();
+  }
+};
+
+// `ready` resolves with the sql.js Database. `onWrite(database)` is called
+// after each write that is not inside a transaction, and after each commit.
+//
+// There is one connection, so as with expo-sqlite every statement run while
+// a transaction is open is part of it. Transactions take turns: one started
+// while another is open waits for it to commit or roll back rather than
+// failing on a second BEGIN (so a task must not start one of its own).
+export const wrapSqlJs = (ready, onWrite = () => Promise.resolve()) => {
+  let inTransaction = false;
+  let lastTransaction = Promise.resolve();
+
+  const read = (run) => ready.then(database => run(database));
+
+  const write = (run) =>
+    ready.then(database => {
+      const result = run(database);
+      return inTransaction ? result : onWrite(database).then(() => result);
+    });
+
+  return {
+    getAllAsync: (sql, ...params) => read(database => selectRows(database, sql, params)),
+    getFirstAsync: (sql, ...params) => read(database => selectRows(database, sql, params)[0] || null),
+    runAsync: (sql, ...params) =>
+      write(database => {
+        database.run(sql, paramsOf(params));
+        return {
+          changes: database.getRowsModified(),
+          lastInsertRowId: database.exec('SELECT last_insert_rowid()')[0].values[0][0],
+        };
+      }),
+    execAsync: (sql) =>
+      write(database => {
+        database.exec(sql);
+      }),
+    withTransactionAsync: (task) => {
+      const result = lastTransaction.then(() => ready).then(database => {
+        database.exec('BEGIN');
+        inTransaction = true;
+        return Promise.resolve()
+          .then(task)
+          .then(() => {
+            database.exec('COMMIT');
+            inTransaction = false;
+            return onWrite(database);
+          }, error => {
+            database.exec('ROLLBACK');
+            inTransaction = false;
+            throw error;
+          });
+      });
+      // The next transaction waits for this one however it ends
+      lastTransaction = result.catch(() => null);
+      return result;
+    },
+  };
+};
@@ -0,0 +1,94 @@
+// Data for printed documents: an invoice for one sale and a monthly
+// statement of a customer's credit account (see utils/documents for the
+// HTML).
+
+import { roundMoney, saleAmount } from './accounting';
+import { getCustomerBalance } from './ledger';
+
+export const invoiceNumber = (saleId) => `INV-${String(saleId).padStart(5, '0')}`;
+
+// One sale with its customer, grade and, for a credit sale, the customer's
+// balance today. Resolves with null if the sale is gone.
+export const getInvoice = (db, saleId) =>
+  db.getFirstAsync(
+    `SELECT s.*, c.name as customer_name, g.name as grade_name
+     FROM sales s
+     LEFT JOIN customers c ON c.id = s.customer_id
+     LEFT JOIN egg_grades g ON g.id = s.grade_id
+     WHERE s.id = ?`,
+    [saleId]
+  ).then(sale => {
+    if (!sale) {
+      return null;
+    }
+    const invoice = {
+      ...sale,
+      number: invoiceNumber(sale.id),
+      total: saleAmount(sale),
+      balance: null,
+    };
+    if (!sale.customer_id || sale.payment_type !== 'credit') {
+      return invoice;
+    }
+
+    return getCustomerBalance(db, sale.customer_id).then(balance => ({ ...invoice, balance }));
+  });
+
+// First and last day of a 'YYYY-MM' month
+export const monthRange = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return {
+    from: `${month}-01`,
+    to: new Date(Date.UTC(year, monthNumber, 0)).toISOString().split('T')[0],
+  };
+};
+
+// A customer's account for `month` ('YYYY-MM'): the balance brought
+// forward, every credit and payment in the month oldest first with the
+// running balance, and the balance carried forward
+export const getStatement = (db, customerId, month) => {
+  const { from, to } = monthRange(month);
+  return Promise.all([
+    db.getFirstAsync('SELECT * FROM customers WHERE id = ?', [customerId]),
+    db.getFirstAsync(
+      `SELECT
+        (SELECT COALESCE(SUM(amount), 0) FROM credit_transactions WHERE customer_id = ? AND date < ?)
+        - (SELECT COALESCE(SUM(amount), 0) FROM credit_payments WHERE customer_id = ? AND date < ?) as balance`,
+      [customerId, from, customerId, from]
+    ),
+    db.getAllAsync(
+      `SELECT 'credit' as type, id, date, eggs, amount, note, sale_id, created_at
+        FROM credit_transactions WHERE customer_id = ? AND date BETWEEN ? AND ?
+      UNION ALL
+      SELECT 'payment' as type, id, date, 0 as eggs, amount, note, NULL as sale_id, created_at
+        FROM credit_payments WHERE customer_id = ? AND date BETWEEN ? AND ?
+      ORDER BY date, created_at`,
+      [customerId, from, to, customerId, from, to]
+    ),
+  ]).then(([customer, opening, entries]) => {
+    if (!customer) {
+      throw new Error('This customer no longer exists');
+    }
+
+    let balance = roundMoney(opening.balance);
+    const lines = entries.map(entry => {
+      balance = roundMoney(balance + (entry.type === 'payment' ? -entry.amount : entry.amount));
+      return { ...entry, balance };
+    });
+    const total = (type) => roundMoney(
+      entries.filter(entry => entry.type === type).reduce((sum, entry) => sum + entry.amount, 0)
+    );
+
+    return {
+      customer,
+      month,
+      from,
+      to,
+      openingBalance: roundMoney(opening.balance),
+      purchases: total('credit'),
+      payments: total('payment'),
+      closingBalance: balance,
+      lines,
+    };
+  });
+};
@@ -0,0 +1,74 @@
+import { netChange } from './accounting';
+import { DAY_TOTALS_CTE } from './records';
+
+// Checks that every day has the eggs it sells (see netChange in
+// ./accounting for how stock carries over).
+
+// Add opening_stock and closing_stock to records sorted oldest first
+export const withRunningStock = (records) => {
+  let stock = 0;
+  return records.map(record => {
+    const openingStock = stock;
+    stock += netChange(record);
+    return { ...record, opening_stock: openingStock, closing_stock: stock };
+  });
+};
+
+// Apply `changes` (a Map of date -> record fields, or null to remove that
+// day) on top of `records` and list every day, from the earliest change on,
+// that would sell more eggs than it has in stock.
+export const findShortfalls = (records, changes) => {
+  const byDate = new Map(records.map(record => [record.date, record]));
+  changes.forEach((change, date) => {
+    if (change) {
+      byDate.set(date, { ...change, date });
+    } else {
+      byDate.delete(date);
+    }
+  });
+
+  const firstChangedDate = [...changes.keys()].sort()[0];
+  const projected = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+
+  return withRunningStock(projected)
+    .filter(day => day.date >= firstChangedDate && day.closing_stock < 0)
+    .map(day => {
+      const inStock = day.opening_stock + (day.produced_eggs || 0);
+      return {
+        date: day.date,
+        inStock,
+        breakages: day.breakages || 0,
+        sold: day.sold_eggs || 0,
+        available: inStock - (day.breakages || 0),
+      };
+    });
+};
+
+export const describeShortfall = (shortfall, changedDate) => {
+  const problem = shortfall.available < 0
+    ? `breakages (${shortfall.breakages}) cannot exceed the ${shortfall.inStock} eggs in stock`
+    : `sold eggs (${shortfall.sold}) cannot exceed stock on hand (${shortfall.available})`;
+
+  return shortfall.date === changedDate
+    ? problem.charAt(0).toUpperCase() + problem.slice(1)
+    : `This would leave ${shortfall.date} short: ${problem}`;
+};
+
+export const getStockRecords = (db) =>
+  db.getAllAsync(
+    `WITH ${DAY_TOTALS_CTE}
+    SELECT date, produced_eggs, breakages, sold_eggs FROM day_totals ORDER BY date`
+  );
+
+// Resolves with the shortfalls `changes` would cause (see findShortfalls)
+export const checkStockChanges = (db, changes) =>
+  getStockRecords(db).then(records => findShortfalls(records, changes));
+
+// Resolves with the shortfalls caused by changing one day. `update` gets the
+// day's current stock fields (zeros for a new day) and returns the new ones.
+export const checkDayChange = (db, date, update) =>
+  getStockRecords(db).then(records => {
+    const day = records.find(record => record.date === date)
+      || { date, produced_eggs: 0, breakages: 0, sold_eggs: 0 };
+    return findShortfalls(records, new Map([[date, update(day)]]));
+  });
@@ -0,0 +1,27 @@
+import * as SQLite from 'expo-sqlite';
+
+// Storage behind `db`. Data functions only use these five calls, which
+// follow expo-sqlite's async API; storage.web.js implements the same ones in
+// the browser.
+//
+//   getAllAsync(sql, params)      resolves with every row as an object
+//   getFirstAsync(sql, params)    resolves with the first row, or null
+//   runAsync(sql, params)         resolves with { changes, lastInsertRowId }
+//   execAsync(sql)                runs one or more statements, no params
+//   withTransactionAsync(task)    runs task() in a transaction, rolling
+//                                 back if it rejects. Not nestable.
+//
+// `params` is an array, or the values passed one by one.
+
+// On phones the database is a SQLite file in the app's storage
+export const openStorage = (name) => {
+  const database = SQLite.openDatabaseSync(name);
+
+  return {
+    getAllAsync: (sql, ...params) => database.getAllAsync(sql, ...params),
+    getFirstAsync: (sql, ...params) => database.getFirstAsync(sql, ...params),
+    runAsync: (sql, ...params) => database.runAsync(sql, ...params),
+    execAsync: (sql) => database.execAsync(sql),
+    withTransactionAsync: (task) => database.withTransactionAsync(task),
+  };
+};
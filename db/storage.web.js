@@ -0,0 +1,69 @@
+import initSqlJs from 'sql.js/dist/sql-wasm-browser.js';
+import wasmFile from 'sql.js/dist/sql-wasm-browser.wasm';
+import { wrapSqlJs } from './sql-js-storage';
+
+// In the browser the database is SQLite compiled to WebAssembly (sql.js),
+// so the same queries run as on phones. It lives in memory and is saved to
+// IndexedDB after every write, then loaded from there on the next visit.
+//
+// Two tabs open at once each keep their own copy, and the last one to save
+// wins.
+
+const IDB_NAME = 'egg-inventory';
+const IDB_STORE = 'databases';
+
+// One connection for every read and save, opened on first use. A failed
+// open is not kept, so the next save tries again.
+let indexedDb = null;
+
+const openIndexedDb = () => {
+  if (!indexedDb) {
+    indexedDb = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(IDB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(IDB_STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      indexedDb = null;
+      throw error;
+    });
+  }
+  return indexedDb;
+};
+
+const readSaved = (name) =>
+  openIndexedDb().then(idb => new Promise((resolve, reject) => {
+    const request = idb.transaction(IDB_STORE, 'readonly').objectStore(IDB_STORE).get(name);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  }));
+
+const writeSaved = (name, bytes) =>
+  openIndexedDb().then(idb => new Promise((resolve, reject) => {
+    const transaction = idb.transaction(IDB_STORE, 'readwrite');
+    transaction.objectStore(IDB_STORE).put(bytes, name);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  }));
+
+export const openStorage = (name) => {
+  let saving = Promise.resolve();
+
+  const ready = Promise.all([initSqlJs({ locateFile: () => wasmFile }), readSaved(name)])
+    .then(([SQL, saved]) => new SQL.Database(saved || undefined));
+
+  // Exporting closes and reopens the database, which wrapSqlJs only asks
+  // for outside a transaction. Saves run one at a time so an older copy
+  // never lands after a newer one.
+  const save = (database) => {
+    const bytes = database.export();
+    saving = saving
+      .then(() => writeSaved(name, bytes))
+      .catch(error => {
+        console.log('Error saving database: ', error);
+      });
+    return saving;
+  };
+
+  return wrapSqlJs(ready, save);
+};
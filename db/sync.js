@@ -0,0 +1,389 @@
+import { pullChanges, pushChanges } from '../utils/sync-api';
+import { auditBatch } from './audit';
+
+// Offline-first sync between devices through a sync server (server/).
+//
+// Local writes are queued in sync_outbox by the triggers from migration 12.
+// A sync pulls what other devices pushed since the last sync, then pushes
+// the queue. Each change carries the row's sync id (the same on every
+// device), when it was made and by which device.
+//
+// Rows with a natural key (a day's date, a customer's name...) get a sync id
+// made from it, so the same day entered on two phones is one row. Every
+// device keeps the newest change to a row, ties going to the larger device
+// id, so devices agree whatever order they sync in. When a pulled change
+// meets a local change that has not been pushed yet, the outcome is
+// recorded in sync_conflicts for the user to see.
+
+// Synced tables, parents first. `key` columns identify a row on every
+// device; `refs` columns hold ids of rows in other synced tables and travel
+// as sync ids.
+export const SYNC_TABLES = [
+  { table: 'price_lists', key: ['name'] },
+  { table: 'price_breaks', key: ['price_list_id', 'min_eggs'], refs: { price_list_id: 'price_lists' } },
+  { table: 'pack_units', key: ['name'] },
+  { table: 'egg_grades', key: ['name'] },
+  { table: 'flocks', key: ['name'] },
+  { table: 'customers', key: ['name'], refs: { price_list_id: 'price_lists' } },
+  { table: 'daily_records', key: ['date'] },
+  { table: 'flock_events', refs: { flock_id: 'flocks' } },
+  { table: 'flock_production', key: ['date', 'flock_id'], refs: { flock_id: 'flocks' } },
+  { table: 'grade_production', key: ['date', 'grade_id'], refs: { grade_id: 'egg_grades' } },
+  { table: 'sales', refs: { customer_id: 'customers', grade_id: 'egg_grades' } },
+  { table: 'credit_transactions', refs: { customer_id: 'customers', sale_id: 'sales' } },
+  { table: 'credit_payments', refs: { customer_id: 'customers' } },
+  { table: 'expenses' },
+];
+
+const configOf = (table) => SYNC_TABLES.find(config => config.table === table);
+const tableOrder = (table) => SYNC_TABLES.findIndex(config => config.table === table);
+
+export const getSyncState = (db) =>
+  Promise.all([
+    db.getFirstAsync('SELECT * FROM sync_context WHERE id = 1'),
+    db.getFirstAsync('SELECT COUNT(*) as count FROM (SELECT DISTINCT table_name, row_id FROM sync_outbox)'),
+    db.getAllAsync('SELECT * FROM sync_conflicts ORDER BY id DESC'),
+  ]).then(([context, pending, conflicts]) => ({ ...context, pendingCount: pending.count, conflicts }));
+
+export const saveSyncServer = (db, { serverUrl, token }) =>
+  db.runAsync('UPDATE sync_context SET server_url = ?, token = ? WHERE id = 1', [serverUrl.trim(), token.trim()]);
+
+export const clearSyncConflicts = (db) => db.runAsync('DELETE FROM sync_conflicts');
+
+// Newer change last: later time, then the larger device id
+const compareVersions = (a, b) => {
+  if (a.changedAt !== b.changedAt) {
+    return a.changedAt < b.changedAt ? -1 : 1;
+  }
+  if (a.deviceId === b.deviceId) {
+    return 0;
+  }
+  return a.deviceId < b.deviceId ? -1 : 1;
+};
+
+const getRow = (db, table, rowId) => db.getFirstAsync(`SELECT * FROM "${table}" WHERE id = ?`, [rowId]);
+
+const mappingOfRow = (db, table, rowId) =>
+  db.getFirstAsync('SELECT * FROM sync_rows WHERE table_name = ? AND row_id = ?', [table, rowId]);
+
+const mappingOfSyncId = (db, table, syncId) =>
+  db.getFirstAsync('SELECT * FROM sync_rows WHERE table_name = ? AND sync_id = ?', [table, syncId]);
+
+// Point `syncId` at a local row, with the version of its last change
+const setMapping = (db, table, rowId, syncId, version) =>
+  db.runAsync('DELETE FROM sync_rows WHERE table_name = ? AND (row_id = ? OR sync_id = ?)', [table, rowId, syncId])
+    .then(() => db.runAsync(
+      'INSERT INTO sync_rows (table_name, row_id, sync_id, changed_at, device_id) VALUES (?, ?, ?, ?, ?)',
+      [table, rowId, syncId, version.changedAt, version.deviceId]
+    ));
+
+// The sync id a natural key gives `row`, e.g. "customers:mama njeri"
+const naturalSyncId = (db, config, row) =>
+  config.key.reduce(
+    (chain, column) => chain.then(parts => {
+      const ref = config.refs && config.refs[column];
+      const part = ref && row[column] !== null
+        ? syncIdOf(db, ref, row[column])
+        : Promise.resolve(String(row[column]).toLowerCase());
+      return part.then(value => [...parts, value]);
+    }),
+    Promise.resolve([])
+  ).then(parts => `${config.table}:${parts.join('|')}`);
+
+// The sync id of a local row, giving it one if it has none yet. A natural
+// key's id still held by a deleted row is taken over; one held by a row
+// that has since been renamed is not, and the new row gets a random id.
+function syncIdOf(db, table, rowId) {
+  return mappingOfRow(db, table, rowId).then(mapping => {
+    if (mapping) {
+      return mapping.sync_id;
+    }
+    const config = configOf(table);
+    const candidate = config.key
+      ? getRow(db, table, rowId).then(row => naturalSyncId(db, config, row))
+        .then(syncId => mappingOfSyncId(db, table, syncId).then(taken => {
+          if (!taken) {
+            return syncId;
+          }
+          return getRow(db, table, taken.row_id).then(holder => (holder ? null : syncId));
+        }))
+      : Promise.resolve(null);
+
+    return candidate
+      .then(syncId => syncId || db.getFirstAsync('SELECT lower(hex(randomblob(16))) as id').then(row => row.id))
+      .then(syncId =>
+        setMapping(db, table, rowId, syncId, { changedAt: null, deviceId: null }).then(() => syncId)
+      );
+  });
+}
+
+// A row as it travels: no local id, references as sync ids
+const toSyncData = (db, config, row) => {
+  const data = { ...row };
+  delete data.id;
+  return Object.entries(config.refs || {}).reduce(
+    (chain, [column, ref]) => chain.then(() => {
+      if (row[column] === null || row[column] === undefined) {
+        return null;
+      }
+      return syncIdOf(db, ref, row[column]).then(syncId => {
+        data[column] = syncId;
+      });
+    }),
+    Promise.resolve()
+  ).then(() => data);
+};
+
+// A synced row as this device's columns and ids. Rejects if it refers to a
+// row this device does not have.
+const fromSyncData = (db, config, data) => {
+  const values = { ...data };
+  return Object.entries(config.refs || {}).reduce(
+    (chain, [column, ref]) => chain.then(() => {
+      if (values[column] === null || values[column] === undefined) {
+        return null;
+      }
+      return mappingOfSyncId(db, ref, values[column]).then(mapping => {
+        if (!mapping) {
+          throw new Error(`it refers to ${ref.replace(/_/g, ' ')} this device does not have`);
+        }
+        values[column] = mapping.row_id;
+      });
+    }),
+    Promise.resolve()
+  ).then(() => values);
+};
+
+// The queued local changes, one per row, as they are pushed: rows that are
+// still there parents first, then deletions children first. Resolves with
+// { changes, lastOutboxId }.
+export const collectChanges = (db, deviceId) =>
+  db.getAllAsync(
+    `SELECT table_name, row_id, MAX(id) as last_id, MAX(changed_at) as changed_at
+     FROM sync_outbox GROUP BY table_name, row_id ORDER BY last_id`
+  ).then(entries => {
+    const lastOutboxId = entries.reduce((last, entry) => Math.max(last, entry.last_id), 0);
+    const known = entries.filter(entry => configOf(entry.table_name));
+
+    return known.reduce(
+      (chain, entry) => chain.then(changes =>
+        getRow(db, entry.table_name, entry.row_id).then(row => {
+          const version = { changedAt: entry.changed_at, deviceId };
+          if (!row) {
+            // Never pushed, so no other device has it
+            return mappingOfRow(db, entry.table_name, entry.row_id).then(mapping => {
+              if (!mapping) {
+                return changes;
+              }
+              return setMapping(db, entry.table_name, entry.row_id, mapping.sync_id, version).then(() => [
+                ...changes,
+                { table: entry.table_name, syncId: mapping.sync_id, op: 'delete', changedAt: entry.changed_at, data: null },
+              ]);
+            });
+          }
+          return Promise.all([
+            syncIdOf(db, entry.table_name, entry.row_id),
+            toSyncData(db, configOf(entry.table_name), row),
+          ]).then(([syncId, data]) =>
+            setMapping(db, entry.table_name, entry.row_id, syncId, version).then(() => [
+              ...changes,
+              { table: entry.table_name, syncId, op: 'upsert', changedAt: entry.changed_at, data },
+            ])
+          );
+        })
+      ),
+      Promise.resolve([])
+    ).then(changes => {
+      const upserts = changes.filter(change => change.op === 'upsert');
+      const deletes = changes.filter(change => change.op === 'delete');
+      upserts.sort((a, b) => tableOrder(a.table) - tableOrder(b.table));
+      deletes.sort((a, b) => tableOrder(b.table) - tableOrder(a.table));
+      return { changes: [...upserts, ...deletes], lastOutboxId };
+    });
+  });
+
+const describeRow = (table, row) => {
+  const name = row && (row.date || row.name);
+  return `${table.replace(/_/g, ' ')}${name ? ` ${name}` : ''}`;
+};
+
+// Whether a pulled row holds what the local row already does. The same row
+// entered on both devices (like the grades every device starts with) is not
+// worth showing as a conflict.
+const sameValues = (row, values) =>
+  !!row && !!values &&
+  Object.keys(values)
+    .filter(column => column in row && column !== 'created_at')
+    .every(column => String(row[column]) === String(values[column]));
+
+const recordConflict = (db, change, winner, message, localRow) =>
+  db.runAsync(
+    `INSERT INTO sync_conflicts (table_name, sync_id, winner, message, local_value, remote_value)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      change.table,
+      change.syncId,
+      winner,
+      message,
+      localRow ? JSON.stringify(localRow) : null,
+      change.data ? JSON.stringify(change.data) : null,
+    ]
+  );
+
+// The local row a pulled change is for: the one mapped to its sync id, or
+// an unmapped row with the same natural key
+const findLocalRow = (db, config, change, values) =>
+  mappingOfSyncId(db, change.table, change.syncId).then(mapping => {
+    if (mapping) {
+      return getRow(db, change.table, mapping.row_id).then(row => ({ mapping, row }));
+    }
+    if (!config.key || !values) {
+      return { mapping: null, row: null };
+    }
+    const where = config.key.map(column => `"${column}" = ?`).join(' AND ');
+    return db.getFirstAsync(`SELECT * FROM "${change.table}" WHERE ${where}`, config.key.map(column => values[column]))
+      .then(row => {
+        if (!row) {
+          return { mapping: null, row: null };
+        }
+        return mappingOfRow(db, change.table, row.id).then(other => ({ mapping: null, row: other ? null : row }));
+      });
+  });
+
+const writeRow = (db, table, localRow, values) =>
+  db.getAllAsync(`PRAGMA table_info("${table}")`).then(columns => {
+    // Columns this build does not have (from a newer app) are left out
+    const names = columns.map(column => column.name).filter(name => name !== 'id' && name in values);
+    if (localRow) {
+      return db.runAsync(
+        `UPDATE "${table}" SET ${names.map(name => `"${name}" = ?`).join(', ')} WHERE id = ?`,
+        [...names.map(name => values[name]), localRow.id]
+      ).then(() => localRow.id);
+    }
+    return db.runAsync(
+      `INSERT INTO "${table}" (${names.map(name => `"${name}"`).join(', ')})
+       VALUES (${names.map(() => '?').join(', ')})`,
+      names.map(name => values[name])
+    ).then(result => result.lastInsertRowId);
+  });
+
+// Apply one pulled change, keeping whichever of it and the local row is newer
+const applyChange = (db, change, deviceId) => {
+  const config = configOf(change.table);
+  if (!config) {
+    // A table from a newer build
+    return Promise.resolve();
+  }
+  const remote = { changedAt: change.changedAt, deviceId: change.deviceId };
+
+  return (change.data ? fromSyncData(db, config, change.data) : Promise.resolve(null))
+    .then(values => findLocalRow(db, config, change, values).then(({ mapping, row }) => {
+      const rowId = row ? row.id : mapping && mapping.row_id;
+      return (rowId
+        ? db.getFirstAsync(
+          'SELECT MAX(changed_at) as changed_at FROM sync_outbox WHERE table_name = ? AND row_id = ?',
+          [change.table, rowId]
+        )
+        : Promise.resolve(null)
+      ).then(pending => {
+        const hasPending = !!(pending && pending.changed_at);
+        const local = hasPending
+          ? { changedAt: pending.changed_at, deviceId }
+          : mapping && mapping.changed_at && { changedAt: mapping.changed_at, deviceId: mapping.device_id };
+        const remoteWins = !local || compareVersions(remote, local) > 0;
+        const what = describeRow(change.table, values || row);
+        const conflicting = hasPending && !sameValues(row, values);
+
+        if (!remoteWins) {
+          return conflicting
+            ? recordConflict(db, change, 'local', `${what} was also changed on another device; the change made here is newer and was kept`, row)
+            : null;
+        }
+
+        const write = change.op === 'delete'
+          ? (row ? db.runAsync(`DELETE FROM "${change.table}" WHERE id = ?`, [row.id]) : Promise.resolve())
+            .then(() => mapping && setMapping(db, change.table, mapping.row_id, change.syncId, remote))
+          : writeRow(db, change.table, row, values)
+            .then(newRowId => setMapping(db, change.table, newRowId, change.syncId, remote));
+
+        return write
+          .then(() => {
+            if (!hasPending) {
+              return null;
+            }
+            // The local change lost, so there is nothing left to push for it
+            return db.runAsync('DELETE FROM sync_outbox WHERE table_name = ? AND row_id = ?', [change.table, rowId])
+              .then(() => conflicting && recordConflict(
+                db,
+                change,
+                'remote',
+                `${what} was also changed on another device; that change is newer and replaced the one made here`,
+                row
+              ));
+          });
+      });
+    }))
+    .catch(error => {
+      // Skip a change that cannot be applied here rather than stop every
+      // later sync on it
+      const what = describeRow(change.table, change.data);
+      const reason = /UNIQUE/i.test(error.message)
+        ? `it clashes with a different ${change.table.replace(/_/g, ' ')} here`
+        : error.message;
+      return recordConflict(db, change, 'skipped', `${what} from another device was not applied: ${reason}`, null);
+    });
+};
+
+// Apply pulled changes in one audit batch, without queueing them to be
+// pushed back. Call inside a transaction.
+export const applyChanges = (db, changes, deviceId) =>
+  db.runAsync('UPDATE sync_context SET applying = 1 WHERE id = 1')
+    .then(() => auditBatch(db, `Synced ${changes.length} change(s) from other devices`, () =>
+      changes.reduce((chain, change) => chain.then(() => applyChange(db, change, deviceId)), Promise.resolve())
+    ))
+    .then(() => db.runAsync('UPDATE sync_context SET applying = 0 WHERE id = 1'));
+
+// Pull, then push. Resolves with { pulled, pushed, conflicts }, conflicts
+// being the number recorded by this sync.
+export const syncNow = (db) =>
+  Promise.all([
+    db.getFirstAsync('SELECT * FROM sync_context WHERE id = 1'),
+    db.getFirstAsync('SELECT COALESCE(MAX(id), 0) as id FROM sync_conflicts'),
+  ]).then(([context, lastConflict]) => {
+    if (!context.server_url) {
+      throw new Error('Please set the sync server address first');
+    }
+    const server = { url: context.server_url, token: context.token };
+    const deviceId = context.device_id;
+
+    const pull = (since, pulled) =>
+      pullChanges(server, { since, deviceId }).then(page =>
+        db.withTransactionAsync(() =>
+          (page.changes.length > 0 ? applyChanges(db, page.changes, deviceId) : Promise.resolve())
+            .then(() => db.runAsync('UPDATE sync_context SET last_pulled_seq = ? WHERE id = 1', [page.lastSeq]))
+        ).then(() => {
+          const total = pulled + page.changes.length;
+          return page.hasMore ? pull(page.lastSeq, total) : total;
+        })
+      );
+
+    const push = () =>
+      collectChanges(db, deviceId).then(({ changes, lastOutboxId }) => {
+        if (lastOutboxId === 0) {
+          return 0;
+        }
+        return (changes.length > 0 ? pushChanges(server, { deviceId, changes }) : Promise.resolve())
+          .then(() => db.runAsync('DELETE FROM sync_outbox WHERE id <= ?', [lastOutboxId]))
+          .then(() => changes.length);
+      });
+
+    return pull(context.last_pulled_seq, 0).then(pulled =>
+      push()
+        .then(pushed =>
+          Promise.all([
+            db.getFirstAsync('SELECT COUNT(*) as count FROM sync_conflicts WHERE id > ?', [lastConflict.id]),
+            db.runAsync('UPDATE sync_context SET last_synced_at = CURRENT_TIMESTAMP WHERE id = 1'),
+          ]).then(([conflicts]) => ({ pulled, pushed, conflicts: conflicts.count }))
+        )
+    );
+  });
@@ -0,0 +1,34 @@
+import { NET_CHANGE_SQL } from './accounting';
+import { DAY_TOTALS_CTE } from './records';
+
+export const MOVING_AVERAGE_DAYS = 7;
+
+// One row per recorded day between `from` and `to`, oldest first, with the
+// numbers the trend charts plot. Running stock and the moving average are
+// windowed over every day before the range is applied, so the first days
+// of a range are not short of history. The average covers recorded days in
+// the last MOVING_AVERAGE_DAYS calendar days.
+export const getTrendData = (db, { from, to }) =>
+  db.getAllAsync(
+    `WITH ${DAY_TOTALS_CTE},
+    windowed AS (
+      SELECT
+        date,
+        produced_eggs,
+        breakages,
+        sold_eggs,
+        cash_sales + credit_sales as revenue,
+        AVG(produced_eggs) OVER (
+          ORDER BY julianday(date) RANGE BETWEEN ${MOVING_AVERAGE_DAYS - 1} PRECEDING AND CURRENT ROW
+        ) as produced_average,
+        SUM(${NET_CHANGE_SQL}) OVER (ORDER BY date ROWS UNBOUNDED PRECEDING) as closing_stock
+      FROM day_totals
+    )
+    SELECT
+      *,
+      CASE WHEN produced_eggs > 0 THEN 100.0 * breakages / produced_eggs ELSE 0 END as breakage_rate
+    FROM windowed
+    WHERE date BETWEEN ? AND ?
+    ORDER BY date`,
+    [from, to]
+  );
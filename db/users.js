@@ -0,0 +1,184 @@
+import { CryptoDigestAlgorithm, digestStringAsync } from 'expo-crypto';
+import { normalizeName } from './ledger';
+import { saveSettings } from './settings';
+
+// Local user profiles. Once any exist the app asks for a PIN when it opens,
+// and the signed-in user's role decides what they may do. With no profiles
+// everything is allowed, as on a phone with a single user.
+//
+// PINs are kept salted and hashed. A short PIN keeps casual hands off the
+// phone; it does not encrypt the data.
+
+export const ROLES = [
+  { key: 'owner', label: 'Owner' },
+  { key: 'manager', label: 'Manager' },
+  { key: 'clerk', label: 'Sales clerk' },
+];
+
+// Everyone may enter today's production, sales and credit
+const PERMISSIONS = {
+  deleteRecords: { roles: ['owner', 'manager'], action: 'delete records' },
+  editPastDays: { roles: ['owner', 'manager'], action: 'enter or change figures for days other than today' },
+  exportData: { roles: ['owner', 'manager'], action: 'export or back up data' },
+  resetData: { roles: ['owner'], action: 'reset the database or restore a backup' },
+  manageUsers: { roles: ['owner'], action: 'manage users' },
+};
+
+export const roleLabel = (key) => {
+  const role = ROLES.find(item => item.key === key);
+  return role ? role.label : key;
+};
+
+// `user` is the signed-in user, or null when there are no profiles
+export const can = (user, permission) => !user || PERMISSIONS[permission].roles.includes(user.role);
+
+// e.g. "Only an owner or manager can delete records."
+export const permissionDenied = (permission) => {
+  const { roles, action } = PERMISSIONS[permission];
+  const names = roles.map(role => roleLabel(role).toLowerCase());
+  return `Only ${/^[aeiou]/.test(names[0]) ? 'an' : 'a'} ${names.join(' or ')} can ${action}.`;
+};
+
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+const PIN_PATTERN = /^\d{4,6}$/;
+
+// Check a new PIN typed twice. Returns `{ errors, values }` like the form
+// checks in ./accounting.
+export const validatePin = (input) => {
+  const errors = [];
+  const pin = text(input.pin);
+  if (!PIN_PATTERN.test(pin)) {
+    errors.push('The PIN must be 4 to 6 digits');
+  } else if (pin !== text(input.confirmPin)) {
+    errors.push('The two PINs do not match');
+  }
+  return { errors, values: { pin } };
+};
+
+// Check a user profile as typed; `role` is a key of ROLES
+export const validateUser = (input) => {
+  const { errors, values } = validatePin(input);
+  const name = text(input.name);
+  if (!name) {
+    errors.unshift('Please enter a name for the user');
+  }
+  if (!ROLES.some(role => role.key === input.role)) {
+    errors.push('Please choose a role');
+  }
+  return { errors, values: { ...values, name, role: input.role } };
+};
+
+const hashPin = (salt, pin) => digestStringAsync(CryptoDigestAlgorithm.SHA256, `${salt}:${pin}`);
+
+const newSalt = (db) =>
+  db.getFirstAsync('SELECT lower(hex(randomblob(16))) as salt').then(row => row.salt);
+
+export const getUsers = (db) =>
+  db.getAllAsync(
+    `SELECT id, name, role, created_at FROM users
+     ORDER BY CASE role WHEN 'owner' THEN 0 WHEN 'manager' THEN 1 ELSE 2 END, name`
+  );
+
+const countOwners = (db) =>
+  db.getFirstAsync("SELECT COUNT(*) as count FROM users WHERE role = 'owner'").then(row => row.count);
+
+// Add a profile. The first one must be an owner, so someone can always
+// manage the others. Resolves with the new user's id.
+export const addUser = (db, { name, role, pin }) => {
+  const userName = normalizeName(name);
+  return countOwners(db)
+    .then(owners => {
+      if (owners === 0 && role !== 'owner') {
+        throw new Error('The first user must be an owner');
+      }
+      return newSalt(db);
+    })
+    .then(salt => hashPin(salt, pin).then(hash =>
+      db.runAsync(
+        'INSERT INTO users (name, role, pin_salt, pin_hash) VALUES (?, ?, ?, ?)',
+        [userName, role, salt, hash]
+      )
+    ))
+    .then(result => result.lastInsertRowId)
+    .catch(error => {
+      if (/UNIQUE/i.test(error.message)) {
+        throw new Error(`There is already a user called ${userName}`);
+      }
+      throw error;
+    });
+};
+
+export const setUserPin = (db, userId, pin) =>
+  newSalt(db).then(salt => hashPin(salt, pin).then(hash =>
+    db.runAsync('UPDATE users SET pin_salt = ?, pin_hash = ? WHERE id = ?', [salt, hash, userId])
+  ));
+
+// Rejects removing the last owner
+export const removeUser = (db, userId) =>
+  Promise.all([db.getFirstAsync('SELECT role FROM users WHERE id = ?', [userId]), countOwners(db)])
+    .then(([user, owners]) => {
+      if (user && user.role === 'owner' && owners === 1) {
+        throw new Error('The last owner cannot be removed');
+      }
+      return db.runAsync('DELETE FROM users WHERE id = ?', [userId]);
+    });
+
+// Wrong PINs allowed in a row before sign-in waits. The count and the wait
+// are kept with the settings, so closing and reopening the app does not
+// start them over.
+const MAX_ATTEMPTS = 5;
+const LOCKOUT_SECONDS = 30;
+const LOCKOUT_KEY = 'signInLockout';
+
+const getLockout = (db) =>
+  db.getFirstAsync('SELECT value FROM settings WHERE key = ?', [LOCKOUT_KEY]).then(row => {
+    const saved = row ? JSON.parse(row.value) : {};
+    return { failedAttempts: saved.failedAttempts || 0, lockedUntil: saved.lockedUntil || 0 };
+  });
+
+const saveLockout = (db, lockout) => saveSettings(db, { [LOCKOUT_KEY]: lockout });
+
+// Seconds left before anyone may try a PIN again; 0 when they may now
+export const getSignInWait = (db) =>
+  getLockout(db).then(lockout => Math.max(0, Math.ceil((lockout.lockedUntil - Date.now()) / 1000)));
+
+// Count a wrong PIN; rejects with why, and how long to wait once there
+// have been too many
+const rejectPin = (db) =>
+  getLockout(db).then(lockout => {
+    const failedAttempts = lockout.failedAttempts + 1;
+    if (failedAttempts < MAX_ATTEMPTS) {
+      return saveLockout(db, { failedAttempts, lockedUntil: 0 }).then(() => {
+        throw new Error('Wrong PIN');
+      });
+    }
+    return saveLockout(db, { failedAttempts: 0, lockedUntil: Date.now() + LOCKOUT_SECONDS * 1000 }).then(() => {
+      throw new Error(`Wrong PIN. Too many tries, please wait ${LOCKOUT_SECONDS} seconds.`);
+    });
+  });
+
+// Check a PIN and log what follows under the user's name. Resolves with
+// { id, name, role }; rejects on a wrong PIN or while sign-in waits after
+// too many of them.
+export const signIn = (db, userId, pin) =>
+  getSignInWait(db)
+    .then(wait => {
+      if (wait > 0) {
+        throw new Error(`Too many wrong PINs, please wait ${wait} seconds`);
+      }
+      return db.getFirstAsync('SELECT * FROM users WHERE id = ?', [userId]);
+    })
+    .then(user => {
+      if (!user) {
+        throw new Error('This user no longer exists');
+      }
+      return hashPin(user.pin_salt, pin).then(hash => {
+        if (hash !== user.pin_hash) {
+          return rejectPin(db);
+        }
+        return saveLockout(db, { failedAttempts: 0, lockedUntil: 0 })
+          .then(() => db.runAsync('UPDATE audit_context SET user_name = ? WHERE id = 1', [user.name]))
+          .then(() => ({ id: user.id, name: user.name, role: user.role }));
+      });
+    });
@@ -1,10 +1,24 @@
 // https://docs.expo.dev/guides/using-eslint/
 const { defineConfig } = require('eslint/config');
 const expoConfig = require('eslint-config-expo/flat');
+const globals = require('globals');
 
 module.exports = defineConfig([
   expoConfig,
   {
     ignores: ['dist/*'],
   },
+  {
+    // The sync server runs on Node, not in the app
+    files: ['server/**'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    files: ['**/__tests__/**'],
+    languageOptions: {
+      globals: globals.jest,
+    },
+  },
 ]);
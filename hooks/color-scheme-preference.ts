@@ -0,0 +1,33 @@
+import { useSyncExternalStore } from 'react';
+
+/**
+ * The light/dark choice from the settings. 'system' follows the phone or
+ * browser; the app sets the saved choice on start and whenever it changes.
+ */
+export type ColorSchemePreference = 'system' | 'light' | 'dark';
+
+let preference: ColorSchemePreference = 'system';
+const listeners = new Set<() => void>();
+
+export function setColorSchemePreference(next: ColorSchemePreference) {
+  if (next === preference) {
+    return;
+  }
+  preference = next;
+  listeners.forEach(listener => listener());
+}
+
+function subscribe(listener: () => void) {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+function getPreference() {
+  return preference;
+}
+
+export function useColorSchemePreference() {
+  return useSyncExternalStore(subscribe, getPreference, getPreference);
+}
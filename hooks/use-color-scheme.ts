@@ -1 +1,9 @@
-export { useColorScheme } from 'react-native';
+import { useColorScheme as useRNColorScheme } from 'react-native';
+import { useColorSchemePreference } from './color-scheme-preference';
+
+export function useColorScheme() {
+  const colorScheme = useRNColorScheme();
+  const preference = useColorSchemePreference();
+
+  return preference === 'system' ? colorScheme : preference;
+}
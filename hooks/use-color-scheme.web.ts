@@ -1,5 +1,6 @@
 import { useEffect, useState } from 'react';
 import { useColorScheme as useRNColorScheme } from 'react-native';
+import { useColorSchemePreference } from './color-scheme-preference';
 
 /**
  * To support static rendering, this value needs to be re-calculated on the client side for web
@@ -12,9 +13,10 @@ export function useColorScheme() {
   }, []);
 
   const colorScheme = useRNColorScheme();
+  const preference = useColorSchemePreference();
 
   if (hasHydrated) {
-    return colorScheme;
+    return preference === 'system' ? colorScheme : preference;
   }
 
   return 'light';
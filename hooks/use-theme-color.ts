@@ -3,6 +3,8 @@
  * https://docs.expo.dev/guides/color-schemes/
  */
 
+import { useMemo } from 'react';
+
 import { Colors } from '@/constants/theme';
 import { useColorScheme } from '@/hooks/use-color-scheme';
 
@@ -19,3 +21,23 @@ export function useThemeColor(
     return Colors[theme][colorName];
   }
 }
+
+export type ThemeColors = typeof Colors.light;
+
+/**
+ * The whole palette for the current color scheme
+ */
+export function useThemeColors(): ThemeColors {
+  const theme = useColorScheme() ?? 'light';
+  return Colors[theme];
+}
+
+/**
+ * Styles built from the palette by `createStyles`, rebuilt when the color
+ * scheme changes. Define `createStyles` outside the component so it is only
+ * called once per scheme.
+ */
+export function useThemedStyles<T>(createStyles: (colors: ThemeColors) => T): T {
+  const colors = useThemeColors();
+  return useMemo(() => createStyles(colors), [createStyles, colors]);
+}
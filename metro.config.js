@@ -0,0 +1,9 @@
+// Learn more https://docs.expo.dev/guides/customizing-metro
+const { getDefaultConfig } = require('expo/metro-config');
+
+const config = getDefaultConfig(__dirname);
+
+// The web build loads SQLite as WebAssembly (see db/storage.web.js)
+config.resolver.assetExts.push('wasm');
+
+module.exports = config;
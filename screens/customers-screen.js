@@ -0,0 +1,504 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { db } from '../db/database';
+import {
+  AGING_BUCKETS,
+  addPayment,
+  getAgedReceivables,
+  getCustomerBalances,
+  getCustomerTransactions,
+} from '../db/ledger';
+import { getPriceLists, setCustomerPriceList } from '../db/pricing';
+import { isValidDate } from '../db/accounting';
+import { getStatement } from '../db/statements';
+import { permissionDenied } from '../db/users';
+import { statementHtml } from '../utils/documents';
+import { printDocument, shareDocument } from '../utils/print-document';
+import { useThemeColors, useThemedStyles } from '../hooks/use-theme-color';
+
+const today = () => new Date().toISOString().split('T')[0];
+const thisMonth = () => today().slice(0, 7);
+
+// `can` checks the signed-in user's permissions (see db/users)
+const CustomersScreen = ({ format, can }) => {
+  const styles = useThemedStyles(createStyles);
+  const colors = useThemeColors();
+  const [customers, setCustomers] = useState([]);
+  const [selectedCustomerId, setSelectedCustomerId] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+  const [agedReceivables, setAgedReceivables] = useState([]);
+  const [priceLists, setPriceLists] = useState([]);
+  const [paymentAmount, setPaymentAmount] = useState('');
+  const [paymentDate, setPaymentDate] = useState(today());
+  const [paymentNote, setPaymentNote] = useState('');
+  const [statementMonth, setStatementMonth] = useState(thisMonth());
+
+  const loadCustomers = useCallback(() => {
+    Promise.all([getCustomerBalances(db), getAgedReceivables(db, today()), getPriceLists(db)])
+      .then(([balances, aged, lists]) => {
+        setCustomers(balances);
+        setAgedReceivables(aged);
+        setPriceLists(lists);
+      })
+      .catch(error => {
+        console.log('Error loading customers: ', error);
+      });
+  }, []);
+
+  const loadTransactions = (customerId) => {
+    getCustomerTransactions(db, customerId)
+      .then(setTransactions)
+      .catch(error => {
+        console.log('Error loading transactions: ', error);
+      });
+  };
+
+  useEffect(() => {
+    loadCustomers();
+  }, [loadCustomers]);
+
+  const toggleCustomer = (customerId) => {
+    if (selectedCustomerId === customerId) {
+      setSelectedCustomerId(null);
+      setTransactions([]);
+      return;
+    }
+
+    setSelectedCustomerId(customerId);
+    setPaymentAmount('');
+    setPaymentDate(today());
+    setPaymentNote('');
+    setStatementMonth(thisMonth());
+    loadTransactions(customerId);
+  };
+
+  const recordPayment = (customer) => {
+    const amount = parseFloat(paymentAmount);
+    if (!amount || amount <= 0) {
+      Alert.alert('Error', 'Please enter the amount paid');
+      return;
+    }
+    if (amount > customer.balance) {
+      Alert.alert(
+        'Error',
+        `The payment (${format.money(amount)}) is more than ${customer.name} owes (${format.money(customer.balance)})`
+      );
+      return;
+    }
+    if (!isValidDate(paymentDate)) {
+      Alert.alert('Error', `Date must be a valid YYYY-MM-DD date (got "${paymentDate}")`);
+      return;
+    }
+    if (paymentDate !== today() && !can('editPastDays')) {
+      Alert.alert('Not Allowed', permissionDenied('editPastDays'));
+      return;
+    }
+
+    addPayment(db, { customerId: customer.id, date: paymentDate, amount, note: paymentNote.trim() })
+      .then(() => {
+        const remaining = Math.max(0, customer.balance - amount);
+        Alert.alert('Success', `Payment recorded. ${customer.name} now owes ${format.money(remaining)}.`);
+        setPaymentAmount('');
+        setPaymentNote('');
+        loadCustomers();
+        loadTransactions(customer.id);
+      })
+      .catch(error => {
+        console.log('Error recording payment: ', error);
+        Alert.alert('Error', 'Failed to record payment: ' + error.message);
+      });
+  };
+
+  // The default list is stored as no list, so customers follow it if it changes
+  const choosePriceList = (customer, list) => {
+    setCustomerPriceList(db, customer.id, list.is_default ? null : list.id)
+      .then(loadCustomers)
+      .catch(error => {
+        console.log('Error setting price list: ', error);
+        Alert.alert('Error', 'Failed to set price list: ' + error.message);
+      });
+  };
+
+  const renderPriceListPicker = (customer) => (
+    <View style={styles.priceListPicker}>
+      <Text style={styles.paymentTitle}>Price List</Text>
+      <View style={styles.chipRow}>
+        {priceLists.map(list => {
+          const selected = list.is_default ? !customer.price_list_id : customer.price_list_id === list.id;
+          return (
+            <TouchableOpacity
+              key={list.id}
+              style={[styles.chip, selected && styles.selectedChip]}
+              onPress={() => choosePriceList(customer, list)}
+            >
+              <Text style={[styles.chipText, selected && styles.selectedChipText]}>{list.name}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+
+  const sendStatement = (customer, send) => {
+    const month = statementMonth.trim();
+    if (!/^\d{4}-\d{2}$/.test(month) || !isValidDate(`${month}-01`)) {
+      Alert.alert('Error', `Month must be YYYY-MM (got "${month}")`);
+      return;
+    }
+
+    // The name becomes part of a file path on the phone, so a "/" or ":" in
+    // it must not reach the file system
+    const fileName = `Statement ${customer.name.replace(/[\\/:*?"<>|]/g, '-')} ${month}.pdf`;
+    getStatement(db, customer.id, month)
+      .then(statement => send(statementHtml(statement, format), fileName))
+      .catch(error => {
+        console.log('Error creating statement: ', error);
+        Alert.alert('Error', 'Failed to create statement: ' + error.message);
+      });
+  };
+
+  const renderStatementForm = (customer) => (
+    <View style={styles.paymentForm}>
+      <Text style={styles.paymentTitle}>Monthly Statement</Text>
+      <TextInput
+        style={styles.input}
+        value={statementMonth}
+        onChangeText={setStatementMonth}
+        placeholderTextColor={colors.muted}
+        placeholder="YYYY-MM"
+      />
+      <View style={styles.buttonRow}>
+        <TouchableOpacity style={styles.fullButton} onPress={() => sendStatement(customer, printDocument)}>
+          <Text style={styles.buttonText}>Print</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.fullButton} onPress={() => sendStatement(customer, shareDocument)}>
+          <Text style={styles.buttonText}>Share PDF</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const totalOutstanding = customers.reduce((total, customer) => total + customer.balance, 0);
+
+  const renderTransaction = (transaction) => (
+    <View key={`${transaction.type}-${transaction.id}`} style={styles.transactionRow}>
+      <View style={styles.transactionInfo}>
+        <Text style={styles.transactionDate}>
+          {format.date(transaction.date)} · {transaction.type === 'payment' ? 'Payment' : 'Credit'}
+        </Text>
+        {transaction.eggs > 0 && <Text style={styles.transactionMeta}>{transaction.eggs} eggs</Text>}
+        {!!transaction.note && <Text style={styles.transactionMeta}>{transaction.note}</Text>}
+        {!!transaction.created_by && <Text style={styles.transactionMeta}>by {transaction.created_by}</Text>}
+      </View>
+      <Text style={transaction.type === 'payment' ? styles.paymentAmount : styles.transactionAmount}>
+        {transaction.type === 'payment' ? '−' : ''}{format.money(transaction.amount)}
+      </Text>
+    </View>
+  );
+
+  const renderPaymentForm = (customer) => (
+    <View style={styles.paymentForm}>
+      <Text style={styles.paymentTitle}>Record Payment</Text>
+      <TextInput
+        style={styles.input}
+        value={paymentAmount}
+        onChangeText={setPaymentAmount}
+        keyboardType="decimal-pad"
+        placeholderTextColor={colors.muted}
+        placeholder="Amount paid"
+      />
+      <TextInput
+        style={styles.input}
+        value={paymentDate}
+        onChangeText={setPaymentDate}
+        placeholderTextColor={colors.muted}
+        placeholder="YYYY-MM-DD"
+      />
+      <TextInput
+        style={styles.input}
+        value={paymentNote}
+        onChangeText={setPaymentNote}
+        placeholderTextColor={colors.muted}
+        placeholder="Note (optional)"
+      />
+      <View style={styles.buttonRow}>
+        <TouchableOpacity style={styles.fullButton} onPress={() => setPaymentAmount(customer.balance.toFixed(2))}>
+          <Text style={styles.buttonText}>Pay in Full</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.paymentButton} onPress={() => recordPayment(customer)}>
+          <Text style={styles.buttonText}>Save Payment</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <>
+      <View style={styles.summaryCard}>
+        <Text style={styles.summaryLabel}>Total Outstanding</Text>
+        <Text style={styles.summaryValue}>{format.money(totalOutstanding)}</Text>
+        <Text style={styles.summaryLabel}>{customers.length} customers</Text>
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Aged Receivables</Text>
+        {agedReceivables.length === 0 ? (
+          <Text style={styles.emptyText}>Nothing outstanding.</Text>
+        ) : (
+          <>
+            <View style={styles.agingRow}>
+              <Text style={[styles.agingName, styles.agingHeader]}>Customer</Text>
+              {AGING_BUCKETS.map(bucket => (
+                <Text key={bucket.key} style={[styles.agingCell, styles.agingHeader]}>{bucket.label}</Text>
+              ))}
+            </View>
+            {agedReceivables.map(row => (
+              <View key={row.id} style={styles.agingRow}>
+                <Text style={styles.agingName}>{row.name}</Text>
+                {AGING_BUCKETS.map(bucket => (
+                  <Text
+                    key={bucket.key}
+                    style={[styles.agingCell, bucket.key === 'over60' && row[bucket.key] > 0 && styles.overdueCell]}
+                  >
+                    {row[bucket.key] > 0 ? format.money(row[bucket.key]) : '–'}
+                  </Text>
+                ))}
+              </View>
+            ))}
+          </>
+        )}
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Customers</Text>
+        {customers.length === 0 ? (
+          <Text style={styles.emptyText}>No credit customers yet. Credit entries from the Daily Entry form appear here.</Text>
+        ) : (
+          customers.map(customer => (
+            <View key={customer.id} style={styles.customerItem}>
+              <TouchableOpacity style={styles.customerHeader} onPress={() => toggleCustomer(customer.id)}>
+                <View>
+                  <Text style={styles.customerName}>{customer.name}</Text>
+                  <Text style={styles.transactionMeta}>
+                    {customer.transactionCount} entries
+                    {customer.lastTransactionDate ? ` · last ${format.date(customer.lastTransactionDate)}` : ''}
+                  </Text>
+                </View>
+                <View style={styles.balanceColumn}>
+                  <Text style={styles.customerBalance}>{format.money(customer.balance)}</Text>
+                  {customer.totalPaid > 0 && (
+                    <Text style={styles.transactionMeta}>paid {format.money(customer.totalPaid)}</Text>
+                  )}
+                </View>
+              </TouchableOpacity>
+              {selectedCustomerId === customer.id && (
+                <View style={styles.transactionList}>
+                  {priceLists.length > 1 && renderPriceListPicker(customer)}
+                  {customer.balance > 0 && renderPaymentForm(customer)}
+                  {customer.transactionCount > 0 && renderStatementForm(customer)}
+                  {transactions.map(renderTransaction)}
+                </View>
+              )}
+            </View>
+          ))
+        )}
+      </View>
+    </>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  summaryCard: {
+    backgroundColor: colors.background,
+    borderRadius: 10,
+    padding: 16,
+    marginBottom: 16,
+    alignItems: 'center',
+    elevation: 2,
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: colors.muted,
+  },
+  summaryValue: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: colors.primary,
+    marginVertical: 4,
+  },
+  card: {
+    backgroundColor: colors.background,
+    borderRadius: 10,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 12,
+    color: colors.text,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: colors.muted,
+    fontStyle: 'italic',
+    padding: 20,
+  },
+  customerItem: {
+    backgroundColor: colors.surface,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: colors.primary,
+  },
+  customerHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  customerName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  balanceColumn: {
+    alignItems: 'flex-end',
+  },
+  customerBalance: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.primary,
+  },
+  transactionList: {
+    marginTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: colors.divider,
+    paddingTop: 8,
+  },
+  transactionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  transactionInfo: {
+    flex: 1,
+  },
+  transactionDate: {
+    fontWeight: '600',
+    color: colors.text,
+  },
+  transactionMeta: {
+    fontSize: 12,
+    color: colors.muted,
+  },
+  transactionAmount: {
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  paymentAmount: {
+    fontWeight: 'bold',
+    color: colors.success,
+  },
+  paymentForm: {
+    marginBottom: 8,
+    gap: 8,
+  },
+  priceListPicker: {
+    marginBottom: 12,
+    gap: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  selectedChip: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  selectedChipText: {
+    color: colors.onAccent,
+    fontWeight: 'bold',
+  },
+  paymentTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textSecondary,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 16,
+    backgroundColor: colors.input,
+    color: colors.text,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  fullButton: {
+    flex: 1,
+    backgroundColor: colors.primary,
+    padding: 12,
+    borderRadius: 6,
+  },
+  paymentButton: {
+    flex: 1,
+    backgroundColor: colors.success,
+    padding: 12,
+    borderRadius: 6,
+  },
+  buttonText: {
+    color: colors.onAccent,
+    textAlign: 'center',
+    fontWeight: 'bold',
+  },
+  agingRow: {
+    flexDirection: 'row',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  agingHeader: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: colors.muted,
+  },
+  agingName: {
+    flex: 2,
+    color: colors.text,
+  },
+  agingCell: {
+    flex: 1,
+    textAlign: 'right',
+    color: colors.text,
+  },
+  overdueCell: {
+    color: colors.danger,
+    fontWeight: 'bold',
+  },
+});
+
+export default CustomersScreen;
@@ -0,0 +1,280 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { db } from '../db/database';
+import { auditBatch } from '../db/audit';
+import { EXPENSE_CATEGORIES, addExpense, deleteExpense, expenseCategoryLabel, getExpenses } from '../db/expenses';
+import { validateExpense } from '../db/accounting';
+import { periodRange } from '../db/reports';
+import { permissionDenied } from '../db/users';
+import { useThemeColors, useThemedStyles } from '../hooks/use-theme-color';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// `can` checks the signed-in user's permissions (see db/users)
+const ExpensesScreen = ({ format, can }) => {
+  const styles = useThemedStyles(createStyles);
+  const colors = useThemeColors();
+  const [expenses, setExpenses] = useState([]);
+  const [expenseDate, setExpenseDate] = useState(today());
+  const [category, setCategory] = useState('feed');
+  const [amount, setAmount] = useState('');
+  const [note, setNote] = useState('');
+
+  const loadExpenses = useCallback(() => {
+    getExpenses(db, periodRange('thisMonth', today()))
+      .then(setExpenses)
+      .catch(error => {
+        console.log('Error loading expenses: ', error);
+      });
+  }, []);
+
+  useEffect(() => {
+    loadExpenses();
+  }, [loadExpenses]);
+
+  const saveExpense = () => {
+    const { errors, values } = validateExpense({ date: expenseDate, category, amount, note });
+    if (errors.length > 0) {
+      Alert.alert('Error', errors.join('\n'));
+      return;
+    }
+    if (values.date !== today() && !can('editPastDays')) {
+      Alert.alert('Not Allowed', permissionDenied('editPastDays'));
+      return;
+    }
+
+    addExpense(db, values)
+      .then(() => {
+        setAmount('');
+        setNote('');
+        loadExpenses();
+      })
+      .catch(error => {
+        console.log('Error adding expense: ', error);
+        Alert.alert('Error', 'Failed to add expense: ' + error.message);
+      });
+  };
+
+  // Deleted expenses go to the trash on the History tab
+  const removeExpense = (expense) => {
+    Alert.alert(
+      'Delete Expense',
+      `Delete ${expenseCategoryLabel(expense.category)} of ${format.money(expense.amount)} on ${format.date(expense.date)}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => {
+            db.withTransactionAsync(() =>
+              auditBatch(db, `Deleted ${expenseCategoryLabel(expense.category)} expense`, () => deleteExpense(db, expense.id))
+            )
+              .then(loadExpenses)
+              .catch(error => {
+                console.log('Error deleting expense: ', error);
+              });
+          }
+        }
+      ]
+    );
+  };
+
+  const monthTotal = expenses.reduce((total, expense) => total + expense.amount, 0);
+
+  return (
+    <>
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Add Expense</Text>
+        <View style={styles.chipRow}>
+          {EXPENSE_CATEGORIES.map(item => (
+            <TouchableOpacity
+              key={item.key}
+              style={[styles.chip, category === item.key && styles.selectedChip]}
+              onPress={() => setCategory(item.key)}
+            >
+              <Text style={[styles.chipText, category === item.key && styles.selectedChipText]}>{item.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <View style={styles.inputRow}>
+          <TextInput
+            style={styles.input}
+            value={amount}
+            onChangeText={setAmount}
+            keyboardType="decimal-pad"
+            placeholderTextColor={colors.muted}
+            placeholder="Amount"
+          />
+          <TextInput
+            style={styles.input}
+            value={expenseDate}
+            onChangeText={setExpenseDate}
+            placeholderTextColor={colors.muted}
+            placeholder="YYYY-MM-DD"
+          />
+        </View>
+        <TextInput
+          style={[styles.input, styles.noteInput]}
+          value={note}
+          onChangeText={setNote}
+          placeholderTextColor={colors.muted}
+          placeholder="Note (optional)"
+        />
+        <TouchableOpacity style={styles.saveButton} onPress={saveExpense}>
+          <Text style={styles.buttonText}>Save Expense</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.card}>
+        <View style={styles.listHeader}>
+          <Text style={styles.cardTitle}>This Month</Text>
+          <Text style={styles.total}>{format.money(monthTotal)}</Text>
+        </View>
+        {expenses.length === 0 ? (
+          <Text style={styles.emptyText}>No expenses recorded this month.</Text>
+        ) : (
+          expenses.map(expense => (
+            <View key={expense.id} style={styles.expenseRow}>
+              <View style={styles.expenseInfo}>
+                <Text style={styles.expenseTitle}>{expenseCategoryLabel(expense.category)}</Text>
+                <Text style={styles.meta}>
+                  {format.date(expense.date)}{expense.note ? ` · ${expense.note}` : ''}
+                  {expense.created_by ? ` · by ${expense.created_by}` : ''}
+                </Text>
+              </View>
+              <Text style={styles.amount}>{format.money(expense.amount)}</Text>
+              {can('deleteRecords') && (
+                <TouchableOpacity onPress={() => removeExpense(expense)}>
+                  <Text style={styles.deleteText}>✕</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          ))
+        )}
+      </View>
+    </>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.background,
+    borderRadius: 10,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 12,
+    color: colors.text,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: colors.muted,
+    fontStyle: 'italic',
+    padding: 20,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginBottom: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  selectedChip: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  selectedChipText: {
+    color: colors.onAccent,
+    fontWeight: 'bold',
+  },
+  inputRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 16,
+    backgroundColor: colors.input,
+    color: colors.text,
+  },
+  noteInput: {
+    flex: 0,
+    marginTop: 8,
+  },
+  saveButton: {
+    backgroundColor: colors.success,
+    padding: 14,
+    borderRadius: 6,
+    marginTop: 8,
+  },
+  buttonText: {
+    color: colors.onAccent,
+    textAlign: 'center',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  listHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  total: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.danger,
+  },
+  expenseRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  expenseInfo: {
+    flex: 1,
+  },
+  expenseTitle: {
+    fontWeight: '600',
+    color: colors.text,
+  },
+  meta: {
+    fontSize: 12,
+    color: colors.muted,
+  },
+  amount: {
+    fontWeight: 'bold',
+    color: colors.text,
+    marginRight: 12,
+  },
+  deleteText: {
+    color: colors.danger,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default ExpensesScreen;
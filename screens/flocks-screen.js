@@ -0,0 +1,469 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { db } from '../db/database';
+import {
+  FLOCK_EVENT_TYPES,
+  LAY_RATE_DROP_ALERT,
+  LAY_RATE_WINDOW_DAYS,
+  addFlock,
+  addFlockEvent,
+  getFlockEvents,
+  getFlockLayRateSummaries,
+  getFlocks,
+  getLayRates,
+} from '../db/flocks';
+import { validateFlock, validateFlockEvent } from '../db/accounting';
+import TrendChart from '../components/trend-chart';
+import { permissionDenied } from '../db/users';
+import { useThemeColors, useThemedStyles } from '../hooks/use-theme-color';
+
+const LAY_RATE_CHART_DAYS = 60;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+const formatRate = (rate) => (rate === null || rate === undefined ? '–' : `${rate.toFixed(1)}%`);
+
+const LAY_RATE_SERIES = [{ key: 'lay_rate', label: 'Lay rate', color: 'primary', type: 'line' }];
+
+const FlocksScreen = ({ format, can, onFlocksChanged }) => {
+  const styles = useThemedStyles(createStyles);
+  const colors = useThemeColors();
+  const [flocks, setFlocks] = useState([]);
+  const [summaries, setSummaries] = useState(new Map());
+  const [selectedFlockId, setSelectedFlockId] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [layRates, setLayRates] = useState([]);
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [flockName, setFlockName] = useState('');
+  const [breed, setBreed] = useState('');
+  const [initialHens, setInitialHens] = useState('');
+  const [placedDate, setPlacedDate] = useState(today());
+  const [eventType, setEventType] = useState('mortality');
+  const [eventCount, setEventCount] = useState('');
+  const [eventDate, setEventDate] = useState(today());
+  const [eventNote, setEventNote] = useState('');
+
+  const loadFlocks = useCallback(() => {
+    Promise.all([getFlocks(db, today()), getFlockLayRateSummaries(db, today())])
+      .then(([flockList, rateSummaries]) => {
+        setFlocks(flockList);
+        setSummaries(rateSummaries);
+      })
+      .catch(error => {
+        console.log('Error loading flocks: ', error);
+      });
+  }, []);
+
+  const loadFlockDetails = (flockId) => {
+    Promise.all([
+      getFlockEvents(db, flockId),
+      getLayRates(db, flockId, { from: daysAgo(LAY_RATE_CHART_DAYS), to: today() }),
+    ])
+      .then(([flockEvents, rates]) => {
+        setEvents(flockEvents);
+        setLayRates(rates);
+      })
+      .catch(error => {
+        console.log('Error loading flock: ', error);
+      });
+  };
+
+  useEffect(() => {
+    loadFlocks();
+  }, [loadFlocks]);
+
+  const toggleFlock = (flockId) => {
+    if (selectedFlockId === flockId) {
+      setSelectedFlockId(null);
+      return;
+    }
+    setSelectedFlockId(flockId);
+    setEventCount('');
+    setEventDate(today());
+    setEventNote('');
+    loadFlockDetails(flockId);
+  };
+
+  const saveFlock = () => {
+    const { errors, values } = validateFlock({ name: flockName, breed, initialHens, placedDate });
+    if (errors.length > 0) {
+      Alert.alert('Error', errors.join('\n'));
+      return;
+    }
+    if (values.placedDate !== today() && !can('editPastDays')) {
+      Alert.alert('Not Allowed', permissionDenied('editPastDays'));
+      return;
+    }
+
+    addFlock(db, values)
+      .then(() => {
+        setFlockName('');
+        setBreed('');
+        setInitialHens('');
+        setShowAddForm(false);
+        loadFlocks();
+        onFlocksChanged();
+      })
+      .catch(error => {
+        console.log('Error adding flock: ', error);
+        Alert.alert('Error', 'Failed to add flock: ' + error.message);
+      });
+  };
+
+  const saveEvent = (flock) => {
+    const { errors, values } = validateFlockEvent({ date: eventDate, type: eventType, count: eventCount, note: eventNote });
+    if (errors.length > 0) {
+      Alert.alert('Error', errors.join('\n'));
+      return;
+    }
+    if (values.date !== today() && !can('editPastDays')) {
+      Alert.alert('Not Allowed', permissionDenied('editPastDays'));
+      return;
+    }
+
+    addFlockEvent(db, flock.id, values)
+      .then(() => {
+        setEventCount('');
+        setEventNote('');
+        loadFlocks();
+        loadFlockDetails(flock.id);
+      })
+      .catch(error => {
+        console.log('Error recording flock event: ', error);
+        Alert.alert('Error', error.message);
+      });
+  };
+
+  const renderEventForm = (flock) => (
+    <View style={styles.form}>
+      <Text style={styles.formTitle}>Record Birds Lost or Added</Text>
+      <View style={styles.chipRow}>
+        {FLOCK_EVENT_TYPES.map(type => (
+          <TouchableOpacity
+            key={type.key}
+            style={[styles.chip, eventType === type.key && styles.selectedChip]}
+            onPress={() => setEventType(type.key)}
+          >
+            <Text style={[styles.chipText, eventType === type.key && styles.selectedChipText]}>{type.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <View style={styles.inputRow}>
+        <TextInput
+          style={styles.input}
+          value={eventCount}
+          onChangeText={setEventCount}
+          keyboardType="numeric"
+          placeholderTextColor={colors.muted}
+          placeholder="Birds"
+        />
+        <TextInput
+          style={styles.input}
+          value={eventDate}
+          onChangeText={setEventDate}
+          placeholderTextColor={colors.muted}
+          placeholder="YYYY-MM-DD"
+        />
+      </View>
+      <TextInput
+        style={styles.input}
+        value={eventNote}
+        onChangeText={setEventNote}
+        placeholderTextColor={colors.muted}
+        placeholder="Note (optional)"
+      />
+      <TouchableOpacity style={styles.saveButton} onPress={() => saveEvent(flock)}>
+        <Text style={styles.buttonText}>Save</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderFlock = (flock) => {
+    const summary = summaries.get(flock.id) || { recentRate: null, previousRate: null, dropping: false };
+    return (
+      <View key={flock.id} style={[styles.flockItem, summary.dropping && styles.droppingItem]}>
+        <TouchableOpacity style={styles.flockHeader} onPress={() => toggleFlock(flock.id)}>
+          <View style={styles.flockInfo}>
+            <Text style={styles.flockName}>{flock.name}</Text>
+            <Text style={styles.meta}>
+              {flock.breed ? `${flock.breed} · ` : ''}placed {format.date(flock.placed_date)} with {flock.initial_hens}
+            </Text>
+            <Text style={styles.meta}>{flock.mortality} died · {flock.culls} culled</Text>
+          </View>
+          <View style={styles.rateColumn}>
+            <Text style={styles.hens}>{flock.hens} hens</Text>
+            <Text style={[styles.rate, summary.dropping && styles.droppingText]}>
+              {formatRate(summary.recentRate)}
+            </Text>
+            <Text style={styles.meta}>was {formatRate(summary.previousRate)}</Text>
+          </View>
+        </TouchableOpacity>
+        {summary.dropping && (
+          <Text style={styles.droppingText}>
+            ⚠️ Lay rate fell {(summary.previousRate - summary.recentRate).toFixed(1)} points this week
+          </Text>
+        )}
+
+        {selectedFlockId === flock.id && (
+          <View style={styles.details}>
+            <TrendChart
+              title={`Lay Rate, Last ${LAY_RATE_CHART_DAYS} Days`}
+              rows={layRates}
+              series={LAY_RATE_SERIES}
+              format={value => `${value.toFixed(0)}%`}
+              formatDate={format.date}
+            />
+            {renderEventForm(flock)}
+            {events.map(event => (
+              <View key={event.id} style={styles.eventRow}>
+                <Text style={styles.eventText}>
+                  {format.date(event.date)} · {FLOCK_EVENT_TYPES.find(type => type.key === event.type).label} {event.count}
+                </Text>
+                {!!event.note && <Text style={styles.meta}>{event.note}</Text>}
+              </View>
+            ))}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <>
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Flocks</Text>
+        <Text style={styles.hint}>
+          Lay rate is eggs per 100 hens over the last {LAY_RATE_WINDOW_DAYS} days, compared with the{' '}
+          {LAY_RATE_WINDOW_DAYS} days before. A drop of {LAY_RATE_DROP_ALERT} points or more is flagged.
+          Assign production to a flock on the Daily Entry form.
+        </Text>
+        {flocks.length === 0 ? (
+          <Text style={styles.emptyText}>No flocks yet.</Text>
+        ) : (
+          flocks.map(renderFlock)
+        )}
+      </View>
+
+      {showAddForm ? (
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Add Flock</Text>
+          <View style={styles.form}>
+            <TextInput
+              style={styles.input}
+              value={flockName}
+              onChangeText={setFlockName}
+              placeholderTextColor={colors.muted}
+              placeholder="Name, e.g. House 1"
+            />
+            <TextInput
+              style={styles.input}
+              value={breed}
+              onChangeText={setBreed}
+              placeholderTextColor={colors.muted}
+              placeholder="Breed (optional)"
+            />
+            <View style={styles.inputRow}>
+              <TextInput
+                style={styles.input}
+                value={initialHens}
+                onChangeText={setInitialHens}
+                keyboardType="numeric"
+                placeholderTextColor={colors.muted}
+                placeholder="Hens placed"
+              />
+              <TextInput
+                style={styles.input}
+                value={placedDate}
+                onChangeText={setPlacedDate}
+                placeholderTextColor={colors.muted}
+                placeholder="YYYY-MM-DD"
+              />
+            </View>
+            <View style={styles.inputRow}>
+              <TouchableOpacity style={styles.cancelButton} onPress={() => setShowAddForm(false)}>
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.saveButton} onPress={saveFlock}>
+                <Text style={styles.buttonText}>Add Flock</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      ) : (
+        <TouchableOpacity style={styles.addButton} onPress={() => setShowAddForm(true)}>
+          <Text style={styles.buttonText}>🐔 Add Flock</Text>
+        </TouchableOpacity>
+      )}
+    </>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.background,
+    borderRadius: 10,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: colors.text,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.muted,
+    marginBottom: 12,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: colors.muted,
+    fontStyle: 'italic',
+    padding: 20,
+  },
+  flockItem: {
+    backgroundColor: colors.surface,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: colors.success,
+  },
+  droppingItem: {
+    borderLeftColor: colors.danger,
+  },
+  flockHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  flockInfo: {
+    flex: 1,
+  },
+  flockName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  meta: {
+    fontSize: 12,
+    color: colors.muted,
+  },
+  rateColumn: {
+    alignItems: 'flex-end',
+  },
+  hens: {
+    fontWeight: '600',
+    color: colors.text,
+  },
+  rate: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.primary,
+  },
+  droppingText: {
+    color: colors.danger,
+    fontWeight: 'bold',
+  },
+  details: {
+    marginTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: colors.divider,
+    paddingTop: 8,
+  },
+  form: {
+    gap: 8,
+    marginBottom: 8,
+  },
+  formTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textSecondary,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    gap: 6,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  selectedChip: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  selectedChipText: {
+    color: colors.onAccent,
+    fontWeight: 'bold',
+  },
+  inputRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 16,
+    backgroundColor: colors.input,
+    color: colors.text,
+  },
+  saveButton: {
+    flex: 1,
+    backgroundColor: colors.success,
+    padding: 12,
+    borderRadius: 6,
+  },
+  cancelButton: {
+    flex: 1,
+    padding: 12,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  cancelButtonText: {
+    textAlign: 'center',
+    fontWeight: 'bold',
+    color: colors.textSecondary,
+  },
+  addButton: {
+    backgroundColor: colors.success,
+    padding: 14,
+    borderRadius: 6,
+    marginBottom: 16,
+  },
+  buttonText: {
+    color: colors.onAccent,
+    textAlign: 'center',
+    fontWeight: 'bold',
+  },
+  eventRow: {
+    paddingVertical: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  eventText: {
+    color: colors.text,
+  },
+});
+
+export default FlocksScreen;
@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { db } from '../db/database';
+import {
+  TRASH_RETENTION_DAYS,
+  getAuditLog,
+  getDeviceUser,
+  getTrash,
+  restoreBatch,
+  setDeviceUser,
+} from '../db/audit';
+import BackupCard from '../components/backup-card';
+import { useThemeColors, useThemedStyles } from '../hooks/use-theme-color';
+
+const ACTION_LABELS = { insert: 'Added', update: 'Changed', delete: 'Deleted' };
+
+// One-line summary of an audited row, e.g. "sales #4: 2026-05-01, 30 eggs"
+const describeEntry = (entry, format) => {
+  const row = JSON.parse(entry.new_value || entry.old_value || '{}');
+  const details = [
+    row.date ? format.date(row.date) : row.name,
+    row.quantity && `${row.quantity} eggs`,
+    row.amount && format.money(row.amount),
+  ]
+    .filter(Boolean)
+    .join(', ');
+  return `${entry.table_name.replace(/_/g, ' ')} #${entry.row_id}${details ? `: ${details}` : ''}`;
+};
+
+// `currentUser` is the signed-in profile; without profiles changes are
+// logged under the device user set here
+const HistoryScreen = ({ format, can, currentUser, onRestored }) => {
+  const styles = useThemedStyles(createStyles);
+  const colors = useThemeColors();
+  const [trash, setTrash] = useState([]);
+  const [auditLog, setAuditLog] = useState([]);
+  const [deviceUser, setDeviceUserName] = useState('');
+
+  const loadHistory = useCallback(() => {
+    Promise.all([getTrash(db), getAuditLog(db), getDeviceUser(db)])
+      .then(([trashed, entries, user]) => {
+        setTrash(trashed);
+        setAuditLog(entries);
+        setDeviceUserName(user);
+      })
+      .catch(error => {
+        console.log('Error loading history: ', error);
+      });
+  }, []);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const saveDeviceUser = () => {
+    setDeviceUser(db, deviceUser)
+      .then(loadHistory)
+      .catch(error => {
+        console.log('Error saving device user: ', error);
+      });
+  };
+
+  const restore = (batch) => {
+    db.withTransactionAsync(() => restoreBatch(db, batch.id))
+      .then(() => {
+        Alert.alert('Success', `Restored "${batch.label}".`);
+        loadHistory();
+        onRestored();
+      })
+      .catch(error => {
+        console.log('Error restoring: ', error);
+        Alert.alert('Error', error.message);
+      });
+  };
+
+  const onBackupRestored = () => {
+    loadHistory();
+    onRestored();
+  };
+
+  return (
+    <>
+      <BackupCard can={can} onRestored={onBackupRestored} />
+
+      {!currentUser && (
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Device User</Text>
+          <Text style={styles.hint}>Changes made on this device are logged under this name.</Text>
+          <View style={styles.userRow}>
+            <TextInput
+              style={styles.input}
+              value={deviceUser}
+              onChangeText={setDeviceUserName}
+              onSubmitEditing={saveDeviceUser}
+              placeholderTextColor={colors.muted}
+              placeholder="Your name"
+            />
+            <TouchableOpacity style={styles.saveButton} onPress={saveDeviceUser}>
+              <Text style={styles.buttonText}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Trash</Text>
+        <Text style={styles.hint}>Deleted records can be restored for {TRASH_RETENTION_DAYS} days.</Text>
+        {trash.length === 0 ? (
+          <Text style={styles.emptyText}>The trash is empty.</Text>
+        ) : (
+          trash.map(batch => (
+            <View key={batch.id} style={styles.trashItem}>
+              <View style={styles.trashInfo}>
+                <Text style={styles.trashLabel}>{batch.label}</Text>
+                <Text style={styles.meta}>
+                  {format.date(batch.created_at)} · {batch.user_name} · {batch.deleted_count} row(s)
+                </Text>
+              </View>
+              {can('deleteRecords') && (
+                <TouchableOpacity style={styles.restoreButton} onPress={() => restore(batch)}>
+                  <Text style={styles.buttonText}>Restore</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          ))
+        )}
+      </View>
+
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Recent Changes</Text>
+        {auditLog.length === 0 ? (
+          <Text style={styles.emptyText}>No changes logged yet.</Text>
+        ) : (
+          auditLog.map(entry => (
+            <View key={entry.id} style={styles.logRow}>
+              <Text style={styles.logText}>
+                <Text style={styles.logAction}>{ACTION_LABELS[entry.action]}</Text> {describeEntry(entry, format)}
+              </Text>
+              <Text style={styles.meta}>
+                {format.date(entry.created_at)} · {entry.user_name}
+                {entry.batch_label ? ` · ${entry.batch_label}` : ''}
+              </Text>
+            </View>
+          ))
+        )}
+      </View>
+    </>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.background,
+    borderRadius: 10,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 4,
+    color: colors.text,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.muted,
+    marginBottom: 12,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: colors.muted,
+    fontStyle: 'italic',
+    padding: 20,
+  },
+  userRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 16,
+    backgroundColor: colors.input,
+    color: colors.text,
+  },
+  saveButton: {
+    backgroundColor: colors.success,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderRadius: 6,
+  },
+  buttonText: {
+    color: colors.onAccent,
+    textAlign: 'center',
+    fontWeight: 'bold',
+  },
+  trashItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: colors.danger,
+  },
+  trashInfo: {
+    flex: 1,
+  },
+  trashLabel: {
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  restoreButton: {
+    backgroundColor: colors.primary,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+    marginLeft: 8,
+  },
+  logRow: {
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  logText: {
+    color: colors.text,
+  },
+  logAction: {
+    fontWeight: 'bold',
+  },
+  meta: {
+    fontSize: 12,
+    color: colors.muted,
+  },
+});
+
+export default HistoryScreen;
@@ -0,0 +1,407 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+} from 'react-native';
+import { db } from '../db/database';
+import { isValidDate } from '../db/accounting';
+import { GROUPINGS, PERIODS, REPORT_METRICS, getPeriodReport, periodRange } from '../db/reports';
+import { MOVING_AVERAGE_DAYS, getTrendData } from '../db/trends';
+import { getProfitAndLoss } from '../db/expenses';
+import TrendChart from '../components/trend-chart';
+import { useThemeColors, useThemedStyles } from '../hooks/use-theme-color';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// The breakdown table only has room for the main columns
+const BREAKDOWN_METRICS = REPORT_METRICS.filter(metric =>
+  ['producedEggs', 'breakages', 'soldEggs', 'cashSales'].includes(metric.key)
+);
+
+const formatValue = (metric, value, format) => (metric.money ? format.money(value) : String(value));
+
+const formatChange = (row, format) => {
+  if (row.change === 0) {
+    return '–';
+  }
+  const sign = row.change > 0 ? '+' : '−';
+  const amount = formatValue(row, Math.abs(row.change), format);
+  return row.percent === null ? `${sign}${amount}` : `${sign}${amount} (${Math.abs(row.percent).toFixed(0)}%)`;
+};
+
+// `format` labels the y axis, given the value and the app's formatter
+const TREND_CHARTS = [
+  {
+    title: 'Eggs Produced',
+    series: [
+      { key: 'produced_eggs', label: 'Produced', color: 'chartVolume', type: 'bar' },
+      { key: 'produced_average', label: `${MOVING_AVERAGE_DAYS}-day average`, color: 'chartAverage', type: 'line' },
+    ],
+    format: value => value.toFixed(0),
+  },
+  {
+    title: 'Sold and Unsold Stock',
+    series: [
+      { key: 'sold_eggs', label: 'Sold', color: 'success', type: 'bar' },
+      { key: 'closing_stock', label: 'Unsold (closing stock)', color: 'warning', type: 'line' },
+    ],
+    format: value => value.toFixed(0),
+  },
+  {
+    title: 'Breakage Rate',
+    series: [{ key: 'breakage_rate', label: '% of eggs produced', color: 'danger', type: 'line' }],
+    format: value => `${value.toFixed(0)}%`,
+  },
+  {
+    title: 'Revenue',
+    series: [{ key: 'revenue', label: 'Cash and credit sales', color: 'chartRevenue', type: 'bar' }],
+    format: (value, format) => format.money(value, 0),
+  },
+];
+
+const isImprovement = (row) => (row.lowerIsBetter ? row.change < 0 : row.change > 0);
+
+const ReportsScreen = ({ format }) => {
+  const styles = useThemedStyles(createStyles);
+  const colors = useThemeColors();
+  const [periodKey, setPeriodKey] = useState('thisMonth');
+  const [customFrom, setCustomFrom] = useState('');
+  const [customTo, setCustomTo] = useState('');
+  const [groupBy, setGroupBy] = useState('day');
+  const [report, setReport] = useState(null);
+  const [trendRows, setTrendRows] = useState([]);
+  const [profitAndLoss, setProfitAndLoss] = useState(null);
+  const [rangeError, setRangeError] = useState('');
+
+  useEffect(() => {
+    let range;
+    if (periodKey === 'custom') {
+      const from = customFrom.trim();
+      const to = customTo.trim();
+      if (!isValidDate(from) || !isValidDate(to)) {
+        setRangeError('Enter both dates as YYYY-MM-DD');
+        setReport(null);
+        return;
+      }
+      if (from > to) {
+        setRangeError('The start date must not be after the end date');
+        setReport(null);
+        return;
+      }
+      range = { from, to };
+    } else {
+      range = periodRange(periodKey, today());
+    }
+
+    setRangeError('');
+    Promise.all([getPeriodReport(db, range, groupBy), getTrendData(db, range), getProfitAndLoss(db, range)])
+      .then(([periodReport, trends, pnl]) => {
+        setReport(periodReport);
+        setTrendRows(trends);
+        setProfitAndLoss(pnl);
+      })
+      .catch(error => {
+        console.log('Error loading report: ', error);
+      });
+  }, [periodKey, customFrom, customTo, groupBy]);
+
+  // Per-egg amounts are small, so show one more decimal place
+  const perEgg = (amount) => format.money(amount, format.locale.decimalPlaces + 1);
+
+  return (
+    <>
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Period</Text>
+        <View style={styles.chipRow}>
+          {PERIODS.map(period => (
+            <TouchableOpacity
+              key={period.key}
+              style={[styles.chip, periodKey === period.key && styles.selectedChip]}
+              onPress={() => setPeriodKey(period.key)}
+            >
+              <Text style={[styles.chipText, periodKey === period.key && styles.selectedChipText]}>
+                {period.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {periodKey === 'custom' && (
+          <View style={styles.dateRow}>
+            <TextInput
+              style={styles.input}
+              value={customFrom}
+              onChangeText={setCustomFrom}
+              placeholderTextColor={colors.muted}
+              placeholder="From YYYY-MM-DD"
+            />
+            <TextInput
+              style={styles.input}
+              value={customTo}
+              onChangeText={setCustomTo}
+              placeholderTextColor={colors.muted}
+              placeholder="To YYYY-MM-DD"
+            />
+          </View>
+        )}
+        {!!rangeError && <Text style={styles.errorText}>{rangeError}</Text>}
+        {report && (
+          <Text style={styles.hint}>
+            {format.date(report.range.from)} to {format.date(report.range.to)}, compared with{' '}
+            {format.date(report.previous.from)} to {format.date(report.previous.to)}
+          </Text>
+        )}
+      </View>
+
+      {report && (
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Totals</Text>
+          <View style={styles.tableRow}>
+            <Text style={[styles.metricCell, styles.headerCell]}> </Text>
+            <Text style={[styles.valueCell, styles.headerCell]}>This period</Text>
+            <Text style={[styles.valueCell, styles.headerCell]}>Previous</Text>
+            <Text style={[styles.valueCell, styles.headerCell]}>Change</Text>
+          </View>
+          {report.comparison.map(row => (
+            <View key={row.key} style={styles.tableRow}>
+              <Text style={styles.metricCell}>{row.label}</Text>
+              <Text style={[styles.valueCell, styles.boldCell]}>{formatValue(row, row.value, format)}</Text>
+              <Text style={styles.valueCell}>{formatValue(row, row.previous, format)}</Text>
+              <Text
+                style={[
+                  styles.valueCell,
+                  row.change !== 0 && (isImprovement(row) ? styles.betterCell : styles.worseCell),
+                ]}
+              >
+                {formatChange(row, format)}
+              </Text>
+            </View>
+          ))}
+          <Text style={styles.hint}>{report.totals.daysRecorded} day(s) recorded in this period.</Text>
+        </View>
+      )}
+
+      {profitAndLoss && (
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Profit & Loss</Text>
+          <View style={styles.pnlRow}>
+            <Text style={styles.pnlLabel}>Cash sales</Text>
+            <Text style={styles.pnlValue}>{format.money(profitAndLoss.cashSales)}</Text>
+          </View>
+          <View style={styles.pnlRow}>
+            <Text style={styles.pnlLabel}>Credit sales</Text>
+            <Text style={styles.pnlValue}>{format.money(profitAndLoss.creditSales)}</Text>
+          </View>
+          <View style={[styles.pnlRow, styles.pnlTotalRow]}>
+            <Text style={styles.pnlTotalLabel}>Revenue</Text>
+            <Text style={styles.pnlTotalLabel}>{format.money(profitAndLoss.revenue)}</Text>
+          </View>
+          {profitAndLoss.expensesByCategory.map(row => (
+            <View key={row.category} style={styles.pnlRow}>
+              <Text style={styles.pnlLabel}>{row.label}</Text>
+              <Text style={styles.pnlValue}>−{format.money(row.amount)}</Text>
+            </View>
+          ))}
+          <View style={[styles.pnlRow, styles.pnlTotalRow]}>
+            <Text style={styles.pnlTotalLabel}>Expenses</Text>
+            <Text style={styles.pnlTotalLabel}>−{format.money(profitAndLoss.totalExpenses)}</Text>
+          </View>
+          <View style={[styles.pnlRow, styles.pnlTotalRow]}>
+            <Text style={styles.pnlTotalLabel}>{profitAndLoss.profit < 0 ? 'Loss' : 'Profit'}</Text>
+            <Text style={[styles.pnlTotalLabel, profitAndLoss.profit < 0 ? styles.worseCell : styles.betterCell]}>
+              {format.money(Math.abs(profitAndLoss.profit))}
+            </Text>
+          </View>
+          <Text style={styles.hint}>
+            Cost per egg produced:{' '}
+            {profitAndLoss.costPerEgg === null ? '–' : perEgg(profitAndLoss.costPerEgg)}
+            {' · '}Revenue per egg sold:{' '}
+            {profitAndLoss.revenuePerEggSold === null ? '–' : perEgg(profitAndLoss.revenuePerEggSold)}
+          </Text>
+        </View>
+      )}
+
+      {report && (
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Breakdown</Text>
+          <View style={styles.chipRow}>
+            {GROUPINGS.map(grouping => (
+              <TouchableOpacity
+                key={grouping.key}
+                style={[styles.chip, groupBy === grouping.key && styles.selectedChip]}
+                onPress={() => setGroupBy(grouping.key)}
+              >
+                <Text style={[styles.chipText, groupBy === grouping.key && styles.selectedChipText]}>
+                  {grouping.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {report.breakdown.length === 0 ? (
+            <Text style={styles.emptyText}>No records in this period.</Text>
+          ) : (
+            <>
+              <View style={styles.tableRow}>
+                <Text style={[styles.metricCell, styles.headerCell]}>
+                  {groupBy === 'week' ? 'Week of' : GROUPINGS.find(grouping => grouping.key === groupBy).label}
+                </Text>
+                {BREAKDOWN_METRICS.map(metric => (
+                  <Text key={metric.key} style={[styles.valueCell, styles.headerCell]}>{metric.label}</Text>
+                ))}
+              </View>
+              {report.breakdown.map(row => (
+                <View key={row.period} style={styles.tableRow}>
+                  <Text style={styles.metricCell}>{format.date(row.period)}</Text>
+                  {BREAKDOWN_METRICS.map(metric => (
+                    <Text key={metric.key} style={styles.valueCell}>{formatValue(metric, row[metric.key] || 0, format)}</Text>
+                  ))}
+                </View>
+              ))}
+            </>
+          )}
+        </View>
+      )}
+
+      {report && (
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Trends</Text>
+          {TREND_CHARTS.map(chart => (
+            <TrendChart
+              key={chart.title}
+              rows={trendRows}
+              {...chart}
+              format={value => chart.format(value, format)}
+              formatDate={format.date}
+            />
+          ))}
+        </View>
+      )}
+    </>
+  );
+};
+
+const createStyles = (colors) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.background,
+    borderRadius: 10,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+  },
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 12,
+    color: colors.text,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.muted,
+    marginTop: 8,
+  },
+  errorText: {
+    color: colors.dangerText,
+    fontSize: 12,
+    marginTop: 8,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: colors.muted,
+    fontStyle: 'italic',
+    padding: 20,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginBottom: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  selectedChip: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  selectedChipText: {
+    color: colors.onAccent,
+    fontWeight: 'bold',
+  },
+  dateRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 4,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 6,
+    padding: 10,
+    fontSize: 16,
+    backgroundColor: colors.input,
+    color: colors.text,
+  },
+  tableRow: {
+    flexDirection: 'row',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  headerCell: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: colors.muted,
+  },
+  metricCell: {
+    flex: 1.3,
+    color: colors.text,
+  },
+  valueCell: {
+    flex: 1,
+    textAlign: 'right',
+    color: colors.text,
+  },
+  boldCell: {
+    fontWeight: 'bold',
+  },
+  pnlRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  pnlTotalRow: {
+    borderTopWidth: 1,
+    borderTopColor: colors.divider,
+    marginBottom: 6,
+  },
+  pnlLabel: {
+    color: colors.textSecondary,
+  },
+  pnlValue: {
+    color: colors.text,
+  },
+  pnlTotalLabel: {
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  betterCell: {
+    color: colors.success,
+  },
+  worseCell: {
+    color: colors.danger,
+  },
+});
+
+export default ReportsScreen;
@@ -0,0 +1,32 @@
+import React from 'react';
+import AppearanceCard from '../components/appearance-card';
+import LocaleCard from '../components/locale-card';
+import PackUnitsCard from '../components/pack-units-card';
+import GradesCard from '../components/grades-card';
+import PriceListsCard from '../components/price-lists-card';
+import SyncCard from '../components/sync-card';
+import UsersCard from '../components/users-card';
+
+const SettingsScreen = ({
+  format,
+  can,
+  users,
+  currentUser,
+  onUsersChanged,
+  onLocaleChanged,
+  onPackUnitsChanged,
+  onGradesChanged,
+  onSynced,
+}) => (
+  <>
+    {can('manageUsers') && <UsersCard users={users} currentUser={currentUser} onChanged={onUsersChanged} />}
+    <AppearanceCard />
+    <LocaleCard locale={format.locale} onSaved={onLocaleChanged} />
+    <PriceListsCard format={format} can={can} />
+    <PackUnitsCard format={format} can={can} onChanged={onPackUnitsChanged} />
+    <GradesCard format={format} can={can} onChanged={onGradesChanged} />
+    {can('exportData') && <SyncCard format={format} onSynced={onSynced} />}
+  </>
+);
+
+export default SettingsScreen;
@@ -0,0 +1,17 @@
+// Self-hosted sync server: `npm run sync-server`.
+//
+//   PORT             port to listen on (default 8787)
+//   SYNC_DATA_FILE   where changes are kept (default server/sync-data.jsonl)
+//   SYNC_TOKEN       if set, devices must use this token
+//
+// Enter http://<this machine>:<port> as the sync server in the app's settings.
+
+const path = require('path');
+const { createSyncServer } = require('./sync-server');
+
+const port = Number(process.env.PORT) || 8787;
+const dataFile = process.env.SYNC_DATA_FILE || path.join(__dirname, 'sync-data.jsonl');
+
+createSyncServer({ dataFile, token: process.env.SYNC_TOKEN }).listen(port, () => {
+  console.log(`Sync server listening on port ${port}, keeping changes in ${dataFile}`);
+});
@@ -0,0 +1,188 @@
+// Reference sync server for the app's multi-device sync (see db/sync.js).
+// It keeps an ordered log of the changes devices push and hands each device
+// the changes the others pushed since it last asked. Resolving conflicts is
+// left to the devices, so the server never looks inside a change.
+//
+// The log is held in memory and appended to `dataFile` (one JSON change per
+// line) so it survives a restart.
+
+const http = require('http');
+const fs = require('fs');
+
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const MAX_PAGE = 1000;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const loadLog = (dataFile) => {
+  if (!dataFile || !fs.existsSync(dataFile)) {
+    return [];
+  }
+  return fs.readFileSync(dataFile, 'utf8')
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => JSON.parse(line));
+};
+
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+// The reason a pushed change is malformed, or null
+const changeProblem = (change) => {
+  if (!change || typeof change !== 'object') {
+    return 'is not an object';
+  }
+  if (typeof change.table !== 'string' || change.table === '') {
+    return 'has no table';
+  }
+  if (typeof change.syncId !== 'string' || change.syncId === '') {
+    return 'has no syncId';
+  }
+  if (!['upsert', 'delete'].includes(change.op)) {
+    return 'has an op other than upsert or delete';
+  }
+  if (!isTimestamp(change.changedAt)) {
+    return 'has no valid changedAt';
+  }
+  if (change.op === 'upsert' && (!change.data || typeof change.data !== 'object')) {
+    return 'has no data';
+  }
+  return null;
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'The changes are too large to send at once'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch {
+        reject(new HttpError(400, 'The request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+// Returns an http.Server; call listen() on it. With a `token`, requests must
+// send "Authorization: Bearer <token>".
+const createSyncServer = ({ dataFile, token } = {}) => {
+  const log = loadLog(dataFile);
+
+  const lastSeq = () => (log.length > 0 ? log[log.length - 1].seq : 0);
+
+  // Changes after `since` from other devices. lastSeq moves past every
+  // change looked at, so a device does not scan its own changes again.
+  const getChanges = (query) => {
+    const since = Number(query.get('since')) || 0;
+    const device = query.get('device') || '';
+    const limit = Math.min(Number(query.get('limit')) || 500, MAX_PAGE);
+
+    const changes = [];
+    let seq = since;
+    for (const change of log) {
+      if (change.seq <= since) {
+        continue;
+      }
+      if (changes.length === limit) {
+        return { changes, lastSeq: seq, hasMore: true };
+      }
+      seq = change.seq;
+      if (change.deviceId !== device) {
+        changes.push(change);
+      }
+    }
+    return { changes, lastSeq: Math.max(seq, since), hasMore: false };
+  };
+
+  const addChanges = (body) => {
+    if (typeof body.deviceId !== 'string' || body.deviceId === '') {
+      throw new HttpError(400, 'deviceId is required');
+    }
+    if (!Array.isArray(body.changes)) {
+      throw new HttpError(400, 'changes must be a list');
+    }
+    body.changes.forEach((change, index) => {
+      const problem = changeProblem(change);
+      if (problem) {
+        throw new HttpError(400, `Change ${index + 1} ${problem}`);
+      }
+    });
+
+    const received = new Date().toISOString();
+    const added = body.changes.map((change, index) => ({
+      seq: lastSeq() + index + 1,
+      deviceId: body.deviceId,
+      table: change.table,
+      syncId: change.syncId,
+      op: change.op,
+      changedAt: change.changedAt,
+      data: change.op === 'upsert' ? change.data : null,
+      receivedAt: received,
+    }));
+    if (dataFile && added.length > 0) {
+      fs.appendFileSync(dataFile, added.map(change => `${JSON.stringify(change)}\n`).join(''));
+    }
+    log.push(...added);
+    return { accepted: added.length, lastSeq: lastSeq() };
+  };
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+      send(res, 204);
+      return;
+    }
+    if (url.pathname === '/health' && req.method === 'GET') {
+      send(res, 200, { ok: true, lastSeq: lastSeq() });
+      return;
+    }
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      send(res, 401, { error: 'The sync token is missing or wrong' });
+      return;
+    }
+
+    const handle = url.pathname !== '/sync/changes'
+      ? Promise.reject(new HttpError(404, 'Not found'))
+      : req.method === 'GET'
+        ? Promise.resolve(getChanges(url.searchParams))
+        : req.method === 'POST'
+          ? readBody(req).then(addChanges)
+          : Promise.reject(new HttpError(405, 'Method not allowed'));
+
+    handle
+      .then(body => send(res, 200, body))
+      .catch(error => {
+        if (!(error instanceof HttpError)) {
+          console.log('Error handling sync request: ', error);
+        }
+        send(res, error.status || 500, { error: error.status ? error.message : 'The sync server failed' });
+      });
+  });
+};
+
+module.exports = { createSyncServer };
@@ -0,0 +1,39 @@
+import { Directory, File, Paths } from 'expo-file-system';
+
+// Backups the app takes by itself, kept as files in the app's document
+// directory. Only the newest MAX_STORED_BACKUPS are kept.
+const MAX_STORED_BACKUPS = 5;
+
+const backupDirectory = () => new Directory(Paths.document, 'backups');
+
+// Resolves with the stored backup names, newest first
+export const listStoredBackups = () => {
+  const directory = backupDirectory();
+  if (!directory.exists) {
+    return Promise.resolve([]);
+  }
+  return Promise.resolve(
+    directory.list()
+      .filter(entry => entry instanceof File && entry.name.endsWith('.json'))
+      .map(entry => entry.name)
+      .sort()
+      .reverse()
+  );
+};
+
+export const storeBackup = (fileName, contents) => {
+  const directory = backupDirectory();
+  if (!directory.exists) {
+    directory.create({ intermediates: true });
+  }
+  const file = new File(directory, fileName);
+  file.create({ overwrite: true });
+  file.write(contents);
+
+  return listStoredBackups().then(names => {
+    names.slice(MAX_STORED_BACKUPS).forEach(name => new File(directory, name).delete());
+    return fileName;
+  });
+};
+
+export const readStoredBackup = (fileName) => new File(backupDirectory(), fileName).text();
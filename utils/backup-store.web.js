@@ -0,0 +1,30 @@
+// On the web the app has no document directory, so stored backups live in
+// localStorage. Only the newest MAX_STORED_BACKUPS are kept.
+const MAX_STORED_BACKUPS = 5;
+const KEY_PREFIX = 'egg-inventory-backup:';
+
+// Resolves with the stored backup names, newest first
+export const listStoredBackups = () =>
+  Promise.resolve(
+    Object.keys(window.localStorage)
+      .filter(key => key.startsWith(KEY_PREFIX))
+      .map(key => key.slice(KEY_PREFIX.length))
+      .sort()
+      .reverse()
+  );
+
+export const storeBackup = (fileName, contents) => {
+  window.localStorage.setItem(KEY_PREFIX + fileName, contents);
+
+  return listStoredBackups().then(names => {
+    names.slice(MAX_STORED_BACKUPS).forEach(name => window.localStorage.removeItem(KEY_PREFIX + name));
+    return fileName;
+  });
+};
+
+export const readStoredBackup = (fileName) => {
+  const contents = window.localStorage.getItem(KEY_PREFIX + fileName);
+  return contents === null
+    ? Promise.reject(new Error(`Backup ${fileName} was not found.`))
+    : Promise.resolve(contents);
+};
@@ -0,0 +1,71 @@
+// CSV encoding per RFC 4180: fields containing a comma, quote, CR or LF are
+// wrapped in double quotes, with embedded quotes doubled. Lines end in CRLF.
+
+const NEEDS_QUOTING = /[",\r\n]/;
+
+export const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return NEEDS_QUOTING.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `rows` are arrays of values, in the same order as `headers`
+export const toCsv = (headers, rows) =>
+  [headers, ...rows]
+    .map(row => row.map(escapeCsvValue).join(','))
+    .join('\r\n') + '\r\n';
+
+// Parse RFC 4180 CSV text into an array of rows (arrays of strings).
+// Accepts CRLF or LF line endings and a leading byte order mark; blank lines
+// are dropped.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field at end of file');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
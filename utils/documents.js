@@ -0,0 +1,114 @@
+// HTML for printed invoices and statements (see db/statements for the
+// data). Plain HTML with inline styles, so it prints and converts to PDF the
+// same on every platform.
+
+const BUSINESS_NAME = 'Egg Inventory System';
+
+export const escapeHtml = (value) =>
+  String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const STYLES = `
+  body { font-family: -apple-system, Helvetica, Arial, sans-serif; color: #333; margin: 32px; }
+  h1 { font-size: 24px; margin: 0 0 4px; }
+  .muted { color: #666; font-size: 13px; }
+  .header { display: flex; justify-content: space-between; margin-bottom: 24px; }
+  table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+  th { text-align: left; font-size: 12px; color: #666; border-bottom: 2px solid #ddd; padding: 6px; }
+  td { border-bottom: 1px solid #eee; padding: 6px; font-size: 14px; }
+  .number { text-align: right; }
+  .total td { font-weight: bold; border-top: 2px solid #ddd; border-bottom: none; }
+`;
+
+const page = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+const header = (title, details) => `
+<div class="header">
+  <div>
+    <h1>${escapeHtml(title)}</h1>
+    <div class="muted">${escapeHtml(BUSINESS_NAME)}</div>
+  </div>
+  <div class="muted" style="text-align: right;">${details.map(escapeHtml).join('<br>')}</div>
+</div>`;
+
+const describeSale = (sale) => {
+  const packs = sale.pack_size === 1
+    ? `${sale.quantity} eggs`
+    : `${sale.pack_count} × ${sale.pack_name} (${sale.quantity} eggs)`;
+  return sale.grade_name ? `${packs}, ${sale.grade_name}` : packs;
+};
+
+// Invoice for one sale, from getInvoice, with amounts and dates shown
+// through `format` (utils/format)
+export const invoiceHtml = (invoice, format) => {
+  const { money } = format;
+  const unit = invoice.pack_size === 1 ? 'egg' : invoice.pack_name.toLowerCase();
+  const discount = invoice.discount_percent > 0
+    ? `<tr><td colspan="3" class="muted">Includes ${invoice.discount_percent}% quantity discount on the list price of ${money(invoice.list_price)} per ${escapeHtml(unit)}</td></tr>`
+    : '';
+  const payment = invoice.payment_type === 'credit'
+    ? `Charged to account.${invoice.balance !== null ? ` Account balance today: <b>${money(invoice.balance)}</b>` : ''}`
+    : 'Paid in cash. Thank you.';
+
+  return page(`Invoice ${invoice.number}`, `
+${header('Invoice', [invoice.number, `${format.date(invoice.date)}${invoice.time ? ` ${invoice.time}` : ''}`])}
+<p><b>Bill to:</b> ${escapeHtml(invoice.customer_name || 'Cash customer')}</p>
+<table>
+  <tr><th>Item</th><th class="number">Price per ${escapeHtml(unit)}</th><th class="number">Amount</th></tr>
+  <tr>
+    <td>${escapeHtml(describeSale(invoice))}${invoice.note ? `<br><span class="muted">${escapeHtml(invoice.note)}</span>` : ''}</td>
+    <td class="number">${money(invoice.pack_price)}</td>
+    <td class="number">${money(invoice.total)}</td>
+  </tr>
+  ${discount}
+  <tr class="total"><td colspan="2">Total</td><td class="number">${money(invoice.total)}</td></tr>
+</table>
+<p>${payment}</p>`);
+};
+
+// Monthly account statement, from getStatement
+export const statementHtml = (statement, format) => {
+  const { money } = format;
+  const rows = statement.lines.map(line => {
+    const description = line.type === 'payment'
+      ? 'Payment received'
+      : `${line.sale_id ? 'Sale' : 'Credit'}${line.eggs > 0 ? `: ${line.eggs} eggs` : ''}`;
+    return `
+  <tr>
+    <td>${escapeHtml(format.date(line.date))}</td>
+    <td>${escapeHtml(description)}${line.note ? `<br><span class="muted">${escapeHtml(line.note)}</span>` : ''}</td>
+    <td class="number">${line.type === 'credit' ? money(line.amount) : ''}</td>
+    <td class="number">${line.type === 'payment' ? money(line.amount) : ''}</td>
+    <td class="number">${money(line.balance)}</td>
+  </tr>`;
+  }).join('');
+
+  return page(`Statement ${statement.customer.name} ${statement.month}`, `
+${header('Statement', [statement.customer.name, `${format.date(statement.from)} to ${format.date(statement.to)}`])}
+<table>
+  <tr><th>Date</th><th>Details</th><th class="number">Purchases</th><th class="number">Payments</th><th class="number">Balance</th></tr>
+  <tr><td>${escapeHtml(format.date(statement.from))}</td><td>Balance brought forward</td><td></td><td></td><td class="number">${money(statement.openingBalance)}</td></tr>
+  ${rows || '<tr><td colspan="5" class="muted">No purchases or payments this month.</td></tr>'}
+  <tr class="total">
+    <td colspan="2">Closing balance</td>
+    <td class="number">${money(statement.purchases)}</td>
+    <td class="number">${money(statement.payments)}</td>
+    <td class="number">${money(statement.closingBalance)}</td>
+  </tr>
+</table>
+<p>${statement.closingBalance > 0 ? `Amount due: <b>${money(statement.closingBalance)}</b>` : 'Nothing is owed. Thank you.'}</p>`);
+};
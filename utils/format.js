@@ -0,0 +1,99 @@
+// Showing amounts and dates the way the farm's locale settings ask (see
+// db/settings). Dates are always stored as YYYY-MM-DD; only what is shown
+// changes.
+
+export const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'D MMM YYYY'];
+
+export const SYMBOL_POSITIONS = [
+  { key: 'before', label: 'Before the amount' },
+  { key: 'after', label: 'After the amount' },
+];
+
+export const DEFAULT_LOCALE = {
+  currencyCode: 'USD',
+  currencySymbol: '$',
+  symbolPosition: 'before',
+  decimalPlaces: 2,
+  dateFormat: 'YYYY-MM-DD',
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const groupThousands = (digits) => digits.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+
+// `amount` rounded to the locale's decimal places (or `decimals`), as a
+// plain number for files
+export const roundAmount = (amount, locale, decimals = locale.decimalPlaces) => {
+  const factor = 10 ** decimals;
+  return Math.round(amount * factor) / factor;
+};
+
+// e.g. "$1,234.50", "KSh 1,235" or "1,234.50 €". A symbol of more than one
+// character is set off by a space.
+export const formatMoney = (amount, locale, decimals = locale.decimalPlaces) => {
+  const [whole, fraction] = Math.abs(amount).toFixed(decimals).split('.');
+  const number = fraction ? `${groupThousands(whole)}.${fraction}` : groupThousands(whole);
+  const sign = amount < 0 && Number(number.replace(/,/g, '')) !== 0 ? '-' : '';
+  const symbol = locale.currencySymbol;
+  if (locale.symbolPosition === 'after') {
+    return `${sign}${number} ${symbol}`;
+  }
+  return `${sign}${symbol}${symbol.length > 1 ? ' ' : ''}${number}`;
+};
+
+// Show a stored YYYY-MM-DD date (or the date part of a timestamp) in the
+// locale's format. Anything else is returned as it is.
+export const formatDate = (date, locale) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(date || '');
+  if (!match) {
+    return date || '';
+  }
+  const [, year, month, day] = match;
+  const rest = date.slice(10);
+  switch (locale.dateFormat) {
+    case 'DD/MM/YYYY':
+      return `${day}/${month}/${year}${rest}`;
+    case 'MM/DD/YYYY':
+      return `${month}/${day}/${year}${rest}`;
+    case 'D MMM YYYY':
+      return `${Number(day)} ${MONTHS[Number(month) - 1]} ${year}${rest}`;
+    default:
+      return date;
+  }
+};
+
+// Read a date written in the locale's format back as YYYY-MM-DD. Dates
+// already in YYYY-MM-DD are accepted too.
+// Returns unreadable text as it is, for the caller's own validation to report.
+export const parseFormattedDate = (text, locale) => {
+  const value = (text || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+
+  const pad = (part) => String(part).padStart(2, '0');
+  let match;
+  switch (locale.dateFormat) {
+    case 'DD/MM/YYYY':
+      match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value);
+      return match ? `${match[3]}-${pad(match[2])}-${pad(match[1])}` : value;
+    case 'MM/DD/YYYY':
+      match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value);
+      return match ? `${match[3]}-${pad(match[1])}-${pad(match[2])}` : value;
+    case 'D MMM YYYY': {
+      match = /^(\d{1,2}) ([A-Za-z]{3}) (\d{4})$/.exec(value);
+      const month = match ? MONTHS.findIndex(name => name.toLowerCase() === match[2].toLowerCase()) : -1;
+      return month !== -1 ? `${match[3]}-${pad(month + 1)}-${pad(match[1])}` : value;
+    }
+    default:
+      return value;
+  }
+};
+
+// Formatting functions bound to one set of locale settings, for passing to
+// screens as `format`
+export const createFormatter = (locale) => ({
+  locale,
+  money: (amount, decimals) => formatMoney(amount, locale, decimals),
+  date: (date) => formatDate(date, locale),
+});
@@ -0,0 +1,14 @@
+import * as DocumentPicker from 'expo-document-picker';
+import { File } from 'expo-file-system';
+
+// Let the user choose a file and resolve with `{ name, text }`, or null if
+// they cancelled.
+export const pickTextFile = (mimeTypes) =>
+  DocumentPicker.getDocumentAsync({ type: mimeTypes, copyToCacheDirectory: true })
+    .then(result => {
+      if (result.canceled) {
+        return null;
+      }
+      const asset = result.assets[0];
+      return new File(asset.uri).text().then(text => ({ name: asset.name, text }));
+    });
@@ -0,0 +1,13 @@
+import * as DocumentPicker from 'expo-document-picker';
+
+// Let the user choose a file and resolve with `{ name, text }`, or null if
+// they cancelled.
+export const pickTextFile = (mimeTypes) =>
+  DocumentPicker.getDocumentAsync({ type: mimeTypes })
+    .then(result => {
+      if (result.canceled) {
+        return null;
+      }
+      const asset = result.assets[0];
+      return asset.file.text().then(text => ({ name: asset.name, text }));
+    });
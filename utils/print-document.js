@@ -0,0 +1,26 @@
+import { File, Paths } from 'expo-file-system';
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+
+// Open the system print dialog for an HTML document
+export const printDocument = (html) => Print.printAsync({ html });
+
+// Turn an HTML document into a PDF named `fileName` and open the share
+// sheet for it. Resolves with the PDF's URI.
+export const shareDocument = (html, fileName) =>
+  Print.printToFileAsync({ html }).then(({ uri }) => {
+    // printToFileAsync picks a random name; give the PDF a readable one
+    const file = new File(Paths.cache, fileName);
+    if (file.exists) {
+      file.delete();
+    }
+    new File(uri).move(file);
+
+    return Sharing.isAvailableAsync().then(available => {
+      if (!available) {
+        throw new Error(`Sharing is not available on this device. The PDF was saved to ${file.uri}`);
+      }
+      return Sharing.shareAsync(file.uri, { mimeType: 'application/pdf', UTI: 'com.adobe.pdf', dialogTitle: fileName })
+        .then(() => file.uri);
+    });
+  });
@@ -0,0 +1,30 @@
+// expo-print on the web only prints the app's own page, so print the
+// document from a hidden frame of its own instead. A frame, unlike a new
+// window, is not stopped by pop-up blockers once the data has loaded.
+export const printDocument = (html, title = '') =>
+  new Promise(resolve => {
+    const frame = document.createElement('iframe');
+    frame.style.position = 'fixed';
+    frame.style.width = '0';
+    frame.style.height = '0';
+    frame.style.border = '0';
+    document.body.appendChild(frame);
+
+    const frameDocument = frame.contentWindow.document;
+    frameDocument.open();
+    frameDocument.write(html);
+    frameDocument.close();
+    if (title) {
+      frameDocument.title = title;
+    }
+
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    // print() blocks until the dialog closes in most browsers
+    setTimeout(() => document.body.removeChild(frame), 1000);
+    resolve();
+  });
+
+// No PDF on the web: the print dialog can save one, named after the title
+export const shareDocument = (html, fileName) =>
+  printDocument(html, fileName.replace(/\.pdf$/, '')).then(() => fileName);
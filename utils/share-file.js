@@ -0,0 +1,17 @@
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+// Write `contents` to a file in the cache directory and open the share sheet
+// for it. Resolves with the file's URI.
+export const shareTextFile = (fileName, contents, mimeType) => {
+  const file = new File(Paths.cache, fileName);
+  file.create({ overwrite: true });
+  file.write(contents);
+
+  return Sharing.isAvailableAsync().then(available => {
+    if (!available) {
+      throw new Error(`Sharing is not available on this device. The file was saved to ${file.uri}`);
+    }
+    return Sharing.shareAsync(file.uri, { mimeType, dialogTitle: fileName }).then(() => file.uri);
+  });
+};
@@ -0,0 +1,15 @@
+// On the web there is no share sheet, so download the file instead.
+export const shareTextFile = (fileName, contents, mimeType) => {
+  const blob = new Blob([contents], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+
+  return Promise.resolve(fileName);
+};
@@ -0,0 +1,29 @@
+// Requests to the sync server (see server/sync-server.js). `server` is
+// { url, token } from sync_context.
+
+const request = (server, path, options = {}) =>
+  fetch(`${server.url.trim().replace(/\/+$/, '')}${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(server.token ? { Authorization: `Bearer ${server.token}` } : {}),
+    },
+  }).then(response =>
+    response.json()
+      .catch(() => ({}))
+      .then(body => {
+        if (!response.ok) {
+          throw new Error(body.error || `The sync server answered ${response.status}`);
+        }
+        return body;
+      })
+  );
+
+// Changes other devices pushed after `since`. Resolves with
+// { changes, lastSeq, hasMore }.
+export const pullChanges = (server, { since, deviceId, limit = 500 }) =>
+  request(server, `/sync/changes?since=${since}&device=${encodeURIComponent(deviceId)}&limit=${limit}`);
+
+// Resolves with { accepted, lastSeq }
+export const pushChanges = (server, { deviceId, changes }) =>
+  request(server, '/sync/changes', { method: 'POST', body: JSON.stringify({ deviceId, changes }) });